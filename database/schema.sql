@@ -1,31 +1,115 @@
 -- Supabase Database Schema for Meeting Note Taker
 -- Run this in your Supabase SQL Editor
 
+-- Text that meeting search looks at: transcript segments and the note's summary, key points,
+-- decisions and action items (the same fields src/services/meetingSearch.js highlights)
+CREATE OR REPLACE FUNCTION meeting_search_vector(note JSONB, transcript JSONB)
+RETURNS TSVECTOR AS $$
+  SELECT to_tsvector('english',
+    jsonb_path_query_array(COALESCE(transcript, '{}'::jsonb), '$.transcript[*].text')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.summary')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.keyPoints[*] ? (@.type() == "string")')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.decisions[*] ? (@.type() == "string")')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.decisions[*].decision')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.actionItems[*] ? (@.type() == "string")')
+    || jsonb_path_query_array(COALESCE(note, '{}'::jsonb), '$.actionItems[*].item'))
+$$ LANGUAGE sql IMMUTABLE;
+
 -- Create meetings table
 CREATE TABLE IF NOT EXISTS meetings (
   id TEXT PRIMARY KEY,
-  meeting_url TEXT NOT NULL,
-  grant_id TEXT NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'joining', 'recording', 'processing', 'completed', 'failed')),
+  title TEXT,
+  description TEXT,
+  organizer TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  meeting_url TEXT,
+  platform TEXT CHECK (platform IN ('google_meet', 'zoom', 'teams')),
+  grant_id TEXT,
+  tenant_id TEXT,
+  source TEXT NOT NULL DEFAULT 'bot' CHECK (source IN ('bot', 'import', 'upload')),
+  note_template TEXT,
+  llm_provider TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'scheduled', 'joining', 'recording', 'processing', 'completed', 'failed', 'cancelled')),
+  failure_reason TEXT,
   notetaker_id TEXT,
+  join_time TIMESTAMPTZ,
+  timezone TEXT,
   transcript JSONB,
   recording_url TEXT,
   note JSONB,
   progress JSONB NOT NULL DEFAULT '{"message": "Meeting link added. Waiting to join...", "percentage": 0}'::jsonb,
+  deleted_at TIMESTAMPTZ,
+  purged_artifacts JSONB NOT NULL DEFAULT '{}'::jsonb,
+  search_vector TSVECTOR GENERATED ALWAYS AS (meeting_search_vector(note, transcript)) STORED,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Upgrade meetings tables created by an earlier version of this file. CREATE TABLE IF NOT EXISTS
+-- leaves an existing table untouched, so new columns and widened checks are applied here.
+-- Every statement is safe to run again.
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS organizer TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS platform TEXT CHECK (platform IN ('google_meet', 'zoom', 'teams'));
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'bot';
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS note_template TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS llm_provider TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS join_time TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS purged_artifacts JSONB NOT NULL DEFAULT '{}'::jsonb;
+-- Earlier versions indexed every string of the note and transcript (speaker names, template
+-- fields), so search found meetings without anything to highlight. A generated column can't be
+-- altered, so the old one is dropped (with its index, recreated below) and added again.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_attrdef d
+    JOIN pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+    WHERE d.adrelid = 'meetings'::regclass AND a.attname = 'search_vector'
+      AND pg_get_expr(d.adbin, d.adrelid) NOT LIKE '%meeting_search_vector%'
+  ) THEN
+    ALTER TABLE meetings DROP COLUMN search_vector;
+  END IF;
+END $$;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (meeting_search_vector(note, transcript)) STORED;
+
+-- Uploaded and imported meetings have no meeting link or grant
+ALTER TABLE meetings ALTER COLUMN meeting_url DROP NOT NULL;
+ALTER TABLE meetings ALTER COLUMN grant_id DROP NOT NULL;
+
+-- Replace the status and source checks so older tables accept the newer values
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_status_check;
+ALTER TABLE meetings ADD CONSTRAINT meetings_status_check
+  CHECK (status IN ('pending', 'scheduled', 'joining', 'recording', 'processing', 'completed', 'failed', 'cancelled'));
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_source_check;
+ALTER TABLE meetings ADD CONSTRAINT meetings_source_check
+  CHECK (source IN ('bot', 'import', 'upload'));
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_meetings_grant_id ON meetings(grant_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_grant_created ON meetings(grant_id, created_at DESC, id DESC);
 CREATE INDEX IF NOT EXISTS idx_meetings_notetaker_id ON meetings(notetaker_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_unlinked_grant ON meetings(grant_id, created_at DESC) WHERE notetaker_id IS NULL;
 CREATE INDEX IF NOT EXISTS idx_meetings_status ON meetings(status);
+CREATE INDEX IF NOT EXISTS idx_meetings_scheduled ON meetings(join_time) WHERE status = 'scheduled';
 CREATE INDEX IF NOT EXISTS idx_meetings_created_at ON meetings(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_meetings_updated_at ON meetings(updated_at DESC);
 
 -- Create index on JSONB fields for querying
 CREATE INDEX IF NOT EXISTS idx_meetings_note ON meetings USING GIN (note);
 CREATE INDEX IF NOT EXISTS idx_meetings_transcript ON meetings USING GIN (transcript);
+CREATE INDEX IF NOT EXISTS idx_meetings_search ON meetings USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_meetings_tags ON meetings USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_meetings_deleted_at ON meetings(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_meetings_tenant_id ON meetings(tenant_id, created_at DESC) WHERE grant_id IS NULL;
 
 -- Create function to automatically update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -37,6 +121,7 @@ END;
 $$ language 'plpgsql';
 
 -- Create trigger to update updated_at on row update
+DROP TRIGGER IF EXISTS update_meetings_updated_at ON meetings;
 CREATE TRIGGER update_meetings_updated_at
   BEFORE UPDATE ON meetings
   FOR EACH ROW
@@ -45,12 +130,302 @@ CREATE TRIGGER update_meetings_updated_at
 -- Add comments for documentation
 COMMENT ON TABLE meetings IS 'Stores meeting information and generated notes';
 COMMENT ON COLUMN meetings.id IS 'Unique meeting identifier';
-COMMENT ON COLUMN meetings.meeting_url IS 'Google Meet URL';
-COMMENT ON COLUMN meetings.grant_id IS 'Nylas Grant ID';
+COMMENT ON COLUMN meetings.title IS 'Human-readable meeting title';
+COMMENT ON COLUMN meetings.description IS 'Longer description or agenda';
+COMMENT ON COLUMN meetings.organizer IS 'Organizer name or email';
+COMMENT ON COLUMN meetings.tags IS 'Lowercase tags used to filter the meetings list';
+COMMENT ON COLUMN meetings.metadata IS 'Custom fields set by API clients';
+COMMENT ON COLUMN meetings.meeting_url IS 'Normalized meeting URL (Google Meet, Zoom or Microsoft Teams); optional for imports and uploads';
+COMMENT ON COLUMN meetings.platform IS 'Meeting platform detected from the URL: google_meet, zoom or teams';
+COMMENT ON COLUMN meetings.grant_id IS 'Nylas Grant ID (optional for imports and uploads)';
+COMMENT ON COLUMN meetings.tenant_id IS 'Tenant whose API key created the meeting; scopes imports and uploads without a grant (meetings with a grant belong to the grant''s tenant)';
+COMMENT ON COLUMN meetings.source IS 'bot (recorded by a notetaker), import (transcript from another tool) or upload (recording transcribed by a transcription provider)';
+COMMENT ON COLUMN meetings.note_template IS 'Note template selected for the meeting: a built-in ID or a note_templates.id (null = NOTE_DEFAULT_TEMPLATE)';
+COMMENT ON COLUMN meetings.llm_provider IS 'LLM provider selected for the note: openai, azure, anthropic, local or fake (null = LLM_PROVIDER)';
 COMMENT ON COLUMN meetings.status IS 'Current meeting status';
+COMMENT ON COLUMN meetings.failure_reason IS 'Why the meeting failed (set when status becomes failed)';
 COMMENT ON COLUMN meetings.notetaker_id IS 'Nylas Notetaker ID';
-COMMENT ON COLUMN meetings.transcript IS 'Full transcript JSON from Nylas';
+COMMENT ON COLUMN meetings.join_time IS 'When the bot is scheduled to join (null = join immediately)';
+COMMENT ON COLUMN meetings.timezone IS 'IANA timezone the join time was given in';
+COMMENT ON COLUMN meetings.transcript IS 'Full transcript JSON from Nylas (imports and transcribed uploads are converted to the same format)';
 COMMENT ON COLUMN meetings.recording_url IS 'URL to recording file';
 COMMENT ON COLUMN meetings.note IS 'Generated note JSON';
+COMMENT ON COLUMN meetings.search_vector IS 'Full-text index of transcript and note text (generated)';
 COMMENT ON COLUMN meetings.progress IS 'Progress tracking object with message and percentage';
+COMMENT ON COLUMN meetings.deleted_at IS 'When the meeting was deleted (soft delete); it is purged after the retention grace period';
+COMMENT ON COLUMN meetings.purged_artifacts IS 'When each artifact was removed by retention, e.g. {"recording": "2024-02-01T00:00:00Z"}';
+
+
+-- Create webhook_events table (durable log of incoming Nylas webhooks)
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_failed ON webhook_events(received_at DESC) WHERE error IS NOT NULL;
+
+COMMENT ON TABLE webhook_events IS 'Every Nylas webhook event received, persisted before it is acknowledged';
+COMMENT ON COLUMN webhook_events.id IS 'Nylas event ID (deduplication key)';
+COMMENT ON COLUMN webhook_events.type IS 'Nylas event type, e.g. notetaker.media';
+COMMENT ON COLUMN webhook_events.payload IS 'Full webhook payload as received';
+COMMENT ON COLUMN webhook_events.processed_at IS 'When the event was last processed successfully';
+COMMENT ON COLUMN webhook_events.error IS 'Error message from the last failed processing attempt';
+COMMENT ON COLUMN webhook_events.attempts IS 'Number of processing attempts, including replays';
+
+-- Create jobs table (background work queue: transcript fetching, note generation, uploads)
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  meeting_id TEXT REFERENCES meetings(id) ON DELETE CASCADE,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_meeting_id ON jobs(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON jobs;
+CREATE TRIGGER update_jobs_updated_at
+  BEFORE UPDATE ON jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE jobs IS 'Background jobs with retry and dead-letter state';
+COMMENT ON COLUMN jobs.type IS 'Job type: fetch-transcript, generate-note, upload-recording, transcribe-recording, deliver-webhook';
+COMMENT ON COLUMN jobs.status IS 'queued (waiting or retrying), running, succeeded, dead (gave up after max_attempts)';
+COMMENT ON COLUMN jobs.run_at IS 'Earliest time the job may run (pushed back exponentially on retry)';
+COMMENT ON COLUMN jobs.locked_at IS 'When a worker claimed the job; stale locks are released on startup';
+COMMENT ON COLUMN jobs.last_error IS 'Error message from the most recent failed attempt';
+
+-- Create meeting_timeline table (append-only history of status and progress changes)
+CREATE TABLE IF NOT EXISTS meeting_timeline (
+  id BIGSERIAL PRIMARY KEY,
+  meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('status', 'progress', 'ignored_transition')),
+  status TEXT,
+  previous_status TEXT,
+  source TEXT,
+  raw_state TEXT,
+  message TEXT,
+  percentage INTEGER,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_timeline_meeting_id ON meeting_timeline(meeting_id, created_at);
+
+COMMENT ON TABLE meeting_timeline IS 'Every status and progress change for a meeting, in order';
+COMMENT ON COLUMN meeting_timeline.type IS 'status (status changed), progress (progress updated), ignored_transition (illegal status change rejected)';
+COMMENT ON COLUMN meeting_timeline.source IS 'What caused the change, e.g. notetaker.meeting_state, job:generate-note, deploy';
+COMMENT ON COLUMN meeting_timeline.raw_state IS 'Raw Nylas state from the webhook, e.g. entry_denied, kicked';
+COMMENT ON COLUMN meeting_timeline.reason IS 'Failure reason for status entries that moved the meeting to failed';
+
+-- Create webhook_subscriptions table (outbound webhooks to our own services)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  event_types TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_event_types ON webhook_subscriptions USING GIN (event_types);
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at
+  BEFORE UPDATE ON webhook_subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_subscriptions IS 'Outbound webhook endpoints and the events they receive';
+COMMENT ON COLUMN webhook_subscriptions.event_types IS 'Events to send, e.g. meeting.completed, meeting.failed, note.regenerated';
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'HMAC-SHA256 key for the X-Webhook-Signature header';
+
+-- Create webhook_deliveries table (delivery log per subscription)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at
+  BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_deliveries IS 'Every outbound webhook sent to a subscription, with the receiver response';
+COMMENT ON COLUMN webhook_deliveries.status IS 'pending (queued or retrying), succeeded (2xx), failed (gave up or subscription removed)';
+COMMENT ON COLUMN webhook_deliveries.response_body IS 'First 1000 characters of the last response';
+
+-- Create purge_log table (what the retention sweeper removed, and when)
+CREATE TABLE IF NOT EXISTS purge_log (
+  id TEXT PRIMARY KEY,
+  meeting_id TEXT NOT NULL,
+  artifact TEXT NOT NULL CHECK (artifact IN ('recording', 'transcript', 'note', 'meeting')),
+  reason TEXT NOT NULL CHECK (reason IN ('retention', 'deleted')),
+  objects TEXT[] NOT NULL DEFAULT '{}',
+  purged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purge_log_meeting_id ON purge_log(meeting_id, purged_at DESC);
+CREATE INDEX IF NOT EXISTS idx_purge_log_purged_at ON purge_log(purged_at DESC);
+
+COMMENT ON TABLE purge_log IS 'Record of data removed by retention or deletion (kept after the meeting itself is purged)';
+COMMENT ON COLUMN purge_log.meeting_id IS 'Purged meeting (no foreign key: the meeting row may be gone)';
+COMMENT ON COLUMN purge_log.artifact IS 'recording, transcript or note (retention), or meeting (deleted meeting purged entirely)';
+COMMENT ON COLUMN purge_log.reason IS 'retention (artifact past its retention period) or deleted (meeting deleted via the API)';
+COMMENT ON COLUMN purge_log.objects IS 'S3 keys (or local upload paths) that were deleted';
+
+-- Create tenants table (API customers and the Nylas grants they own)
+CREATE TABLE IF NOT EXISTS tenants (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  grant_ids TEXT[] NOT NULL DEFAULT '{}',
+  quotas JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Upgrade tenants tables created before per-tenant quotas
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS quotas JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_tenants_grant_ids ON tenants USING GIN (grant_ids);
+
+DROP TRIGGER IF EXISTS update_tenants_updated_at ON tenants;
+CREATE TRIGGER update_tenants_updated_at
+  BEFORE UPDATE ON tenants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE tenants IS 'API customers; a tenant only sees meetings of the grants it owns';
+COMMENT ON COLUMN tenants.grant_ids IS 'Nylas Grant IDs owned by the tenant (a grant belongs to at most one tenant)';
+COMMENT ON COLUMN tenants.quotas IS 'Monthly quotas overriding the server defaults, e.g. {"botDeployments": 100, "noteGenerations": 500} (0 = unlimited)';
+
+-- Create api_keys table (tenant API keys, stored hashed)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name TEXT,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant_id ON api_keys(tenant_id, created_at DESC);
+
+COMMENT ON TABLE api_keys IS 'API keys for /api/meetings; the key itself is only shown once, when it is created';
+COMMENT ON COLUMN api_keys.key_prefix IS 'First characters of the key, to tell keys apart';
+COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 hex digest of the key (lookup key)';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Last successful authentication (updated at most once a minute)';
+COMMENT ON COLUMN api_keys.revoked_at IS 'When the key was revoked; revoked keys are rejected';
+
+-- Create meeting_shares table (expiring, read-only links to a meeting's note)
+CREATE TABLE IF NOT EXISTS meeting_shares (
+  id TEXT PRIMARY KEY,
+  meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+  tenant_id TEXT,
+  recipient TEXT,
+  include_transcript BOOLEAN NOT NULL DEFAULT TRUE,
+  include_recording BOOLEAN NOT NULL DEFAULT FALSE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_shares_meeting_id ON meeting_shares(meeting_id, created_at DESC);
+
+COMMENT ON TABLE meeting_shares IS 'Share links; the link token is signed with SHARE_LINK_SECRET and is not stored';
+COMMENT ON COLUMN meeting_shares.tenant_id IS 'Tenant whose API key created the link (null for the admin key)';
+COMMENT ON COLUMN meeting_shares.recipient IS 'Who the link was made for, e.g. an email address (free-form label)';
+COMMENT ON COLUMN meeting_shares.include_transcript IS 'Show the transcript on the shared page';
+COMMENT ON COLUMN meeting_shares.include_recording IS 'Show the recording (through a short-lived presigned URL)';
+COMMENT ON COLUMN meeting_shares.revoked_at IS 'When the link was revoked; revoked links show a 410 page';
+
+-- Create share_access_log table (every time a share link was opened)
+CREATE TABLE IF NOT EXISTS share_access_log (
+  id TEXT PRIMARY KEY,
+  share_id TEXT NOT NULL REFERENCES meeting_shares(id) ON DELETE CASCADE,
+  meeting_id TEXT NOT NULL,
+  outcome TEXT NOT NULL CHECK (outcome IN ('viewed', 'expired', 'revoked', 'unavailable')),
+  ip TEXT,
+  user_agent TEXT,
+  accessed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_access_log_share_id ON share_access_log(share_id, accessed_at DESC);
+
+COMMENT ON TABLE share_access_log IS 'Opens of share links, including attempts after a link expired or was revoked';
+COMMENT ON COLUMN share_access_log.outcome IS 'viewed, expired, revoked, or unavailable (meeting or note deleted)';
+COMMENT ON COLUMN share_access_log.ip IS 'Client IP as seen by the server (set trust proxy behind a load balancer)';
+
+-- Create usage_events table (bot deployments and LLM note generations, counted against monthly quotas)
+CREATE TABLE IF NOT EXISTS usage_events (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT,
+  metric TEXT NOT NULL CHECK (metric IN ('bot_deployments', 'note_generations')),
+  meeting_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_tenant_metric ON usage_events(tenant_id, metric, created_at);
+
+COMMENT ON TABLE usage_events IS 'One row per billable use; a tenant''s usage is the number of rows this calendar month (UTC)';
+COMMENT ON COLUMN usage_events.tenant_id IS 'Tenant charged for the use (null for the admin key or without authentication)';
+COMMENT ON COLUMN usage_events.metric IS 'bot_deployments (a Nylas notetaker was deployed) or note_generations (a note was generated with the LLM)';
+
+-- Create note_templates table (user-defined note templates; the built-in ones live in the code)
+CREATE TABLE IF NOT EXISTS note_templates (
+  id TEXT PRIMARY KEY,
+  tenant_id TEXT REFERENCES tenants(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  prompt TEXT NOT NULL,
+  output_schema JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_templates_tenant_id ON note_templates(tenant_id, created_at);
+
+DROP TRIGGER IF EXISTS update_note_templates_updated_at ON note_templates;
+CREATE TRIGGER update_note_templates_updated_at
+  BEFORE UPDATE ON note_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
 
+COMMENT ON TABLE note_templates IS 'Note templates created through /api/templates';
+COMMENT ON COLUMN note_templates.tenant_id IS 'Tenant that owns the template (null = created with the admin key, available to every tenant)';
+COMMENT ON COLUMN note_templates.prompt IS 'Instructions for the LLM, added to the note prompt before the transcript';
+COMMENT ON COLUMN note_templates.output_schema IS 'JSON Schema of the note fields (strings, lists of strings or lists of flat objects; always has summary)';
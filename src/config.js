@@ -1,3 +1,5 @@
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -6,13 +8,45 @@ export const config = {
   nylas: {
     apiKey: process.env.NYLAS_API_KEY,
     apiUrl: process.env.NYLAS_API_URL || 'https://api.nylas.com',
+    notetakerName: process.env.NYLAS_NOTETAKER_NAME || 'Meeting Notetaker',
   },
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    // Max request body size (imported transcripts can be large)
+    bodyLimit: process.env.BODY_SIZE_LIMIT || '10mb',
+    // Public base URL used in share links (defaults to the host of the request)
+    publicUrl: process.env.PUBLIC_BASE_URL,
   },
   webhook: {
     secret: process.env.WEBHOOK_SECRET,
+    // Previous secret, accepted alongside the current one while rotating
+    previousSecret: process.env.WEBHOOK_SECRET_PREVIOUS,
+    // Dev-only override for local testing; ignored when NODE_ENV=production
+    skipVerification: process.env.WEBHOOK_SKIP_VERIFICATION === 'true',
+  },
+  auth: {
+    // Key for the admin API (tenants and their API keys) and for operational routes
+    adminKey: process.env.ADMIN_API_KEY,
+    // Dev-only override: accept API requests without a key; ignored when NODE_ENV=production
+    disabled: process.env.API_AUTH_DISABLED === 'true',
+  },
+  rateLimit: {
+    // Requests per window, counted per API key (or per IP without one); 0 = no limit
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+    max: parseInt(process.env.RATE_LIMIT_MAX || '120', 10),
+    // Stricter limit for bot deployments, imports, uploads and note regeneration
+    costlyMax: parseInt(process.env.RATE_LIMIT_COSTLY_MAX || '10', 10),
+  },
+  quotas: {
+    // Default monthly quotas per tenant (0 = unlimited); a tenant's own quotas take precedence
+    botDeployments: parseInt(process.env.QUOTA_BOT_DEPLOYMENTS_PER_MONTH || '0', 10),
+    noteGenerations: parseInt(process.env.QUOTA_NOTE_GENERATIONS_PER_MONTH || '0', 10), // LLM notes only
+  },
+  openapi: {
+    // Log responses that do not match the OpenAPI document (on by default outside production)
+    validateResponses: (process.env.OPENAPI_VALIDATE_RESPONSES
+      || (process.env.NODE_ENV === 'production' ? 'false' : 'true')) === 'true',
   },
   ngrok: {
     authtoken: process.env.NGROK_AUTHTOKEN,
@@ -29,10 +63,82 @@ export const config = {
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || '',
     bucketName: process.env.S3_BUCKET_NAME || '',
   },
+  jobs: {
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS || '5000', 10), // Doubles after each failed attempt
+    backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS || '600000', 10),
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS || '900000', 10), // Running jobs older than this are requeued on startup
+  },
+  retention: {
+    // Days to keep each artifact after the meeting was created (0 = keep forever)
+    recordingDays: parseInt(process.env.RETENTION_RECORDING_DAYS || '0', 10),
+    transcriptDays: parseInt(process.env.RETENTION_TRANSCRIPT_DAYS || '0', 10),
+    noteDays: parseInt(process.env.RETENTION_NOTE_DAYS || '0', 10),
+    // Soft-deleted meetings can be restored for this many days, then they are purged
+    deletedGraceDays: parseInt(process.env.RETENTION_DELETED_GRACE_DAYS || '7', 10),
+    sweepIntervalMs: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '3600000', 10),
+  },
+  shares: {
+    // HMAC key for share link tokens; changing it invalidates every link
+    secret: process.env.SHARE_LINK_SECRET,
+    defaultTtlHours: parseInt(process.env.SHARE_LINK_DEFAULT_TTL_HOURS || '168', 10), // 7 days
+    maxTtlHours: parseInt(process.env.SHARE_LINK_MAX_TTL_HOURS || '720', 10), // 30 days
+  },
+  outboundWebhooks: {
+    timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || '10000', 10),
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '8', 10), // Retried with the job backoff (JOB_BACKOFF_*)
+  },
+  events: {
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10), // Keeps proxies from closing idle streams
+    retryMs: parseInt(process.env.SSE_RETRY_MS || '3000', 10), // Reconnect delay suggested to EventSource clients
+    bufferSize: parseInt(process.env.SSE_BUFFER_SIZE || '1000', 10), // Recent events kept for Last-Event-ID replay
+  },
+  llm: {
+    // Provider that writes notes: openai, azure, anthropic, local (any OpenAI-compatible server,
+    // e.g. Ollama or llama.cpp) or fake (offline and deterministic, for tests). Requests can select
+    // any other configured provider.
+    provider: process.env.LLM_PROVIDER || 'openai',
+    // Let requests select the fake provider while LLM_PROVIDER is another one (tests only)
+    fakeEnabled: process.env.LLM_FAKE_ENABLED === 'true',
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY || '',
     model: process.env.OPENAI_MODEL || 'gpt-4o-mini', // Use gpt-4o-mini for cost efficiency, or gpt-4o for better quality
   },
+  azureOpenai: {
+    apiKey: process.env.AZURE_OPENAI_API_KEY || '',
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT || '', // https://<resource>.openai.azure.com
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT || '', // Deployment of the chat model; used as the model
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    apiUrl: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com',
+    model: process.env.ANTHROPIC_MODEL || 'claude-haiku-4-5',
+  },
+  localLlm: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || '', // e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || '', // Only if the server requires one
+  },
+  notes: {
+    // Template for meetings that don't select one (a built-in ID or one created with POST /api/templates)
+    defaultTemplate: process.env.NOTE_DEFAULT_TEMPLATE || 'general',
+    // Longest transcript (characters) summarized in one request; longer ones are split into chunks
+    maxTranscriptChars: parseInt(process.env.NOTE_MAX_TRANSCRIPT_CHARS || '24000', 10),
+    chunkMinutes: parseInt(process.env.NOTE_CHUNK_MINUTES || '15', 10),
+    chunkOverlapSeconds: parseInt(process.env.NOTE_CHUNK_OVERLAP_SECONDS || '60', 10), // Repeated at the start of the next chunk
+    chunkConcurrency: parseInt(process.env.NOTE_CHUNK_CONCURRENCY || '3', 10), // Chunk requests in flight at once
+  },
+  transcription: {
+    // openai or mock (offline, returns a placeholder transcript); defaults to openai when a key is set
+    provider: process.env.TRANSCRIPTION_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'mock'),
+    model: process.env.TRANSCRIPTION_MODEL || 'gpt-4o-transcribe-diarize', // whisper-1 works too, without speaker labels
+    maxUploadSize: process.env.UPLOAD_SIZE_LIMIT || '25mb', // OpenAI rejects audio files over 25 MB
+    // Where uploads are kept when S3 is not configured
+    localDir: process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'meeting-uploads'),
+  },
 };
 
 // Validate required environment variables
@@ -40,3 +146,40 @@ if (!config.nylas.apiKey) {
   console.warn('Warning: NYLAS_API_KEY is not set. Please add it to your .env file.');
 }
 
+if (!config.webhook.secret && !config.webhook.skipVerification) {
+  console.warn('Warning: WEBHOOK_SECRET is not set. Nylas webhooks will be rejected until it is configured.');
+}
+
+if (config.webhook.skipVerification && config.server.env === 'production') {
+  console.warn('Warning: WEBHOOK_SKIP_VERIFICATION is ignored in production. Webhook signatures will be verified.');
+}
+
+if (!config.shares.secret) {
+  console.warn('Warning: SHARE_LINK_SECRET is not set. Share links will stop working when the server restarts.');
+}
+
+if (!config.auth.adminKey) {
+  console.warn('Warning: ADMIN_API_KEY is not set. Tenants and API keys cannot be managed until it is configured.');
+}
+
+if (config.auth.disabled && config.server.env === 'production') {
+  console.warn('Warning: API_AUTH_DISABLED is ignored in production. API requests need an API key.');
+} else if (config.auth.disabled) {
+  console.warn('Warning: API_AUTH_DISABLED=true. API requests are accepted without an API key.');
+}
+
+
+// Chunking settings that would keep a long meeting's note from ever finishing
+for (const [name, value] of [
+  ['NOTE_MAX_TRANSCRIPT_CHARS', config.notes.maxTranscriptChars],
+  ['NOTE_CHUNK_MINUTES', config.notes.chunkMinutes],
+  ['NOTE_CHUNK_CONCURRENCY', config.notes.chunkConcurrency],
+]) {
+  if (!(value > 0)) {
+    throw new Error(`${name} must be a positive number (got "${process.env[name]}")`);
+  }
+}
+
+if (!(config.notes.chunkOverlapSeconds >= 0) || config.notes.chunkOverlapSeconds >= config.notes.chunkMinutes * 60) {
+  throw new Error(`NOTE_CHUNK_OVERLAP_SECONDS must be at least 0 and shorter than NOTE_CHUNK_MINUTES (got "${process.env.NOTE_CHUNK_OVERLAP_SECONDS}")`);
+}
@@ -1,83 +1,484 @@
 import nylasService from '../services/nylasService.js';
 import meetingService from '../services/meetingService.js';
-import { generateNote } from '../services/noteGenerator.js';
+import jobService, { JOB_TYPES } from '../services/jobService.js';
+import { generateNote, isLlmEnabled, isLlmNote } from '../services/noteGenerator.js';
+import { listConfiguredLlmProviders } from '../services/llm/index.js';
+import { isTerminal, MEETING_STATUSES } from '../services/meetingStateMachine.js';
+import { isValidTimezone, parseJoinTime } from '../services/meetingSchedule.js';
+import { parseMeetingUrl } from '../services/meetingUrlParser.js';
+import { parseTranscript } from '../services/transcriptParser.js';
+import { saveUpload } from '../services/uploadStorage.js';
+import { decodeCursor } from '../services/pagination.js';
+import meetingEventService from '../services/meetingEventService.js';
+import retentionService from '../services/retentionService.js';
+import tenantService from '../services/tenantService.js';
+import shareService from '../services/shareService.js';
+import noteTemplateService from '../services/noteTemplateService.js';
+import usageService, { USAGE_METRICS } from '../services/usageService.js';
+import { config } from '../config.js';
+import {
+  AppError,
+  ConflictError,
+  ERROR_CODES,
+  ForbiddenError,
+  GoneError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  ValidationError,
+} from '../errors.js';
+
+// Types, lengths and ranges of request fields are checked against the OpenAPI document
+// (validateRequest middleware); the checks here need more than a schema can express
+const LIST_DEFAULT_LIMIT = 50;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_HITS = 10;
+const DETAIL_TEXT_FIELDS = ['title', 'description', 'organizer'];
+const MAX_METADATA_BYTES = 8192;
+
+/**
+ * Get a meeting if the caller's tenant may see it. Meetings of other tenants are
+ * reported as not found, so meeting IDs can't be probed.
+ * @param {Object} req - Express request (req.tenant is set by authenticateApiKey)
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} [options] - meetingService.getMeeting options
+ * @returns {Promise<Object|null>} Meeting or null
+ */
+async function getTenantMeeting(req, meetingId, options) {
+  const meeting = await meetingService.getMeeting(meetingId, options);
+  return meeting && tenantService.canAccessMeeting(req.tenant, meeting) ? meeting : null;
+}
+
+/**
+ * Check that the caller's tenant owns a grant
+ * @param {Object} req - Express request
+ * @param {string} [grantId] - Grant ID from the request (nothing to check if omitted)
+ * @throws {ForbiddenError} If the grant belongs to another tenant
+ */
+function assertOwnsGrant(req, grantId) {
+  if (grantId && !tenantService.ownsGrant(req.tenant, grantId)) {
+    throw new ForbiddenError(`Grant ${grantId} does not belong to this API key's tenant`);
+  }
+}
+
+/**
+ * Look up the note template a request selects
+ * @param {Object} req - Express request
+ * @param {string} [templateId] - Template ID from the request (nothing to look up if omitted)
+ * @returns {Promise<Object|null>} Template, or null if none was selected
+ * @throws {ValidationError} If the caller's tenant has no template with that ID
+ */
+async function getRequestedTemplate(req, templateId) {
+  if (templateId === undefined || templateId === null) {
+    return null;
+  }
+
+  const template = await noteTemplateService.getTemplate(templateId);
+  if (!template || !noteTemplateService.canUseTemplate(req.tenant, template)) {
+    throw new ValidationError(`Unknown note template "${templateId}". GET /api/templates lists the templates you can use.`);
+  }
+  return template;
+}
+
+/**
+ * Check the LLM provider a request selects
+ * @param {string} [providerName] - Provider from the request (nothing to check if omitted)
+ * @returns {string|null} Provider name, or null if none was selected
+ * @throws {ValidationError} If the provider's settings are not set on this server
+ */
+function getRequestedLlmProvider(providerName) {
+  if (providerName === undefined || providerName === null) {
+    return null;
+  }
+
+  const configured = listConfiguredLlmProviders();
+  if (!configured.includes(providerName)) {
+    throw new ValidationError(`LLM provider "${providerName}" is not configured. Configured providers: ${configured.join(', ')}`);
+  }
+  return providerName;
+}
+
+/**
+ * Check that the caller's tenant has not used up this month's quota for a metric
+ * @param {Object} req - Express request
+ * @param {string} metric - USAGE_METRICS value
+ * @throws {RateLimitedError} If the quota is used up (Retry-After is the start of next month)
+ */
+async function assertWithinQuota(req, metric) {
+  const { allowed, ...quota } = await usageService.checkQuota(req.tenant, metric);
+  if (allowed) {
+    return;
+  }
+
+  console.warn(`🚦 Monthly ${metric} quota (${quota.limit}) used up by ${req.tenant?.id || 'requests without a tenant'}`);
+  throw new RateLimitedError(
+    `Monthly quota exceeded: ${quota.used} of ${quota.limit} ${metric.replace('_', ' ')} used. The quota resets at ${quota.resetsAt}.`,
+    {
+      retryAfter: Math.ceil((new Date(quota.resetsAt).getTime() - Date.now()) / 1000),
+      details: { quota },
+    }
+  );
+}
+
+/**
+ * Validate a requested join time
+ * @param {number|string} joinTime - Unix seconds or ISO 8601 string
+ * @param {string} [timezone] - IANA timezone
+ * @returns {{joinTime?: Date, error?: string}} Parsed join time or a validation error
+ */
+function validateJoinTime(joinTime, timezone) {
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone name, e.g. Europe/Berlin' };
+  }
+
+  const parsed = parseJoinTime(joinTime, timezone || undefined);
+  if (!parsed) {
+    return { error: 'joinTime must be a Unix timestamp (seconds) or an ISO 8601 date-time' };
+  }
+
+  if (parsed.getTime() <= Date.now()) {
+    return { error: 'joinTime must be in the future' };
+  }
+
+  return { joinTime: parsed };
+}
+
+/**
+ * Normalize title, description, organizer, tags and metadata from a request body
+ * (their types and lengths were checked against the OpenAPI document)
+ * @param {Object} body - Request body
+ * @returns {{details?: Object, error?: string}} Fields that were given (normalized) or a validation error
+ */
+function validateMeetingDetails(body) {
+  const details = {};
+
+  for (const field of DETAIL_TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    details[field] = body[field] ? body[field].trim() : null;
+  }
+
+  if (body.tags !== undefined) {
+    // Tags are case-insensitive and can't contain commas (the list filter is comma-separated)
+    details.tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  if (body.metadata !== undefined) {
+    if (Buffer.byteLength(JSON.stringify(body.metadata)) > MAX_METADATA_BYTES) {
+      return { error: `metadata must be at most ${MAX_METADATA_BYTES} bytes of JSON` };
+    }
+    details.metadata = body.metadata;
+  }
+
+  return { details };
+}
 
 /**
  * Add a new meeting link
  * POST /api/meetings
  */
-export async function addMeeting(req, res) {
+export async function addMeeting(req, res, next) {
   try {
-    const { meetingUrl, grantId } = req.body;
+    const { meetingUrl, grantId, joinTime, timezone } = req.body;
 
-    if (!meetingUrl) {
-      return res.status(400).json({ error: 'meetingUrl is required' });
-    }
+    assertOwnsGrant(req, grantId);
 
-    if (!grantId) {
-      return res.status(400).json({ error: 'grantId is required' });
+    // Validate and normalize the Meet / Zoom / Teams link (InvalidMeetingUrlError is a 400)
+    const parsedUrl = parseMeetingUrl(meetingUrl);
+
+    // Optional scheduled join (the bot joins immediately without one)
+    let scheduledJoinTime = null;
+    if (joinTime !== undefined && joinTime !== null) {
+      const result = validateJoinTime(joinTime, timezone);
+      if (result.error) {
+        throw new ValidationError(result.error);
+      }
+      scheduledJoinTime = result.joinTime.toISOString();
+    } else if (timezone !== undefined) {
+      throw new ValidationError('timezone is only used together with joinTime');
     }
 
-    // Validate Google Meet URL format
-    if (!meetingUrl.includes('meet.google.com') && !meetingUrl.includes('meet/')) {
-      return res.status(400).json({ error: 'Invalid Google Meet URL' });
+    const { details, error: detailsError } = validateMeetingDetails(req.body);
+    if (detailsError) {
+      throw new ValidationError(detailsError);
     }
 
+    const template = await getRequestedTemplate(req, req.body.template);
+    const llmProvider = getRequestedLlmProvider(req.body.llmProvider);
+
+    await assertWithinQuota(req, USAGE_METRICS.BOT_DEPLOYMENTS);
+
     // Create meeting entry
-    const meeting = await meetingService.createMeeting(meetingUrl, grantId);
+    const meeting = await meetingService.createMeeting(parsedUrl.url, grantId, {
+      ...details,
+      tenantId: req.tenant?.id,
+      template: template?.id,
+      llmProvider,
+      platform: parsedUrl.platform,
+      joinTime: scheduledJoinTime,
+      timezone,
+    });
 
-    // Deploy notetaker bot
+    // Deploy notetaker bot (Nylas holds scheduled bots until the join time)
     try {
-      const notetakerResponse = await nylasService.deployNotetaker(grantId, meetingUrl);
+      const notetakerResponse = await nylasService.deployNotetaker(grantId, meeting.meetingUrl, {
+        meetingId: meeting.id,
+        joinTime: scheduledJoinTime,
+      });
 
       if (notetakerResponse.id) {
+        await usageService.recordUsage(req.tenant?.id, USAGE_METRICS.BOT_DEPLOYMENTS, { meetingId: meeting.id });
         await meetingService.setNotetakerId(meeting.id, notetakerResponse.id);
-        await meetingService.updateMeeting(meeting.id, {
-          status: 'joining',
-          notetakerId: notetakerResponse.id,
-        });
-        await meetingService.updateProgress(meeting.id, 'Bot deployed. Joining meeting...', 20);
+        if (scheduledJoinTime) {
+          await meetingService.transitionStatus(meeting.id, 'scheduled', { source: 'deploy' });
+          await meetingService.updateProgress(meeting.id, `Bot scheduled to join at ${scheduledJoinTime}`, 10, { source: 'deploy' });
+        } else {
+          await meetingService.transitionStatus(meeting.id, 'joining', { source: 'deploy' });
+          await meetingService.updateProgress(meeting.id, 'Bot deployed. Joining meeting...', 20, { source: 'deploy' });
+        }
       }
     } catch (error) {
-      console.error('Error deploying notetaker:', error);
-      await meetingService.updateMeeting(meeting.id, {
-        status: 'failed',
+      console.error('Error deploying notetaker:', error.message);
+      await meetingService.transitionStatus(meeting.id, 'failed', {
+        reason: `deploy_failed: ${error.code || error.message}`,
+        source: 'deploy',
       });
-      await meetingService.updateProgress(meeting.id, `Error: ${error.message}`, 0);
+      await meetingService.updateProgress(meeting.id, `Error: ${error.message}`, 0, { source: 'deploy' });
+
+      // Tell the client why (unknown grant, link Nylas rejects, Nylas outage...) along
+      // with the ID of the failed meeting
+      if (error instanceof AppError) {
+        error.details = { ...error.details, meetingId: meeting.id };
+      }
+      throw error;
     }
 
     res.status(201).json({
       success: true,
       meeting: {
         id: meeting.id,
+        title: meeting.title,
+        description: meeting.description,
+        organizer: meeting.organizer,
+        tags: meeting.tags,
+        metadata: meeting.metadata,
         meetingUrl: meeting.meetingUrl,
+        platform: meeting.platform,
+        template: meeting.template,
+        llmProvider: meeting.llmProvider,
         status: meeting.status,
+        joinTime: meeting.joinTime,
+        timezone: meeting.timezone,
         progress: meeting.progress,
         createdAt: meeting.createdAt,
       },
     });
   } catch (error) {
-    console.error('Error adding meeting:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 }
 
+/**
+ * Import a transcript from another tool and generate a note for it (no bot)
+ * POST /api/meetings/import
+ *
+ * JSON body: { transcript, format?, grantId?, meetingUrl?, template?, llmProvider?, title?,
+ * description?, organizer?, tags?, metadata? } where transcript is the file
+ * content (or a Nylas-style JSON object). Raw text/vtt, application/x-subrip and text/plain
+ * bodies are accepted too, with format, grantId, meetingUrl, template and llmProvider in the
+ * query string.
+ */
+export async function importTranscript(req, res, next) {
+  try {
+    const isRawBody = typeof req.body === 'string';
+    const fields = isRawBody ? req.query : req.body;
+    const content = isRawBody ? req.body : req.body?.transcript;
+    const { grantId, meetingUrl } = fields;
+    const format = fields.format || formatFromContentType(req.get('Content-Type'));
+
+    if (content === undefined || content === null || content === '') {
+      throw new ValidationError('transcript is required');
+    }
+
+    assertOwnsGrant(req, grantId);
+
+    // TranscriptParseError is a 400
+    const parsed = parseTranscript(content, format);
+
+    // The original meeting link is optional, but must be valid if given
+    const parsedUrl = meetingUrl ? parseMeetingUrl(meetingUrl) : null;
+
+    const { details, error: detailsError } = isRawBody ? { details: {} } : validateMeetingDetails(req.body);
+    if (detailsError) {
+      throw new ValidationError(detailsError);
+    }
+
+    const template = await getRequestedTemplate(req, fields.template);
+    const llmProvider = getRequestedLlmProvider(fields.llmProvider);
+
+    const meeting = await meetingService.createMeeting(parsedUrl?.url, grantId, {
+      ...details,
+      tenantId: req.tenant?.id,
+      template: template?.id,
+      llmProvider,
+      source: 'import',
+      platform: parsedUrl?.platform,
+    });
+
+    await meetingService.setTranscript(meeting.id, parsed.transcript);
+    await meetingService.transitionStatus(meeting.id, 'processing', { source: 'import' });
+    await meetingService.updateProgress(meeting.id, 'Transcript imported. Generating note...', 90, { source: 'import' });
+
+    // generate-note completes the meeting (or fails it after retries)
+    await jobService.enqueue(JOB_TYPES.GENERATE_NOTE, {}, {
+      meetingId: meeting.id,
+      unique: true,
+    });
+
+    const imported = await meetingService.getMeeting(meeting.id);
+
+    res.status(201).json({
+      success: true,
+      format: parsed.format,
+      segmentCount: parsed.transcript.transcript.length,
+      meeting: {
+        id: imported.id,
+        title: imported.title,
+        source: imported.source,
+        meetingUrl: imported.meetingUrl,
+        platform: imported.platform,
+        template: imported.template,
+        llmProvider: imported.llmProvider,
+        status: imported.status,
+        progress: imported.progress,
+        createdAt: imported.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Upload an audio/video recording, transcribe it and generate a note (no bot)
+ * POST /api/meetings/upload?grantId=&meetingUrl=&filename=&language=&template=&llmProvider=
+ *
+ * The file is the raw request body with an audio/* or video/* Content-Type.
+ */
+export async function uploadMeetingRecording(req, res, next) {
+  try {
+    const { grantId, meetingUrl, language } = req.query;
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim();
+
+    if (!/^(audio|video)\//.test(contentType)) {
+      throw new AppError('Send the recording as the request body with an audio/* or video/* Content-Type', {
+        status: 415,
+        code: ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new ValidationError('Recording file is empty');
+    }
+
+    assertOwnsGrant(req, grantId);
+
+    const parsedUrl = meetingUrl ? parseMeetingUrl(meetingUrl) : null;
+    const template = await getRequestedTemplate(req, req.query.template);
+    const llmProvider = getRequestedLlmProvider(req.query.llmProvider);
+
+    // Keep the extension (OpenAI uses it to detect the format) but nothing path-like
+    const filename = String(req.query.filename || `recording.${contentType.split('/')[1]}`)
+      .split(/[\\/]/).pop()
+      .replace(/[^\w.-]/g, '_');
+
+    const meeting = await meetingService.createMeeting(parsedUrl?.url, grantId, {
+      tenantId: req.tenant?.id,
+      template: template?.id,
+      llmProvider,
+      source: 'upload',
+      platform: parsedUrl?.platform,
+    });
+
+    let stored;
+    try {
+      stored = await saveUpload(meeting.id, req.body, { filename, contentType });
+    } catch (error) {
+      console.error('Error storing upload:', error.message);
+      await meetingService.transitionStatus(meeting.id, 'failed', {
+        reason: `upload_failed: ${error.code || error.message}`,
+        source: 'upload',
+      });
+      await meetingService.updateProgress(meeting.id, `Error: ${error.message}`, 0, { source: 'upload' });
+      if (error instanceof AppError) {
+        error.details = { ...error.details, meetingId: meeting.id };
+      }
+      throw error;
+    }
+
+    if (stored.url) {
+      await meetingService.setRecording(meeting.id, stored.url);
+    }
+    await meetingService.transitionStatus(meeting.id, 'processing', { source: 'upload' });
+    await meetingService.updateProgress(meeting.id, 'Recording uploaded. Transcribing...', 60, { source: 'upload' });
+
+    // transcribe-recording queues generate-note, which completes the meeting
+    await jobService.enqueue(JOB_TYPES.TRANSCRIBE_RECORDING, {
+      storage: stored.storage,
+      key: stored.key,
+      filename,
+      contentType,
+      language,
+    }, { meetingId: meeting.id, unique: true });
+
+    const uploaded = await meetingService.getMeeting(meeting.id);
+
+    res.status(201).json({
+      success: true,
+      meeting: {
+        id: uploaded.id,
+        source: uploaded.source,
+        meetingUrl: uploaded.meetingUrl,
+        platform: uploaded.platform,
+        template: uploaded.template,
+        llmProvider: uploaded.llmProvider,
+        status: uploaded.status,
+        recording: uploaded.recording,
+        progress: uploaded.progress,
+        createdAt: uploaded.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Map a raw upload's Content-Type to a transcript format
+ * @param {string} contentType - Content-Type header
+ * @returns {string|undefined} vtt or srt, or undefined to detect from the content
+ */
+function formatFromContentType(contentType = '') {
+  if (contentType.startsWith('text/vtt')) return 'vtt';
+  if (contentType.startsWith('application/x-subrip')) return 'srt';
+  return undefined;
+}
+
 /**
  * Get meeting status
  * GET /api/meetings/:meetingId
  */
-export async function getMeetingStatus(req, res) {
+export async function getMeetingStatus(req, res, next) {
   try {
     const { meetingId } = req.params;
-    const meeting = await meetingService.getMeeting(meetingId);
+    const meeting = await getTenantMeeting(req, meetingId);
 
     if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+      throw new NotFoundError('Meeting not found');
     }
 
     // If notetaker is deployed, check status with Nylas (non-blocking)
     // Note: We rely primarily on webhooks for status updates, this is just a fallback
-    if (meeting.notetakerId && meeting.status !== 'completed' && meeting.status !== 'failed') {
+    if (meeting.notetakerId && !isTerminal(meeting.status)) {
       try {
         const notetakerStatus = await nylasService.getNotetakerStatus(
           meeting.grantId,
@@ -108,31 +509,24 @@ export async function getMeetingStatus(req, res) {
               break;
           }
 
-          await meetingService.updateMeeting(meeting.id, { status: newStatus });
-          await meetingService.updateProgress(meeting.id, progressMessage, progressPercentage);
+          const origin = { source: 'poll', rawState: notetakerStatus.status };
+          const { applied } = await meetingService.transitionStatus(meeting.id, newStatus, origin);
+          if (applied) {
+            await meetingService.updateProgress(meeting.id, progressMessage, progressPercentage, origin);
+          }
 
-          // If completed, fetch transcript and generate note
+          // If completed, fetch transcript and generate note in the background
           if (notetakerStatus.status === 'completed' && !meeting.note) {
-            try {
-              const transcript = await nylasService.getTranscript(
-                meeting.grantId,
-                meeting.notetakerId
-              );
-
-              if (transcript) {
-                await meetingService.setTranscript(meeting.id, transcript);
-                const note = await generateNote(transcript);
-                await meetingService.setNote(meeting.id, note);
-              }
-            } catch (error) {
-              console.error('Error fetching transcript:', error);
-            }
+            await jobService.enqueue(JOB_TYPES.FETCH_TRANSCRIPT, {
+              notetakerId: meeting.notetakerId,
+              grantId: meeting.grantId,
+            }, { meetingId: meeting.id, unique: true });
           }
         }
       } catch (error) {
-        // Don't fail the request if status check times out - webhooks will update status
-        if (error.message.includes('timeout') || error.message.includes('Gateway')) {
-          console.warn('⚠️  Status check timed out (webhooks will provide updates):', error.message);
+        // Don't fail the request if Nylas is slow or down - webhooks will update status
+        if (error instanceof UpstreamUnavailableError) {
+          console.warn('⚠️  Status check failed (webhooks will provide updates):', error.message);
         } else {
           console.error('Error checking notetaker status:', error);
         }
@@ -140,39 +534,396 @@ export async function getMeetingStatus(req, res) {
       }
     }
 
-    // Return updated meeting
+    // Return updated meeting along with its background job status and history
     const updatedMeeting = await meetingService.getMeeting(meetingId);
+    const jobs = await jobService.getJobsForMeeting(meetingId);
+    const timeline = await meetingService.getTimeline(meetingId);
     res.json({
       success: true,
-      meeting: updatedMeeting,
+      meeting: {
+        ...updatedMeeting,
+        timeline,
+        jobs: jobs.map(job => ({
+          id: job.id,
+          type: job.type,
+          status: job.status,
+          attempts: job.attempts,
+          maxAttempts: job.maxAttempts,
+          lastError: job.lastError,
+          runAt: job.runAt,
+          updatedAt: job.updatedAt,
+        })),
+      },
     });
   } catch (error) {
-    console.error('Error getting meeting status:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 }
 
 /**
- * Get all meetings
- * GET /api/meetings
+ * Get meeting timeline (every status and progress change, oldest first)
+ * GET /api/meetings/:meetingId/timeline
  */
-export async function getAllMeetings(req, res) {
+export async function getMeetingTimeline(req, res, next) {
   try {
-    const meetings = await meetingService.getAllMeetings();
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    const timeline = await meetingService.getTimeline(meetingId);
+
+    res.json({
+      success: true,
+      meetingId,
+      status: meeting.status,
+      failureReason: meeting.failureReason,
+      timeline,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Parse and validate the GET /api/meetings query string
+ * @param {Object} query - req.query
+ * @returns {{options?: Object, error?: string}} listMeetings options or a validation error
+ */
+function parseListQuery(query) {
+  const { grantId, platform, createdFrom, createdTo, cursor } = query;
+  const sort = query.sort || 'createdAt';
+  const order = query.order || 'desc';
+  const limit = query.limit || LIST_DEFAULT_LIMIT;
+
+  const status = query.status ? String(query.status).split(',').map(value => value.trim()) : [];
+  const unknownStatus = status.find(value => !MEETING_STATUSES.includes(value));
+  if (unknownStatus) {
+    return { error: `Unknown status "${unknownStatus}". Use one of: ${MEETING_STATUSES.join(', ')}` };
+  }
+
+  // Meetings must have every listed tag
+  const tags = query.tag ? String(query.tag).split(',').map(value => value.trim().toLowerCase()).filter(Boolean) : [];
+
+  for (const [name, value] of Object.entries({ createdFrom, createdTo })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+  }
+
+  let after;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    // Cursor values end up in a database filter, so only accept timestamps and meeting IDs
+    if (!position || !/^[\dT:.+\- Z]+$/.test(position.value) || Number.isNaN(Date.parse(position.value))
+      || !/^[\w-]+$/.test(position.id)) {
+      return { error: 'Invalid cursor' };
+    }
+    if (position.sort !== sort || position.order !== order) {
+      return { error: 'cursor was issued for a different sort or order' };
+    }
+    after = { value: position.value, id: position.id };
+  }
+
+  return {
+    options: {
+      status,
+      grantId,
+      platform,
+      tags,
+      createdFrom: createdFrom ? new Date(createdFrom).toISOString() : undefined,
+      createdTo: createdTo ? new Date(createdTo).toISOString() : undefined,
+      sort,
+      order,
+      after,
+      limit,
+    },
+  };
+}
+
+/**
+ * Get all meetings, filtered and paginated
+ * GET /api/meetings?status=&grantId=&platform=&tag=&createdFrom=&createdTo=&sort=&order=&limit=&cursor=
+ */
+export async function getAllMeetings(req, res, next) {
+  try {
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    assertOwnsGrant(req, options.grantId);
+
+    const { meetings, nextCursor } = await meetingService.listMeetings({ ...options, tenant: req.tenant });
     res.json({
       success: true,
       meetings: meetings.map(m => ({
         id: m.id,
+        title: m.title,
+        organizer: m.organizer,
+        tags: m.tags,
+        source: m.source,
         meetingUrl: m.meetingUrl,
+        platform: m.platform,
+        template: m.template,
+        llmProvider: m.llmProvider,
         status: m.status,
+        joinTime: m.joinTime,
         progress: m.progress,
         createdAt: m.createdAt,
         updatedAt: m.updatedAt,
       })),
+      nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {string} [id] - Event ID (omitted for snapshot/reset so Last-Event-ID is not moved)
+ */
+function writeSseEvent(res, type, data, id) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Open an SSE stream of meeting events. Replays events missed since Last-Event-ID
+ * (header, or lastEventId query for the first connection) and sends a heartbeat
+ * comment so idle connections are not dropped.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} filter - { meetingId } or { grantId }
+ * @param {Function} [getSnapshot] - Returns the current state, sent when there is nothing (or not enough) to replay
+ */
+async function openEventStream(req, res, filter, getSnapshot) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.write(`retry: ${config.events.retryMs}\n\n`);
+
+  let lastSentId = 0;
+  let ready = false;
+  const queued = [];
+  const send = event => {
+    if (Number(event.id) <= lastSentId) return;
+    lastSentId = Number(event.id);
+    writeSseEvent(res, event.type, { meetingId: event.meetingId, ...event.data, createdAt: event.createdAt }, event.id);
+  };
+
+  // Subscribe before loading the snapshot so nothing published in between is lost
+  const unsubscribe = meetingEventService.subscribe(filter, event => (ready ? send(event) : queued.push(event)));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const missed = lastEventId ? meetingEventService.getEventsSince(lastEventId, filter) : { events: [], complete: false };
+
+  if (missed.complete) {
+    missed.events.forEach(send);
+  } else {
+    // New client, or too far behind to replay: start from the current state instead
+    lastSentId = meetingEventService.lastId;
+    if (getSnapshot) {
+      writeSseEvent(res, 'snapshot', await getSnapshot());
+    } else if (lastEventId) {
+      writeSseEvent(res, 'reset', { message: 'Some events were missed. Reload the current state.' });
+    }
+  }
+
+  queued.forEach(send);
+  ready = true;
+}
+
+/**
+ * Stream live status, progress and note events for one meeting
+ * GET /api/meetings/:meetingId/events
+ */
+export async function streamMeetingEvents(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    await openEventStream(req, res, { meetingId }, async () => {
+      const current = await meetingService.getMeeting(meetingId);
+      return {
+        meetingId,
+        status: current.status,
+        failureReason: current.failureReason,
+        progress: current.progress,
+        noteReady: Boolean(current.note),
+      };
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Stream live events for every meeting of a grant (dashboards)
+ * GET /api/meetings/events?grantId=
+ */
+export async function streamGrantEvents(req, res, next) {
+  try {
+    const { grantId } = req.query;
+
+    assertOwnsGrant(req, grantId);
+
+    await openEventStream(req, res, { grantId });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Search transcripts and notes
+ * GET /api/meetings/search?q=&grantId=&limit=
+ */
+export async function searchMeetings(req, res, next) {
+  try {
+    const { q, grantId } = req.query;
+    const limit = req.query.limit || SEARCH_DEFAULT_LIMIT;
+
+    assertOwnsGrant(req, grantId);
+
+    const results = await meetingService.searchMeetings(String(q), { grantId, tenant: req.tenant, limit });
+    res.json({
+      success: true,
+      query: q,
+      results: results.map(({ meeting, hits }) => ({
+        meeting: {
+          id: meeting.id,
+          meetingUrl: meeting.meetingUrl,
+          platform: meeting.platform,
+          status: meeting.status,
+          createdAt: meeting.createdAt,
+        },
+        hitCount: hits.length,
+        hits: hits.slice(0, SEARCH_MAX_HITS),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get meetings whose bot has not joined yet, soonest first
+ * GET /api/meetings/scheduled
+ */
+export async function getScheduledMeetings(req, res, next) {
+  try {
+    const meetings = await meetingService.getScheduledMeetings({ tenant: req.tenant });
+    res.json({
+      success: true,
+      meetings: meetings.map(m => ({
+        id: m.id,
+        meetingUrl: m.meetingUrl,
+        platform: m.platform,
+        status: m.status,
+        joinTime: m.joinTime,
+        timezone: m.timezone,
+        notetakerId: m.notetakerId,
+        createdAt: m.createdAt,
+        updatedAt: m.updatedAt,
+      })),
     });
   } catch (error) {
-    console.error('Error getting meetings:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
+  }
+}
+
+/**
+ * Update a meeting's title, description, organizer, tags or metadata, and/or reschedule
+ * a bot that has not dispatched yet
+ * PATCH /api/meetings/:meetingId
+ */
+export async function updateMeeting(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const { joinTime, timezone } = req.body;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    const { details, error: detailsError } = validateMeetingDetails(req.body);
+    if (detailsError) {
+      throw new ValidationError(detailsError);
+    }
+
+    if (joinTime === undefined && timezone !== undefined) {
+      throw new ValidationError('timezone is only used together with joinTime');
+    }
+
+    if (joinTime === undefined && Object.keys(details).length === 0) {
+      throw new ValidationError('Nothing to update; send title, description, organizer, tags, metadata or joinTime');
+    }
+
+    const updates = { ...details };
+
+    // Metadata is merged into the existing fields; a null value removes a field
+    if (details.metadata) {
+      const metadata = { ...meeting.metadata, ...details.metadata };
+      for (const [key, value] of Object.entries(details.metadata)) {
+        if (value === null) delete metadata[key];
+      }
+      updates.metadata = metadata;
+    }
+
+    if (joinTime !== undefined) {
+      if (meeting.status !== 'scheduled') {
+        throw new ConflictError(`Only scheduled meetings can be rescheduled (status ${meeting.status})`, {
+          details: { status: meeting.status },
+        });
+      }
+
+      const zone = timezone !== undefined ? timezone : meeting.timezone;
+      const result = validateJoinTime(joinTime, zone);
+      if (result.error) {
+        throw new ValidationError(result.error);
+      }
+      const newJoinTime = result.joinTime.toISOString();
+
+      await nylasService.rescheduleNotetaker(meeting.grantId, meeting.notetakerId, newJoinTime);
+
+      updates.joinTime = newJoinTime;
+      updates.timezone = zone || null;
+    }
+
+    await meetingService.updateMeeting(meeting.id, updates);
+
+    if (updates.joinTime) {
+      await meetingService.updateProgress(meeting.id, `Bot rescheduled to join at ${updates.joinTime}`, 10, {
+        source: 'api:reschedule',
+      });
+    }
+
+    const updatedMeeting = await meetingService.getMeeting(meetingId);
+    res.json({
+      success: true,
+      meeting: updatedMeeting,
+    });
+  } catch (error) {
+    next(error);
   }
 }
 
@@ -180,19 +931,24 @@ export async function getAllMeetings(req, res) {
  * Get meeting note
  * GET /api/meetings/:meetingId/note
  */
-export async function getMeetingNote(req, res) {
+export async function getMeetingNote(req, res, next) {
   try {
     const { meetingId } = req.params;
-    const meeting = await meetingService.getMeeting(meetingId);
+    const meeting = await getTenantMeeting(req, meetingId);
 
     if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+      throw new NotFoundError('Meeting not found');
+    }
+
+    if (!meeting.note && meeting.purgedArtifacts?.note) {
+      throw new GoneError('Note was deleted by the retention policy', {
+        details: { purgedAt: meeting.purgedArtifacts.note },
+      });
     }
 
     if (!meeting.note) {
-      return res.status(404).json({
-        error: 'Note not available yet. Meeting may still be in progress.',
-        status: meeting.status,
+      throw new NotFoundError('Note not available yet. Meeting may still be in progress.', {
+        details: { status: meeting.status },
       });
     }
 
@@ -202,16 +958,16 @@ export async function getMeetingNote(req, res) {
       transcript: meeting.transcript,
     });
   } catch (error) {
-    console.error('Error getting meeting note:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 }
 
 /**
- * Regenerate meeting note
+ * Regenerate meeting note, with the meeting's template and LLM provider or the ones given
+ * as { template, llmProvider }
  * POST /api/meetings/:meetingId/regenerate-note
  */
-export async function regenerateNote(req, res) {
+export async function regenerateNote(req, res, next) {
   try {
     console.log('🔄 Regenerate note endpoint called');
     console.log('   Request params:', req.params);
@@ -219,24 +975,43 @@ export async function regenerateNote(req, res) {
     console.log('   Request path:', req.path);
 
     const { meetingId } = req.params;
-    const meeting = await meetingService.getMeeting(meetingId);
+    const meeting = await getTenantMeeting(req, meetingId);
 
     if (!meeting) {
-      return res.status(404).json({ error: 'Meeting not found' });
+      throw new NotFoundError('Meeting not found');
     }
 
-    if (!meeting.transcript) {
-      return res.status(400).json({
-        error: 'Transcript not available. Cannot regenerate note without transcript.',
+    if (!meeting.transcript && meeting.purgedArtifacts?.transcript) {
+      throw new GoneError('Transcript was deleted by the retention policy. Cannot regenerate note without transcript.', {
+        details: { purgedAt: meeting.purgedArtifacts.transcript },
       });
     }
 
+    if (!meeting.transcript) {
+      throw new ValidationError('Transcript not available. Cannot regenerate note without transcript.');
+    }
+
+    // Trying another template or provider does not change the meeting's own
+    const template = await getRequestedTemplate(req, req.body?.template)
+      || await noteTemplateService.resolveTemplate(meeting.template);
+    const llmProvider = getRequestedLlmProvider(req.body?.llmProvider) || meeting.llmProvider;
+
+    // Only LLM notes count against the quota
+    if (isLlmEnabled(llmProvider)) {
+      await assertWithinQuota(req, USAGE_METRICS.NOTE_GENERATIONS);
+    }
+
     // Regenerate note from existing transcript
     console.log(`🔄 Regenerating note for meeting ${meetingId}...`);
-    const note = await generateNote(meeting.transcript);
+    // An LLM failure is reported to the client rather than replacing the note with a basic one
+    const note = await generateNote(meeting.transcript, { fallback: false, template, provider: llmProvider });
+
+    if (isLlmNote(note)) {
+      await usageService.recordUsage(req.tenant?.id, USAGE_METRICS.NOTE_GENERATIONS, { meetingId: meeting.id });
+    }
 
     // Update meeting with new note
-    await meetingService.setNote(meeting.id, note);
+    await meetingService.setNote(meeting.id, note, { regenerated: true });
 
     // Get updated meeting
     const updatedMeeting = await meetingService.getMeeting(meetingId);
@@ -247,8 +1022,308 @@ export async function regenerateNote(req, res) {
       note: updatedMeeting.note,
     });
   } catch (error) {
-    console.error('Error regenerating note:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 }
 
+
+/**
+ * Cancel a bot that has not started joining the meeting yet
+ * DELETE /api/meetings/:meetingId
+ */
+export async function cancelMeeting(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    // Nylas only cancels a bot that hasn't started joining; one that has must be told to leave
+    if (!['pending', 'scheduled'].includes(meeting.status)) {
+      const message = ['joining', 'recording'].includes(meeting.status)
+        ? 'Bot is already joining the meeting. Use POST /api/meetings/:meetingId/leave to remove it.'
+        : `Meeting cannot be cancelled in status ${meeting.status}`;
+      throw new ConflictError(message, { details: { status: meeting.status } });
+    }
+
+    if (meeting.notetakerId) {
+      await nylasService.cancelNotetaker(meeting.grantId, meeting.notetakerId);
+    }
+
+    const { applied } = await meetingService.transitionStatus(meeting.id, 'cancelled', { source: 'api:cancel' });
+    if (applied) {
+      await meetingService.updateProgress(meeting.id, 'Notetaker cancelled', 0, { source: 'api:cancel' });
+    }
+
+    const updatedMeeting = await meetingService.getMeeting(meetingId);
+    res.json({
+      success: true,
+      meeting: updatedMeeting,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove an attending bot from the meeting. Whatever was recorded is still
+ * turned into a note once Nylas delivers the media.
+ * POST /api/meetings/:meetingId/leave
+ */
+export async function leaveMeeting(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    if (!meeting.notetakerId || !['joining', 'recording'].includes(meeting.status)) {
+      throw new ConflictError(`Bot is not in the meeting (status ${meeting.status})`, {
+        details: { status: meeting.status },
+      });
+    }
+
+    await nylasService.leaveMeeting(meeting.grantId, meeting.notetakerId);
+
+    // Nylas follows up with meeting_state api_request and notetaker.media webhooks
+    const { applied } = await meetingService.transitionStatus(meeting.id, 'processing', { source: 'api:leave' });
+    if (applied) {
+      await meetingService.updateProgress(meeting.id, 'Bot removed from meeting. Processing recording...', 80, {
+        source: 'api:leave',
+      });
+    }
+
+    const updatedMeeting = await meetingService.getMeeting(meetingId);
+    res.json({
+      success: true,
+      meeting: updatedMeeting,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a meeting's data. The meeting is hidden right away (soft delete) and purged
+ * with its transcript, note and media once the retention grace period is over.
+ * DELETE /api/meetings/:meetingId/data
+ */
+export async function deleteMeetingData(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    if (!isTerminal(meeting.status)) {
+      throw new ConflictError(`Meeting is still ${meeting.status}; cancel it or remove the bot before deleting its data`, {
+        details: { status: meeting.status },
+      });
+    }
+
+    const deleted = await meetingService.softDeleteMeeting(meeting.id);
+    const { deletedGraceDays } = retentionService.getPolicy();
+    const purgeAfter = new Date(new Date(deleted.deletedAt).getTime() + deletedGraceDays * 24 * 60 * 60 * 1000);
+
+    console.log(`🗑️  Meeting ${meeting.id} deleted (purge after ${purgeAfter.toISOString()})`);
+
+    res.json({
+      success: true,
+      meetingId: meeting.id,
+      deletedAt: deleted.deletedAt,
+      purgeAfter: purgeAfter.toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Restore a deleted meeting before it is purged
+ * POST /api/meetings/:meetingId/restore
+ */
+export async function restoreMeeting(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId, { includeDeleted: true });
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found (it may already have been purged)');
+    }
+
+    if (!meeting.deletedAt) {
+      throw new ConflictError('Meeting is not deleted');
+    }
+
+    const restored = await meetingService.restoreMeeting(meeting.id);
+
+    res.json({
+      success: true,
+      meeting: restored,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Base URL for share links
+ * @param {Object} req - Express request
+ * @returns {string} PUBLIC_BASE_URL, or the URL the request was made to
+ */
+function getPublicBaseUrl(req) {
+  return config.server.publicUrl || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Add the status and URL to a share for API responses
+ * @param {Object} req - Express request
+ * @param {Object} share - Share
+ * @returns {Object} Share with status and url
+ */
+function toShareResponse(req, share) {
+  return {
+    ...share,
+    status: shareService.getStatus(share),
+    url: shareService.buildUrl(share, getPublicBaseUrl(req)),
+  };
+}
+
+/**
+ * Create an expiring, read-only link to a meeting's note for people without an API key
+ * POST /api/meetings/:meetingId/shares
+ */
+export async function createMeetingShare(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const { expiresInHours = config.shares.defaultTtlHours, includeTranscript, includeRecording, recipient } = req.body;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    if (!meeting.note && meeting.purgedArtifacts?.note) {
+      throw new GoneError('Note was deleted by the retention policy', {
+        details: { purgedAt: meeting.purgedArtifacts.note },
+      });
+    }
+
+    if (!meeting.note) {
+      throw new ConflictError('Note not available yet. Share the meeting once its note is ready.', {
+        details: { status: meeting.status },
+      });
+    }
+
+    const share = await shareService.createShare(meeting.id, {
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+      includeTranscript,
+      includeRecording,
+      recipient: recipient?.trim() || null,
+      tenantId: req.tenant?.id,
+    });
+
+    console.log(`🔗 Share link ${share.id} created for meeting ${meeting.id} (expires ${share.expiresAt})`);
+
+    res.status(201).json({
+      success: true,
+      share: toShareResponse(req, share),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a meeting's share links
+ * GET /api/meetings/:meetingId/shares
+ */
+export async function listMeetingShares(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+    const meeting = await getTenantMeeting(req, meetingId);
+
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found');
+    }
+
+    const shares = await shareService.listShares(meeting.id);
+
+    res.json({
+      success: true,
+      shares: shares.map(share => toShareResponse(req, share)),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one of a meeting's share links
+ * @param {Object} req - Express request (meetingId and shareId params)
+ * @returns {Promise<Object|null>} Share, or null if the meeting or link is not found
+ */
+async function getMeetingShare(req) {
+  const { meetingId, shareId } = req.params;
+  const meeting = await getTenantMeeting(req, meetingId);
+  if (!meeting) return null;
+
+  const share = await shareService.getShare(shareId);
+  return share && share.meetingId === meeting.id ? share : null;
+}
+
+/**
+ * Revoke a share link; it stops working immediately
+ * DELETE /api/meetings/:meetingId/shares/:shareId
+ */
+export async function revokeMeetingShare(req, res, next) {
+  try {
+    const share = await getMeetingShare(req);
+
+    if (!share) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    const revoked = await shareService.revokeShare(share);
+    console.log(`🔒 Share link ${share.id} of meeting ${share.meetingId} revoked`);
+
+    res.json({
+      success: true,
+      share: toShareResponse(req, revoked),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Access log of a share link: every time it was opened, including after it expired or was revoked
+ * GET /api/meetings/:meetingId/shares/:shareId/access?limit=
+ */
+export async function getMeetingShareAccess(req, res, next) {
+  try {
+    const share = await getMeetingShare(req);
+
+    if (!share) {
+      throw new NotFoundError('Share link not found');
+    }
+
+    const limit = req.query.limit || 100;
+    const access = await shareService.listAccess(share.id, { limit });
+
+    res.json({
+      success: true,
+      shareId: share.id,
+      recipient: share.recipient,
+      access,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
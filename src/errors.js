@@ -0,0 +1,214 @@
+/**
+ * Errors that map to an HTTP response. Services throw them, controllers pass them to
+ * next(), and the error middleware in server.js answers with `status` and a body of
+ * { error, code, ...details }. `code` is stable; clients should branch on it rather
+ * than on the message.
+ */
+
+export const ERROR_CODES = {
+  VALIDATION: 'validation_error',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  GONE: 'gone',
+  UNSUPPORTED_MEDIA_TYPE: 'unsupported_media_type',
+  RATE_LIMITED: 'rate_limited',
+  UPSTREAM_UNAVAILABLE: 'upstream_unavailable',
+  UPSTREAM_REJECTED: 'upstream_rejected',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  INTERNAL: 'internal_error',
+};
+
+const SERVICE_NAMES = {
+  nylas: 'Nylas',
+  s3: 'S3',
+  openai: 'OpenAI',
+  azure: 'Azure OpenAI',
+  anthropic: 'Anthropic',
+  local: 'the local LLM server',
+};
+
+/**
+ * Base class for errors with an HTTP status and error code
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Message for the client
+   * @param {Object} [options] - { status, code, details: extra response fields, retryAfter: seconds, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = 'AppError';
+    this.status = options.status || 500;
+    this.code = options.code || ERROR_CODES.INTERNAL;
+    this.details = options.details || {};
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  /**
+   * Response body for this error
+   * @returns {Object} { error, code, ...details }
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...this.details,
+      ...(this.retryAfter !== null ? { retryAfter: this.retryAfter } : {}),
+    };
+  }
+}
+
+/**
+ * The request is invalid (400)
+ */
+export class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 400, code: ERROR_CODES.VALIDATION });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The requested resource does not exist, here or at Nylas (404)
+ */
+export class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 404, code: ERROR_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The caller's credentials do not allow this request (403)
+ */
+export class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 403, code: ERROR_CODES.FORBIDDEN });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * The request is not possible in the resource's current state (409)
+ */
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 409, code: ERROR_CODES.CONFLICT });
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * The resource existed but was deleted by the retention policy (410)
+ */
+export class GoneError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 410, code: ERROR_CODES.GONE });
+    this.name = 'GoneError';
+  }
+}
+
+/**
+ * A rate limit or quota was hit, ours or an upstream service's (429, with Retry-After)
+ */
+export class RateLimitedError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, status: 429, code: ERROR_CODES.RATE_LIMITED });
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * An upstream service (Nylas, S3, an LLM provider) timed out, could not be reached or had a
+ * server error; the same request may succeed later (503)
+ */
+export class UpstreamUnavailableError extends AppError {
+  /**
+   * @param {string} service - nylas, s3 or an LLM provider (openai, azure, anthropic, local)
+   * @param {string} message - Message for the client
+   * @param {Object} [options] - { upstreamStatus, retryAfter, cause }
+   */
+  constructor(service, message, options = {}) {
+    super(message, {
+      ...options,
+      status: 503,
+      code: ERROR_CODES.UPSTREAM_UNAVAILABLE,
+      details: { service, ...(options.upstreamStatus ? { upstreamStatus: options.upstreamStatus } : {}) },
+    });
+    this.name = 'UpstreamUnavailableError';
+    this.service = service;
+  }
+}
+
+/**
+ * An upstream service refused the request (e.g. our credentials) or answered with
+ * something unusable; retrying the same request will not help (502)
+ */
+export class UpstreamRejectedError extends AppError {
+  /**
+   * @param {string} service - nylas, s3 or an LLM provider (openai, azure, anthropic, local)
+   * @param {string} message - Message for the client
+   * @param {Object} [options] - { upstreamStatus, cause }
+   */
+  constructor(service, message, options = {}) {
+    super(message, {
+      ...options,
+      status: 502,
+      code: ERROR_CODES.UPSTREAM_REJECTED,
+      details: { service, ...(options.upstreamStatus ? { upstreamStatus: options.upstreamStatus } : {}) },
+    });
+    this.name = 'UpstreamRejectedError';
+    this.service = service;
+  }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|number|undefined} value - Header value (seconds or an HTTP date)
+ * @returns {number|null} Seconds to wait, or null if absent or unparseable
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Turn an upstream HTTP failure into a typed error. Services map the responses that
+ * mean the client's request was wrong (e.g. Nylas 404 for an unknown grant) themselves
+ * and pass everything else here.
+ * @param {string} service - nylas, s3 or an LLM provider (openai, azure, anthropic, local)
+ * @param {string} action - What we were doing, e.g. "deploy notetaker"
+ * @param {Object} failure - { status, message, retryAfter, cause }; status is undefined if there was no response
+ * @returns {AppError} RateLimitedError, UpstreamUnavailableError or UpstreamRejectedError
+ */
+export function upstreamError(service, action, { status, message, retryAfter, cause } = {}) {
+  const name = SERVICE_NAMES[service] || service;
+  const reason = message ? `: ${message}` : '';
+
+  if (!status) {
+    return new UpstreamUnavailableError(service, `Could not ${action}: ${name} did not respond${reason}`, { cause });
+  }
+  if (status === 429) {
+    return new RateLimitedError(`Could not ${action}: ${name} rate limit reached${reason}`, {
+      retryAfter: retryAfter ?? 60,
+      details: { service },
+      cause,
+    });
+  }
+  if (status >= 500) {
+    return new UpstreamUnavailableError(service, `Could not ${action}: ${name} is unavailable (HTTP ${status})${reason}`, {
+      upstreamStatus: status,
+      retryAfter,
+      cause,
+    });
+  }
+  return new UpstreamRejectedError(service, `Could not ${action}: ${name} refused the request (HTTP ${status})${reason}`, {
+    upstreamStatus: status,
+    cause,
+  });
+}
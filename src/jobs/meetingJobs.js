@@ -0,0 +1,218 @@
+import axios from 'axios';
+import jobService, { JOB_TYPES } from '../services/jobService.js';
+import meetingService from '../services/meetingService.js';
+import nylasService from '../services/nylasService.js';
+import s3Service from '../services/s3Service.js';
+import tenantService from '../services/tenantService.js';
+import usageService, { USAGE_METRICS } from '../services/usageService.js';
+import noteTemplateService from '../services/noteTemplateService.js';
+import { generateNote, isLlmEnabled, isLlmNote } from '../services/noteGenerator.js';
+import { transcribeRecording as transcribe } from '../services/transcription/index.js';
+import { readUpload } from '../services/uploadStorage.js';
+
+/**
+ * Load the meeting a job belongs to
+ * @param {Object} job - Job
+ * @returns {Promise<Object>} Meeting
+ */
+async function getJobMeeting(job) {
+  const meeting = await meetingService.getMeeting(job.meetingId);
+  if (!meeting) {
+    throw new Error(`Meeting ${job.meetingId} not found`);
+  }
+  return meeting;
+}
+
+/**
+ * Mark a meeting as failed when a job it depends on is dead-lettered
+ * @param {Object} job - Dead job
+ * @param {Error} error - Error from the last attempt
+ * @param {string} message - Progress message shown to the user
+ */
+async function failMeeting(job, error, message) {
+  const { applied } = await meetingService.transitionStatus(job.meetingId, 'failed', {
+    reason: `${job.type}: ${error.message}`,
+    source: `job:${job.type}`,
+  });
+  if (applied) {
+    await meetingService.updateProgress(job.meetingId, message, 0, { source: `job:${job.type}` });
+  }
+}
+
+/**
+ * Check whether the tenant that created a meeting has LLM note generations left this month
+ * @param {Object} meeting - Meeting
+ * @returns {Promise<boolean>} True if the note may be generated with the LLM (always, for
+ *   providers that don't count against the quota)
+ */
+async function hasNoteQuota(meeting) {
+  if (!isLlmEnabled(meeting.llmProvider)) return true;
+
+  const tenant = meeting.tenantId ? await tenantService.getTenant(meeting.tenantId) : null;
+  const quota = await usageService.checkQuota(tenant, USAGE_METRICS.NOTE_GENERATIONS);
+  if (!quota.allowed) {
+    console.warn(`🚦 Note generation quota (${quota.limit}) used up for meeting ${meeting.id}; using basic note generation`);
+  }
+  return quota.allowed;
+}
+
+/**
+ * fetch-transcript: download the transcript from the media URL, falling back to the
+ * Nylas API, then queue note generation.
+ * Payload: { notetakerId, grantId, transcriptUrl?, summaryUrl?, actionItemsUrl? }
+ */
+const fetchTranscript = {
+  async run(job) {
+    const meeting = await getJobMeeting(job);
+    const { notetakerId, grantId, transcriptUrl, summaryUrl, actionItemsUrl } = job.payload;
+
+    await meetingService.transitionStatus(meeting.id, 'processing', { source: `job:${job.type}` });
+
+    let transcript = null;
+
+    if (transcriptUrl) {
+      try {
+        console.log('   Attempting to download transcript from:', transcriptUrl);
+        // Note: Some URLs might require authentication or have CORS restrictions
+        const transcriptResponse = await axios.get(transcriptUrl, {
+          timeout: 30000, // 30 second timeout
+          headers: {
+            'Accept': 'application/json',
+          },
+        });
+        transcript = transcriptResponse.data;
+      } catch (error) {
+        console.error('❌ Error fetching transcript from media URL:', error.message);
+        console.error('   Status:', error.response?.status);
+        console.log('   Falling back to API method...');
+      }
+    }
+
+    if (!transcript) {
+      transcript = await nylasService.getTranscript(grantId || meeting.grantId, notetakerId || meeting.notetakerId);
+    }
+
+    if (!transcript) {
+      throw new Error('Transcript is not available yet');
+    }
+
+    console.log('   ✅ Transcript downloaded successfully');
+    await meetingService.setTranscript(meeting.id, transcript);
+
+    await jobService.enqueue(JOB_TYPES.GENERATE_NOTE, { summaryUrl, actionItemsUrl }, {
+      meetingId: meeting.id,
+      unique: true,
+    });
+  },
+
+  async onDead(job, error) {
+    await failMeeting(job, error, 'Error fetching transcript');
+  },
+};
+
+/**
+ * generate-note: generate the note from the stored transcript and complete the meeting.
+ * Payload: { summaryUrl?, actionItemsUrl? }
+ */
+const generateNoteJob = {
+  async run(job) {
+    const meeting = await getJobMeeting(job);
+    const { summaryUrl, actionItemsUrl } = job.payload;
+
+    if (!meeting.transcript) {
+      throw new Error('Meeting has no transcript');
+    }
+
+    // Past the monthly quota the meeting still completes, with a basic note
+    const note = await generateNote(meeting.transcript, {
+      useLlm: await hasNoteQuota(meeting),
+      template: await noteTemplateService.resolveTemplate(meeting.template),
+      provider: meeting.llmProvider,
+    });
+    if (isLlmNote(note)) {
+      await usageService.recordUsage(meeting.tenantId, USAGE_METRICS.NOTE_GENERATIONS, { meetingId: meeting.id });
+    }
+
+    await meetingService.setNote(meeting.id, {
+      ...note,
+      ...(summaryUrl ? { summaryUrl } : {}),
+      ...(actionItemsUrl ? { actionItemsUrl } : {}),
+    });
+
+    const { applied } = await meetingService.transitionStatus(meeting.id, 'completed', {
+      source: `job:${job.type}`,
+    });
+    if (applied) {
+      await meetingService.updateProgress(meeting.id, 'Note generated successfully!', 100, { source: `job:${job.type}` });
+    }
+    console.log('✅ Note generated from media files');
+  },
+
+  async onDead(job, error) {
+    await failMeeting(job, error, 'Error generating note');
+  },
+};
+
+/**
+ * upload-recording: copy the Nylas recording to S3 (Nylas media URLs expire).
+ * Payload: { recordingUrl }
+ */
+const uploadRecording = {
+  async run(job) {
+    const meeting = await getJobMeeting(job);
+    const { recordingUrl } = job.payload;
+
+    if (!s3Service.enabled) {
+      await meetingService.setRecording(meeting.id, recordingUrl);
+      return;
+    }
+
+    const s3Key = `recordings/${meeting.id}/${Date.now()}.mp3`;
+    const s3Url = await s3Service.copyFromUrl(recordingUrl, s3Key, 'audio/mpeg');
+    await meetingService.setRecording(meeting.id, s3Url);
+    console.log(`   ✅ Recording uploaded to S3: ${s3Url}`);
+  },
+
+  async onDead(job) {
+    // Keep the original URL so the recording is at least reachable until it expires
+    console.error('   ⚠️  Failed to upload recording to S3, using original URL');
+    await meetingService.setRecording(job.meetingId, job.payload.recordingUrl);
+  },
+};
+
+/**
+ * transcribe-recording: transcribe an uploaded recording, then queue note generation.
+ * Payload: { storage, key, filename, contentType, language? }
+ */
+const transcribeRecording = {
+  async run(job) {
+    const meeting = await getJobMeeting(job);
+    const { storage, key, filename, contentType, language } = job.payload;
+
+    const buffer = await readUpload({ storage, key });
+    const transcript = await transcribe(buffer, { filename, contentType, language });
+
+    console.log(`   ✅ Transcribed ${transcript.transcript.length} segments with ${transcript.provider}`);
+    await meetingService.setTranscript(meeting.id, transcript);
+    await meetingService.updateProgress(meeting.id, 'Recording transcribed. Generating note...', 90, { source: `job:${job.type}` });
+
+    await jobService.enqueue(JOB_TYPES.GENERATE_NOTE, {}, {
+      meetingId: meeting.id,
+      unique: true,
+    });
+  },
+
+  async onDead(job, error) {
+    await failMeeting(job, error, 'Error transcribing recording');
+  },
+};
+
+/**
+ * Register handlers for meeting processing jobs
+ */
+export function registerMeetingJobs() {
+  jobService.registerHandler(JOB_TYPES.FETCH_TRANSCRIPT, fetchTranscript);
+  jobService.registerHandler(JOB_TYPES.GENERATE_NOTE, generateNoteJob);
+  jobService.registerHandler(JOB_TYPES.UPLOAD_RECORDING, uploadRecording);
+  jobService.registerHandler(JOB_TYPES.TRANSCRIBE_RECORDING, transcribeRecording);
+}
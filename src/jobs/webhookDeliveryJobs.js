@@ -0,0 +1,41 @@
+import jobService, { JOB_TYPES } from '../services/jobService.js';
+import webhookSubscriptionService from '../services/webhookSubscriptionService.js';
+
+/**
+ * deliver-webhook: POST one outbound webhook delivery; a non-2xx answer is retried with backoff.
+ * Payload: { deliveryId }
+ */
+const deliverWebhook = {
+  async run(job) {
+    const delivery = await webhookSubscriptionService.getDelivery(job.payload.deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+
+    const subscription = await webhookSubscriptionService.getSubscription(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      await webhookSubscriptionService.updateDelivery(delivery.id, {
+        status: 'failed',
+        lastError: 'Subscription was deleted or disabled',
+      });
+      return;
+    }
+
+    await webhookSubscriptionService.send(delivery, subscription);
+  },
+
+  async onDead(job, error) {
+    await webhookSubscriptionService.updateDelivery(job.payload.deliveryId, {
+      status: 'failed',
+      lastError: error.message,
+    });
+  },
+};
+
+/**
+ * Register the handler for outbound webhook deliveries and start forwarding meeting events
+ */
+export function registerWebhookDeliveryJobs() {
+  jobService.registerHandler(JOB_TYPES.DELIVER_WEBHOOK, deliverWebhook);
+  webhookSubscriptionService.listen();
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import tenantService from '../services/tenantService.js';
+import { config } from '../config.js';
+import { ERROR_CODES } from '../errors.js';
+
+/**
+ * Read the API key from `Authorization: Bearer <key>` or `X-API-Key`. Event streams
+ * may also pass it as ?apiKey=, because browsers' EventSource cannot set headers.
+ * @param {Object} req - Express request
+ * @returns {string|null} API key or null
+ */
+function getApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+  }
+
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key').trim();
+  }
+
+  if (req.path.endsWith('/events') && typeof req.query.apiKey === 'string') {
+    return req.query.apiKey;
+  }
+
+  return null;
+}
+
+/**
+ * Compare a key to ADMIN_API_KEY in constant time
+ * @param {string} key - API key from the request
+ * @returns {boolean} True if it is the admin key
+ */
+function isAdminKey(key) {
+  if (!config.auth.adminKey) return false;
+
+  // Hash both so the comparison does not leak the admin key's length
+  const expected = crypto.createHash('sha256').update(config.auth.adminKey).digest();
+  const received = crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check whether authentication is turned off for local development
+ * @returns {boolean} True if requests without a key should be accepted
+ */
+function isAuthDisabled() {
+  return config.auth.disabled && config.server.env !== 'production';
+}
+
+/**
+ * Reject a request without valid credentials
+ * @param {Object} res - Express response
+ * @param {string} error - Error message
+ */
+function unauthorized(res, error) {
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({ error, code: ERROR_CODES.UNAUTHORIZED });
+}
+
+/**
+ * Authenticate a tenant API key and set req.tenant, which scopes the request to the
+ * tenant's meetings. The admin key is accepted too and sees every meeting
+ * (req.tenant = null, req.isAdmin = true).
+ */
+export async function authenticateApiKey(req, res, next) {
+  if (isAuthDisabled()) {
+    req.tenant = null;
+    return next();
+  }
+
+  const key = getApiKey(req);
+  if (!key) {
+    return unauthorized(res, 'API key required. Send it as "Authorization: Bearer <key>".');
+  }
+
+  if (isAdminKey(key)) {
+    req.tenant = null;
+    req.isAdmin = true;
+    return next();
+  }
+
+  try {
+    const result = await tenantService.authenticate(key);
+
+    if (!result) {
+      return unauthorized(res, 'Invalid or revoked API key');
+    }
+
+    req.tenant = result.tenant;
+    req.apiKey = result.apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only allow requests made with ADMIN_API_KEY
+ */
+export function requireAdmin(req, res, next) {
+  if (isAuthDisabled()) {
+    return next();
+  }
+
+  if (!config.auth.adminKey) {
+    console.error('❌ Rejecting admin request: ADMIN_API_KEY is not configured');
+    return unauthorized(res, 'Admin API is not configured');
+  }
+
+  const key = getApiKey(req);
+  if (!key || !isAdminKey(key)) {
+    return unauthorized(res, 'Admin API key required');
+  }
+
+  req.isAdmin = true;
+  next();
+}
@@ -0,0 +1,76 @@
+import { config } from '../config.js';
+import { RateLimitedError } from '../errors.js';
+
+/**
+ * Identify who a request is counted against: its API key, or the client IP for the
+ * admin key and for development requests without a key
+ * @param {Object} req - Express request (req.apiKey is set by authenticateApiKey)
+ * @returns {string} Rate limit key
+ */
+function getClientKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Create a fixed-window rate limiter. Counters are kept in memory, so each server
+ * process enforces its own limit. Every response gets RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers; rejected requests get a 429
+ * with Retry-After.
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Name used in logs (each limiter keeps its own counts)
+ * @param {number} options.max - Requests allowed per window (0 = no limit)
+ * @param {number} [options.windowMs] - Window length in milliseconds
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ name, max, windowMs = config.rateLimit.windowMs }) {
+  const windows = new Map();
+  let nextCleanup = Date.now() + windowMs;
+
+  return function rateLimit(req, res, next) {
+    if (!max) {
+      return next();
+    }
+
+    const now = Date.now();
+
+    // Forget clients whose window has ended
+    if (now >= nextCleanup) {
+      for (const [key, window] of windows) {
+        if (window.resetAt <= now) windows.delete(key);
+      }
+      nextCleanup = now + windowMs;
+    }
+
+    const key = getClientKey(req);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (window.count > max) {
+      console.warn(`🚦 Rate limit "${name}" exceeded by ${key} (${req.method} ${req.originalUrl})`);
+      return next(new RateLimitedError(
+        `Rate limit exceeded: ${max} requests per ${Math.ceil(windowMs / 1000)} seconds. Retry in ${resetSeconds} seconds.`,
+        { retryAfter: resetSeconds }
+      ));
+    }
+
+    next();
+  };
+}
+
+// Every meeting API request
+export const apiRateLimit = createRateLimiter({ name: 'api', max: config.rateLimit.max });
+
+// Requests that deploy a bot or call an LLM or transcription provider (counted on top of apiRateLimit)
+export const costlyRateLimit = createRateLimiter({ name: 'costly', max: config.rateLimit.costlyMax });
@@ -0,0 +1,130 @@
+import { getOperation, openApiSpec } from '../openapi/index.js';
+import { validateSchema, coerceParameter } from '../services/schemaValidator.js';
+import { config } from '../config.js';
+import { ValidationError } from '../errors.js';
+
+/**
+ * Read a parameter from the request
+ * @param {Object} req - Express request
+ * @param {Object} parameter - OpenAPI parameter
+ * @returns {*} Raw value, or undefined if it was not sent
+ */
+function getParameterValue(req, parameter) {
+  switch (parameter.in) {
+    case 'path':
+      return req.params[parameter.name];
+    case 'query':
+      return req.query[parameter.name];
+    case 'header':
+      return req.get(parameter.name);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Validate the parameters of a request. Query and path values are converted to their
+ * schema types in place (e.g. limit=20 becomes a number).
+ * @param {Object} req - Express request
+ * @param {Array<Object>} parameters - OpenAPI parameters
+ * @returns {Array<Object>} Errors: { in, field, message }
+ */
+function validateParameters(req, parameters) {
+  const errors = [];
+
+  for (const parameter of parameters) {
+    const raw = getParameterValue(req, parameter);
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) {
+        errors.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const value = coerceParameter(parameter.schema, raw, openApiSpec);
+    const parameterErrors = validateSchema(parameter.schema, value, { root: openApiSpec, path: parameter.name });
+    errors.push(...parameterErrors.map(error => ({ in: parameter.in, ...error })));
+
+    if (parameterErrors.length === 0 && parameter.in === 'query') {
+      req.query[parameter.name] = value;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a JSON request body. Other content types (raw uploads, text transcripts)
+ * are left to the route's own body parser.
+ * @param {Object} req - Express request
+ * @param {Object} [requestBody] - OpenAPI request body
+ * @returns {Array<Object>} Errors: { in, field, message }
+ */
+function validateBody(req, requestBody) {
+  const schema = requestBody?.content?.['application/json']?.schema;
+  const isJsonBody = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body);
+  if (!schema || !isJsonBody) return [];
+
+  return validateSchema(schema, req.body, { root: openApiSpec })
+    .map(error => ({ in: 'body', field: error.field || 'body', message: error.message }));
+}
+
+/**
+ * Log responses that do not match the documented schema (development aid; the
+ * response is still sent unchanged)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} operation - OpenAPI operation
+ * @param {string} operationId - operationId
+ */
+function checkResponses(req, res, operation, operationId) {
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    const response = operation.responses[res.statusCode] || operation.responses.default;
+    const schema = response?.content?.['application/json']?.schema;
+
+    if (!response) {
+      console.warn(`⚠️  ${operationId} answered with undocumented status ${res.statusCode}`);
+    } else if (schema) {
+      const errors = validateSchema(schema, JSON.parse(JSON.stringify(body)), { root: openApiSpec });
+      if (errors.length > 0) {
+        console.warn(`⚠️  ${operationId} ${res.statusCode} response does not match the OpenAPI document:`,
+          errors.slice(0, 5).map(error => `${error.field || 'body'} ${error.message}`).join('; '));
+      }
+    }
+
+    return json(body);
+  };
+}
+
+/**
+ * Validate a request against its operation in the OpenAPI document. Invalid requests
+ * get a 400 listing every problem: { error, code, errors: [{ in, field, message }] }.
+ * @param {string} operationId - operationId from src/openapi/spec.js
+ * @returns {Function} Express middleware
+ */
+export function validateRequest(operationId) {
+  // Throws at startup if a route names an operation the document does not have
+  const operation = getOperation(operationId);
+
+  return function validate(req, res, next) {
+    const errors = [
+      ...validateParameters(req, operation.parameters),
+      ...validateBody(req, operation.requestBody),
+    ];
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors.map(error => `${error.field} ${error.message}`).join('; '), {
+        details: { errors },
+      }));
+    }
+
+    if (config.openapi.validateResponses) {
+      checkResponses(req, res, operation, operationId);
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,60 @@
+import { openApiSpec } from './spec.js';
+
+export { openApiSpec };
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Resolve a local $ref in the OpenAPI document
+ * @param {Object} node - Object that may be a $ref
+ * @returns {Object} Referenced object
+ */
+function resolveRef(node) {
+  if (!node?.$ref) return node;
+  return resolveRef(node.$ref.replace(/^#\//, '').split('/').reduce((target, key) => target?.[key], openApiSpec));
+}
+
+/**
+ * Index every operation by operationId, with path-level and operation-level
+ * parameters merged and their $refs resolved
+ * @returns {Map<string, Object>} operationId -> { method, path, parameters, requestBody, responses }
+ */
+function indexOperations() {
+  const operations = new Map();
+
+  for (const [path, pathItem] of Object.entries(openApiSpec.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolveRef);
+      const responses = Object.fromEntries(Object.entries(operation.responses || {})
+        .map(([status, response]) => [status, resolveRef(response)]));
+
+      operations.set(operation.operationId, {
+        method,
+        path,
+        parameters,
+        requestBody: resolveRef(operation.requestBody),
+        responses,
+      });
+    }
+  }
+
+  return operations;
+}
+
+const operations = indexOperations();
+
+/**
+ * Get an operation of the OpenAPI document
+ * @param {string} operationId - operationId from the document
+ * @returns {Object} { method, path, parameters, requestBody, responses }
+ */
+export function getOperation(operationId) {
+  const operation = operations.get(operationId);
+  if (!operation) {
+    throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+  }
+  return operation;
+}
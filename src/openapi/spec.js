@@ -0,0 +1,961 @@
+import { config } from '../config.js';
+import { MEETING_STATUSES } from '../services/meetingStateMachine.js';
+import { MEETING_PLATFORMS } from '../services/meetingUrlParser.js';
+import { TRANSCRIPT_FORMATS } from '../services/transcriptParser.js';
+import { LLM_PROVIDERS } from '../services/llm/index.js';
+import { ERROR_CODES } from '../errors.js';
+
+/**
+ * OpenAPI 3.1 document for /api/meetings and /api/webhooks. Request schemas are
+ * enforced by the validateRequest middleware (looked up by operationId), so limits
+ * such as field lengths are defined here rather than in the controllers.
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const success = (description, properties, required = []) => ({
+  description,
+  ...json({
+    type: 'object',
+    properties: { success: { type: 'boolean', const: true }, ...properties },
+    required: ['success', ...required],
+  }),
+});
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+// Responses shared by every meeting route
+const meetingErrors = {
+  400: errorResponse('BadRequest'),
+  401: errorResponse('Unauthorized'),
+  429: errorResponse('TooManyRequests'),
+  500: errorResponse('InternalError'),
+};
+
+// Responses of routes that call Nylas, S3 or OpenAI
+const upstreamErrors = {
+  502: errorResponse('BadGateway'),
+  503: errorResponse('ServiceUnavailable'),
+};
+
+const meetingIdParameter = { $ref: '#/components/parameters/MeetingId' };
+const shareIdParameter = { $ref: '#/components/parameters/ShareId' };
+
+const grantIdSchema = {
+  type: 'string',
+  pattern: '^[\\w-]+$',
+  'x-error-message': 'must be a Nylas grant ID',
+};
+
+const templateIdSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 100,
+  description: 'Note template ID (GET /api/templates); default NOTE_DEFAULT_TEMPLATE',
+};
+
+const llmProviderSchema = {
+  type: 'string',
+  enum: LLM_PROVIDERS,
+  description: 'LLM provider that writes the note; must be configured on the server. Default LLM_PROVIDER',
+};
+
+const meetingDetailProperties = {
+  title: nullable({ type: 'string', maxLength: 200 }),
+  description: nullable({ type: 'string', maxLength: 5000 }),
+  organizer: nullable({ type: 'string', maxLength: 200, description: 'Organizer name or email' }),
+  tags: {
+    type: 'array',
+    maxItems: 20,
+    description: 'Stored lowercase and without duplicates',
+    items: { type: 'string', maxLength: 50, pattern: '^[^,]*$', 'x-error-message': 'must be a string of at most 50 characters without commas' },
+  },
+  metadata: {
+    type: 'object',
+    description: 'Custom fields (at most 8 KB of JSON). On PATCH, fields are merged and null removes a field.',
+  },
+};
+
+const joinTimeSchema = {
+  anyOf: [
+    { type: 'integer', description: 'Unix timestamp in seconds' },
+    { type: 'string', description: 'ISO 8601 date-time; without an offset it is read in timezone' },
+  ],
+  description: 'When the bot should join (must be in the future)',
+};
+
+const timezoneSchema = { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin' };
+
+const shareIncludeProperties = {
+  includeTranscript: { type: 'boolean', default: true },
+  includeRecording: { type: 'boolean', default: false },
+};
+
+export const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Meeting Note Taker API',
+    version: '1.0.0',
+    description: 'Sends a Nylas Notetaker bot to Google Meet, Zoom and Microsoft Teams meetings and generates notes from the transcript.',
+  },
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  tags: [
+    { name: 'Meetings', description: 'Meetings, notes and transcripts' },
+    { name: 'Events', description: 'Live updates over Server-Sent Events' },
+    { name: 'Shares', description: 'Expiring, read-only links to notes' },
+    { name: 'Webhooks', description: 'Nylas webhook receiver and event log' },
+  ],
+  paths: {
+    '/api/meetings': {
+      post: {
+        operationId: 'addMeeting',
+        tags: ['Meetings'],
+        summary: 'Send a bot to a meeting',
+        description: 'Counts against the monthly bot deployment quota. If Nylas cannot deploy the bot (unknown grant, '
+          + 'a link it rejects, an outage), the meeting is kept as failed and the error includes its meetingId.',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['meetingUrl', 'grantId'],
+            properties: {
+              meetingUrl: { type: 'string', minLength: 1, description: 'Google Meet, Zoom or Microsoft Teams link' },
+              grantId: grantIdSchema,
+              joinTime: joinTimeSchema,
+              timezone: timezoneSchema,
+              template: templateIdSchema,
+              llmProvider: llmProviderSchema,
+              ...meetingDetailProperties,
+            },
+          }),
+        },
+        responses: {
+          201: success('Meeting created and bot deployed (or scheduled)', { meeting: ref('Meeting') }, ['meeting']),
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+          404: errorResponse('NotFound'),
+          ...upstreamErrors,
+        },
+      },
+      get: {
+        operationId: 'listMeetings',
+        tags: ['Meetings'],
+        summary: 'List meetings',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string' }, description: `Comma-separated statuses (${MEETING_STATUSES.join(', ')})` },
+          { name: 'grantId', in: 'query', schema: grantIdSchema },
+          { name: 'platform', in: 'query', schema: { type: 'string', enum: MEETING_PLATFORMS } },
+          { name: 'tag', in: 'query', schema: { type: 'string' }, description: 'Comma-separated tags; meetings must have all of them' },
+          { name: 'createdFrom', in: 'query', schema: { type: 'string' }, description: 'ISO 8601 date or date-time' },
+          { name: 'createdTo', in: 'query', schema: { type: 'string' }, description: 'ISO 8601 date or date-time' },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: ['createdAt', 'updatedAt'], default: 'createdAt' } },
+          { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+          { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor from the previous page' },
+        ],
+        responses: {
+          200: success('A page of meetings (without transcripts and notes)', {
+            meetings: { type: 'array', items: ref('MeetingSummary') },
+            nextCursor: nullable({ type: 'string' }),
+          }, ['meetings']),
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+        },
+      },
+    },
+    '/api/meetings/import': {
+      post: {
+        operationId: 'importTranscript',
+        tags: ['Meetings'],
+        summary: 'Import a transcript from another tool',
+        description: 'Raw text/vtt, application/x-subrip and text/plain bodies are accepted too, with format, grantId, meetingUrl, template and llmProvider in the query string.',
+        parameters: [
+          { name: 'format', in: 'query', schema: { type: 'string', enum: TRANSCRIPT_FORMATS } },
+          { name: 'grantId', in: 'query', schema: grantIdSchema },
+          { name: 'meetingUrl', in: 'query', schema: { type: 'string' } },
+          { name: 'template', in: 'query', schema: templateIdSchema },
+          { name: 'llmProvider', in: 'query', schema: llmProviderSchema },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['transcript'],
+                properties: {
+                  transcript: {
+                    anyOf: [
+                      { type: 'string', minLength: 1, description: 'File content' },
+                      { ...ref('Transcript'), description: 'Nylas-style transcript' },
+                    ],
+                  },
+                  format: { type: 'string', enum: TRANSCRIPT_FORMATS, description: 'Detected from the content if omitted' },
+                  grantId: grantIdSchema,
+                  meetingUrl: { type: 'string' },
+                  template: templateIdSchema,
+                  llmProvider: llmProviderSchema,
+                  ...meetingDetailProperties,
+                },
+              },
+            },
+            'text/vtt': { schema: { type: 'string' } },
+            'application/x-subrip': { schema: { type: 'string' } },
+            'text/plain': { schema: { type: 'string' } },
+          },
+        },
+        responses: {
+          201: success('Transcript imported; the note is generated in the background', {
+            format: { type: 'string', enum: TRANSCRIPT_FORMATS },
+            segmentCount: { type: 'integer' },
+            meeting: ref('MeetingSummary'),
+          }, ['meeting']),
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+        },
+      },
+    },
+    '/api/meetings/upload': {
+      post: {
+        operationId: 'uploadRecording',
+        tags: ['Meetings'],
+        summary: 'Upload a recording to transcribe',
+        parameters: [
+          { name: 'grantId', in: 'query', schema: grantIdSchema },
+          { name: 'meetingUrl', in: 'query', schema: { type: 'string' } },
+          { name: 'filename', in: 'query', schema: { type: 'string', maxLength: 255 } },
+          { name: 'language', in: 'query', schema: { type: 'string', pattern: '^[a-z]{2}$', 'x-error-message': 'must be an ISO-639-1 code, e.g. en' } },
+          { name: 'template', in: 'query', schema: templateIdSchema },
+          { name: 'llmProvider', in: 'query', schema: llmProviderSchema },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'audio/*': { schema: { type: 'string', contentMediaType: 'audio/*' } },
+            'video/*': { schema: { type: 'string', contentMediaType: 'video/*' } },
+          },
+        },
+        responses: {
+          201: success('Recording stored; transcription runs in the background', { meeting: ref('MeetingSummary') }, ['meeting']),
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+          413: { description: `Recording larger than ${config.transcription.maxUploadSize}` },
+          415: errorResponse('UnsupportedMediaType'),
+          ...upstreamErrors,
+        },
+      },
+    },
+    '/api/meetings/events': {
+      get: {
+        operationId: 'streamGrantEvents',
+        tags: ['Events'],
+        summary: 'Live events for every meeting of a grant',
+        parameters: [
+          { name: 'grantId', in: 'query', required: true, schema: grantIdSchema },
+          { $ref: '#/components/parameters/LastEventId' },
+          { $ref: '#/components/parameters/ApiKeyQuery' },
+        ],
+        responses: {
+          200: { $ref: '#/components/responses/EventStream' },
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+        },
+      },
+    },
+    '/api/meetings/search': {
+      get: {
+        operationId: 'searchMeetings',
+        tags: ['Meetings'],
+        summary: 'Search transcripts and notes',
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', pattern: '\\S', 'x-error-message': 'must not be empty' } },
+          { name: 'grantId', in: 'query', schema: grantIdSchema },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        ],
+        responses: {
+          200: success('Matching meetings, best match first', {
+            query: { type: 'string' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  meeting: ref('MeetingSummary'),
+                  hitCount: { type: 'integer' },
+                  hits: { type: 'array', items: ref('SearchHit') },
+                },
+                required: ['meeting', 'hits'],
+              },
+            },
+          }, ['results']),
+          ...meetingErrors,
+          403: errorResponse('Forbidden'),
+        },
+      },
+    },
+    '/api/meetings/scheduled': {
+      get: {
+        operationId: 'listScheduledMeetings',
+        tags: ['Meetings'],
+        summary: 'Meetings whose bot has not joined yet, soonest first',
+        responses: {
+          200: success('Scheduled meetings', { meetings: { type: 'array', items: ref('MeetingSummary') } }, ['meetings']),
+          ...meetingErrors,
+        },
+      },
+    },
+    '/api/meetings/{meetingId}': {
+      parameters: [meetingIdParameter],
+      get: {
+        operationId: 'getMeeting',
+        tags: ['Meetings'],
+        summary: 'Get a meeting with its transcript, note, timeline and jobs',
+        responses: {
+          200: success('Meeting', {
+            meeting: {
+              allOf: [ref('Meeting')],
+              type: 'object',
+              properties: {
+                timeline: { type: 'array', items: ref('TimelineEntry') },
+                jobs: { type: 'array', items: ref('Job') },
+              },
+            },
+          }, ['meeting']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+      patch: {
+        operationId: 'updateMeeting',
+        tags: ['Meetings'],
+        summary: 'Update details or reschedule the bot',
+        description: 'joinTime can only be changed while the meeting is scheduled.',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            properties: {
+              ...meetingDetailProperties,
+              joinTime: joinTimeSchema,
+              timezone: timezoneSchema,
+            },
+          }),
+        },
+        responses: {
+          200: success('Updated meeting', { meeting: ref('Meeting') }, ['meeting']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+          ...upstreamErrors,
+        },
+      },
+      delete: {
+        operationId: 'cancelMeeting',
+        tags: ['Meetings'],
+        summary: 'Cancel a bot that has not joined yet',
+        responses: {
+          200: success('Cancelled meeting', { meeting: ref('Meeting') }, ['meeting']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+          ...upstreamErrors,
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/leave': {
+      parameters: [meetingIdParameter],
+      post: {
+        operationId: 'leaveMeeting',
+        tags: ['Meetings'],
+        summary: 'Remove the bot from the meeting',
+        description: 'Whatever was recorded is still turned into a note.',
+        responses: {
+          200: success('Meeting being processed', { meeting: ref('Meeting') }, ['meeting']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+          ...upstreamErrors,
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/data': {
+      parameters: [meetingIdParameter],
+      delete: {
+        operationId: 'deleteMeetingData',
+        tags: ['Meetings'],
+        summary: 'Delete a finished meeting\'s data',
+        description: `The meeting is hidden right away and purged after ${config.retention.deletedGraceDays} days.`,
+        responses: {
+          200: success('Meeting deleted', {
+            meetingId: { type: 'string' },
+            deletedAt: { type: 'string', format: 'date-time' },
+            purgeAfter: { type: 'string', format: 'date-time' },
+          }, ['meetingId', 'deletedAt']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/restore': {
+      parameters: [meetingIdParameter],
+      post: {
+        operationId: 'restoreMeeting',
+        tags: ['Meetings'],
+        summary: 'Undo a delete before the meeting is purged',
+        responses: {
+          200: success('Restored meeting', { meeting: ref('Meeting') }, ['meeting']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/events': {
+      parameters: [meetingIdParameter],
+      get: {
+        operationId: 'streamMeetingEvents',
+        tags: ['Events'],
+        summary: 'Live status, progress and note events for a meeting',
+        parameters: [
+          { $ref: '#/components/parameters/LastEventId' },
+          { $ref: '#/components/parameters/ApiKeyQuery' },
+        ],
+        responses: {
+          200: { $ref: '#/components/responses/EventStream' },
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/timeline': {
+      parameters: [meetingIdParameter],
+      get: {
+        operationId: 'getMeetingTimeline',
+        tags: ['Meetings'],
+        summary: 'Every status and progress change, oldest first',
+        responses: {
+          200: success('Timeline', {
+            meetingId: { type: 'string' },
+            status: ref('MeetingStatus'),
+            failureReason: nullable({ type: 'string' }),
+            timeline: { type: 'array', items: ref('TimelineEntry') },
+          }, ['meetingId', 'timeline']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/note': {
+      parameters: [meetingIdParameter],
+      get: {
+        operationId: 'getMeetingNote',
+        tags: ['Meetings'],
+        summary: 'Get the note and transcript',
+        responses: {
+          200: success('Note', {
+            note: ref('Note'),
+            transcript: { anyOf: [ref('Transcript'), { type: 'null' }] },
+          }, ['note']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          410: errorResponse('Gone'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/regenerate-note': {
+      parameters: [meetingIdParameter],
+      post: {
+        operationId: 'regenerateNote',
+        tags: ['Meetings'],
+        summary: 'Generate the note again from the stored transcript',
+        description: 'Counts against the monthly note generation quota when an LLM provider is configured. If the LLM fails, '
+          + 'the error is returned and the current note is kept.',
+        requestBody: {
+          required: false,
+          ...json({
+            type: 'object',
+            properties: {
+              template: { ...templateIdSchema, description: 'Template to use this time (default: the meeting\'s template)' },
+              llmProvider: { ...llmProviderSchema, description: 'Provider to use this time (default: the meeting\'s provider)' },
+            },
+          }),
+        },
+        responses: {
+          200: success('Regenerated note', { message: { type: 'string' }, note: ref('Note') }, ['note']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          410: errorResponse('Gone'),
+          ...upstreamErrors,
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/shares': {
+      parameters: [meetingIdParameter],
+      post: {
+        operationId: 'createMeetingShare',
+        tags: ['Shares'],
+        summary: 'Create an expiring, read-only link to the note',
+        requestBody: {
+          ...json({
+            type: 'object',
+            properties: {
+              expiresInHours: {
+                type: 'number',
+                exclusiveMinimum: 0,
+                maximum: config.shares.maxTtlHours,
+                default: config.shares.defaultTtlHours,
+              },
+              ...shareIncludeProperties,
+              recipient: nullable({ type: 'string', maxLength: 200, description: 'Who the link is for (shown in the access log)' }),
+            },
+          }),
+        },
+        responses: {
+          201: success('Share link', { share: ref('Share') }, ['share']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+          409: errorResponse('Conflict'),
+          410: errorResponse('Gone'),
+        },
+      },
+      get: {
+        operationId: 'listMeetingShares',
+        tags: ['Shares'],
+        summary: 'List the meeting\'s share links',
+        responses: {
+          200: success('Share links, newest first', { shares: { type: 'array', items: ref('Share') } }, ['shares']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/shares/{shareId}': {
+      parameters: [meetingIdParameter, shareIdParameter],
+      delete: {
+        operationId: 'revokeMeetingShare',
+        tags: ['Shares'],
+        summary: 'Revoke a share link',
+        responses: {
+          200: success('Revoked share link', { share: ref('Share') }, ['share']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+    },
+    '/api/meetings/{meetingId}/shares/{shareId}/access': {
+      parameters: [meetingIdParameter, shareIdParameter],
+      get: {
+        operationId: 'getMeetingShareAccess',
+        tags: ['Shares'],
+        summary: 'Who opened a share link, and when',
+        parameters: [
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } },
+        ],
+        responses: {
+          200: success('Access log, newest first', {
+            shareId: { type: 'string' },
+            recipient: nullable({ type: 'string' }),
+            access: { type: 'array', items: ref('ShareAccess') },
+          }, ['shareId', 'access']),
+          ...meetingErrors,
+          404: errorResponse('NotFound'),
+        },
+      },
+    },
+    '/api/webhooks/nylas': {
+      get: {
+        operationId: 'verifyNylasWebhook',
+        tags: ['Webhooks'],
+        summary: 'Nylas challenge verification',
+        security: [],
+        parameters: [
+          { name: 'challenge', in: 'query', required: true, schema: { type: 'string', minLength: 1 } },
+        ],
+        responses: {
+          200: { description: 'The challenge value, as plain text', content: { 'text/plain': { schema: { type: 'string' } } } },
+          400: errorResponse('BadRequest'),
+        },
+      },
+      post: {
+        operationId: 'receiveNylasWebhook',
+        tags: ['Webhooks'],
+        summary: 'Receive a Nylas notetaker webhook',
+        description: 'Signed with the webhook secret in X-Nylas-Signature. Events are stored before they are acknowledged, then processed in the background.',
+        security: [],
+        parameters: [
+          { name: 'X-Nylas-Signature', in: 'header', schema: { type: 'string' }, description: 'Hex HMAC-SHA256 of the raw body (requests without a valid one get 401)' },
+        ],
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['type', 'data'],
+            properties: {
+              id: { type: 'string' },
+              type: { type: 'string', description: 'e.g. notetaker.meeting_state, notetaker.media' },
+              data: { type: 'object' },
+            },
+          }),
+        },
+        responses: {
+          200: {
+            description: 'Event stored',
+            ...json({
+              type: 'object',
+              properties: { received: { type: 'boolean' }, duplicate: { type: 'boolean' } },
+              required: ['received'],
+            }),
+          },
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          500: errorResponse('InternalError'),
+        },
+      },
+    },
+    '/api/webhooks/events': {
+      get: {
+        operationId: 'listWebhookEvents',
+        tags: ['Webhooks'],
+        summary: 'List recorded webhook events',
+        description: 'Needs ADMIN_API_KEY.',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'processed', 'failed'] } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } },
+        ],
+        responses: {
+          200: success('Webhook events', { events: { type: 'array', items: ref('WebhookEvent') } }, ['events']),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          500: errorResponse('InternalError'),
+        },
+      },
+    },
+    '/api/webhooks/events/replay': {
+      post: {
+        operationId: 'replayWebhookEvents',
+        tags: ['Webhooks'],
+        summary: 'Replay the webhook events received in a time range',
+        description: 'Needs ADMIN_API_KEY.',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            required: ['from', 'to'],
+            properties: {
+              from: { type: 'string', format: 'date-time' },
+              to: { type: 'string', format: 'date-time' },
+              status: { type: 'string', enum: ['pending', 'processed', 'failed'] },
+              limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 },
+            },
+          }),
+        },
+        responses: {
+          200: success('Replay results', {
+            replayed: { type: 'integer' },
+            failed: { type: 'integer' },
+            events: { type: 'array', items: ref('WebhookEvent') },
+          }, ['replayed', 'events']),
+          400: errorResponse('BadRequest'),
+          401: errorResponse('Unauthorized'),
+          500: errorResponse('InternalError'),
+        },
+      },
+    },
+    '/api/webhooks/events/{eventId}/replay': {
+      post: {
+        operationId: 'replayWebhookEvent',
+        tags: ['Webhooks'],
+        summary: 'Replay one webhook event',
+        description: 'Needs ADMIN_API_KEY.',
+        parameters: [
+          { name: 'eventId', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: success('Replay result', { event: ref('WebhookEvent') }, ['event']),
+          404: errorResponse('NotFound'),
+          401: errorResponse('Unauthorized'),
+          500: errorResponse('InternalError'),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Tenant API key, or ADMIN_API_KEY' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+    parameters: {
+      MeetingId: { name: 'meetingId', in: 'path', required: true, schema: { type: 'string' } },
+      ShareId: { name: 'shareId', in: 'path', required: true, schema: { type: 'string' } },
+      LastEventId: {
+        name: 'lastEventId',
+        in: 'query',
+        schema: { type: 'string' },
+        description: 'Resume after this event (the Last-Event-ID header takes precedence)',
+      },
+      ApiKeyQuery: {
+        name: 'apiKey',
+        in: 'query',
+        schema: { type: 'string' },
+        description: 'API key for EventSource clients, which cannot set headers',
+      },
+    },
+    responses: {
+      BadRequest: { description: 'Invalid request', ...json(ref('ValidationError')) },
+      Unauthorized: { description: 'Missing, unknown or revoked API key', ...json(ref('Error')) },
+      Forbidden: { description: 'The grant belongs to another tenant', ...json(ref('Error')) },
+      NotFound: { description: 'Not found (or owned by another tenant)', ...json(ref('Error')) },
+      Conflict: { description: 'Not possible in the meeting\'s current status', ...json(ref('Error')) },
+      Gone: { description: 'Deleted by the retention policy', ...json(ref('Error')) },
+      UnsupportedMediaType: { description: 'Unsupported Content-Type', ...json(ref('Error')) },
+      TooManyRequests: {
+        description: 'Rate limit or monthly quota exceeded, ours or an upstream service\'s (see Retry-After)',
+        headers: {
+          'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the request can be retried' },
+        },
+        ...json(ref('Error')),
+      },
+      BadGateway: {
+        description: 'Nylas, S3 or OpenAI refused the request or answered with something unusable (code upstream_rejected)',
+        ...json(ref('Error')),
+      },
+      ServiceUnavailable: {
+        description: 'Nylas, S3 or OpenAI timed out or is down (code upstream_unavailable); retry later',
+        headers: {
+          'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait, when the upstream service said' },
+        },
+        ...json(ref('Error')),
+      },
+      InternalError: { description: 'Unexpected error', ...json(ref('Error')) },
+      EventStream: {
+        description: 'Server-Sent Events: snapshot, status, progress, note_ready and reset events',
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', description: 'Human-readable message' },
+          code: { type: 'string', enum: Object.values(ERROR_CODES), description: 'Stable error code to branch on' },
+          service: { type: 'string', enum: ['nylas', 's3', 'openai', 'azure', 'anthropic', 'local'], description: 'Upstream service that failed' },
+          upstreamStatus: { type: 'integer', description: 'HTTP status the upstream service answered with' },
+          retryAfter: { type: 'integer', description: 'Seconds until the request can be retried' },
+          meetingId: { type: 'string', description: 'Meeting that was created but failed (bot deployment, upload)' },
+        },
+        required: ['error', 'code'],
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', description: 'All problems in one message' },
+          code: { type: 'string', const: ERROR_CODES.VALIDATION },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['body', 'query', 'path', 'header'] },
+                field: { type: 'string', description: 'e.g. tags[2] or metadata.source' },
+                message: { type: 'string' },
+              },
+              required: ['in', 'field', 'message'],
+            },
+          },
+        },
+        required: ['error', 'code'],
+      },
+      MeetingStatus: { type: 'string', enum: MEETING_STATUSES },
+      Progress: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          percentage: { type: 'number', minimum: 0, maximum: 100 },
+        },
+      },
+      Meeting: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: nullable({ type: 'string' }),
+          description: nullable({ type: 'string' }),
+          organizer: nullable({ type: 'string' }),
+          tags: { type: 'array', items: { type: 'string' } },
+          metadata: { type: 'object' },
+          meetingUrl: nullable({ type: 'string' }),
+          platform: { type: ['string', 'null'], enum: [...MEETING_PLATFORMS, null] },
+          grantId: nullable({ type: 'string' }),
+          tenantId: nullable({ type: 'string' }),
+          source: { type: 'string', enum: ['bot', 'import', 'upload'] },
+          template: nullable({ type: 'string', description: 'Selected note template (null = NOTE_DEFAULT_TEMPLATE)' }),
+          llmProvider: nullable({ type: 'string', description: 'Selected LLM provider (null = LLM_PROVIDER)' }),
+          status: ref('MeetingStatus'),
+          failureReason: nullable({ type: 'string' }),
+          notetakerId: nullable({ type: 'string' }),
+          joinTime: nullable({ type: 'string' }),
+          timezone: nullable({ type: 'string' }),
+          transcript: { anyOf: [ref('Transcript'), { type: 'null' }] },
+          recording: nullable({ type: 'string' }),
+          note: { anyOf: [ref('Note'), { type: 'null' }] },
+          progress: ref('Progress'),
+          deletedAt: nullable({ type: 'string' }),
+          purgedArtifacts: { type: 'object', description: 'When retention removed each artifact' },
+          createdAt: { type: 'string' },
+          updatedAt: { type: 'string' },
+        },
+        required: ['id', 'status', 'createdAt'],
+      },
+      MeetingSummary: {
+        description: 'Meeting without transcript and note (fields vary by endpoint)',
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: nullable({ type: 'string' }),
+          organizer: nullable({ type: 'string' }),
+          tags: { type: 'array', items: { type: 'string' } },
+          source: { type: 'string', enum: ['bot', 'import', 'upload'] },
+          meetingUrl: nullable({ type: 'string' }),
+          platform: { type: ['string', 'null'], enum: [...MEETING_PLATFORMS, null] },
+          template: nullable({ type: 'string' }),
+          llmProvider: nullable({ type: 'string' }),
+          status: ref('MeetingStatus'),
+          joinTime: nullable({ type: 'string' }),
+          timezone: nullable({ type: 'string' }),
+          notetakerId: nullable({ type: 'string' }),
+          recording: nullable({ type: 'string' }),
+          progress: ref('Progress'),
+          createdAt: { type: 'string' },
+          updatedAt: { type: 'string' },
+        },
+        required: ['id'],
+      },
+      TranscriptSegment: {
+        type: 'object',
+        properties: {
+          speaker: { type: 'string' },
+          start: nullable({ type: 'number', description: 'Milliseconds from the start of the meeting; null for plain-text imports' }),
+          end: nullable({ type: 'number' }),
+          text: { type: 'string' },
+        },
+        required: ['text'],
+      },
+      Transcript: {
+        type: 'object',
+        properties: {
+          object: { type: 'string' },
+          type: { type: 'string', description: 'e.g. speaker_labelled' },
+          transcript: { type: 'array', items: ref('TranscriptSegment') },
+        },
+        required: ['transcript'],
+      },
+      Note: {
+        description: 'Fields below summary are those of the general template; notes generated with another template '
+          + 'have that template\'s fields instead (see GET /api/templates)',
+        type: 'object',
+        properties: {
+          summary: { type: 'string' },
+          keyPoints: { type: 'array' },
+          topics: { type: 'array' },
+          decisions: { type: 'array' },
+          actionItems: { type: 'array' },
+          questions: { type: 'array' },
+          nextSteps: { type: 'array' },
+          participants: { type: 'array', items: { type: 'string' } },
+          duration: { type: 'number', description: 'Seconds' },
+          wordCount: { type: 'integer' },
+          generatedAt: { type: 'string' },
+          generatedBy: { type: 'string', description: 'LLM provider that wrote the note, or basic' },
+          model: { type: 'string', description: 'Model of the LLM provider (LLM notes only)' },
+          template: { type: 'string', description: 'Template the note was generated with (LLM notes only)' },
+          chunks: { type: 'integer', description: 'Number of transcript chunks the note was generated from (long meetings only)' },
+        },
+        required: ['summary'],
+      },
+      SearchHit: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', enum: ['transcript', 'summary', 'keyPoints', 'decisions', 'actionItems'] },
+          snippet: { type: 'string', description: 'Matching text, HTML-escaped, with the search terms wrapped in <mark>' },
+          speaker: nullable({ type: 'string', description: 'Transcript hits only' }),
+          start: nullable({ type: 'number', description: 'Transcript hits only, in milliseconds' }),
+          end: nullable({ type: 'number' }),
+        },
+        required: ['field', 'snippet'],
+      },
+      TimelineEntry: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', description: 'status or progress' },
+          status: nullable({ type: 'string' }),
+          previousStatus: nullable({ type: 'string' }),
+          source: nullable({ type: 'string' }),
+          rawState: nullable({ type: 'string' }),
+          message: nullable({ type: 'string' }),
+          percentage: nullable({ type: 'number' }),
+          reason: nullable({ type: 'string' }),
+          createdAt: { type: 'string' },
+        },
+        required: ['type', 'createdAt'],
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          status: { type: 'string' },
+          attempts: { type: 'integer' },
+          maxAttempts: { type: 'integer' },
+          lastError: nullable({ type: 'string' }),
+          runAt: nullable({ type: 'string' }),
+          updatedAt: nullable({ type: 'string' }),
+        },
+        required: ['id', 'type', 'status'],
+      },
+      Share: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          meetingId: { type: 'string' },
+          tenantId: nullable({ type: 'string' }),
+          recipient: nullable({ type: 'string' }),
+          ...shareIncludeProperties,
+          expiresAt: { type: 'string' },
+          revokedAt: nullable({ type: 'string' }),
+          createdAt: { type: 'string' },
+          status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+          url: { type: 'string', description: 'Link to send to the recipient' },
+        },
+        required: ['id', 'meetingId', 'expiresAt', 'status', 'url'],
+      },
+      ShareAccess: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          shareId: { type: 'string' },
+          meetingId: { type: 'string' },
+          outcome: { type: 'string', enum: ['viewed', 'expired', 'revoked', 'unavailable'] },
+          ip: nullable({ type: 'string' }),
+          userAgent: nullable({ type: 'string' }),
+          accessedAt: { type: 'string' },
+        },
+        required: ['id', 'outcome', 'accessedAt'],
+      },
+      WebhookEvent: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: nullable({ type: 'string' }),
+          status: { type: 'string', enum: ['pending', 'processed', 'failed'] },
+          receivedAt: { type: 'string' },
+          processedAt: nullable({ type: 'string' }),
+          error: nullable({ type: 'string' }),
+          attempts: { type: 'integer' },
+        },
+        required: ['id', 'status'],
+      },
+    },
+  },
+};
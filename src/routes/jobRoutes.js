@@ -0,0 +1,54 @@
+import express from 'express';
+import jobService from '../services/jobService.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead'];
+
+/**
+ * List background jobs
+ * GET /api/jobs?status=dead&meetingId=...
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, meetingId, type } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const jobs = await jobService.listJobs({ status, meetingId, type, limit });
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Requeue a dead-lettered job
+ * POST /api/jobs/:jobId/retry
+ */
+router.post('/:jobId/retry', async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    if (job.status !== 'dead') {
+      throw new ConflictError(`Only dead jobs can be retried (job is ${job.status})`);
+    }
+
+    const requeued = await jobService.retryJob(job.id);
+
+    res.json({ success: true, job: requeued });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
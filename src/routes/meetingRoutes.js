@@ -1,28 +1,105 @@
 import express from 'express';
+import { config } from '../config.js';
+import { costlyRateLimit } from '../middleware/rateLimit.js';
+import { validateRequest } from '../middleware/validateRequest.js';
 import {
   addMeeting,
+  importTranscript,
+  uploadMeetingRecording,
   getMeetingStatus,
   getAllMeetings,
+  getScheduledMeetings,
+  searchMeetings,
+  streamMeetingEvents,
+  streamGrantEvents,
+  updateMeeting,
   getMeetingNote,
+  getMeetingTimeline,
   regenerateNote,
+  cancelMeeting,
+  leaveMeeting,
+  deleteMeetingData,
+  restoreMeeting,
+  createMeetingShare,
+  listMeetingShares,
+  revokeMeetingShare,
+  getMeetingShareAccess,
 } from '../controllers/meetingController.js';
 
 const router = express.Router();
 
+// Every route is validated against its operation in the OpenAPI document (src/openapi/spec.js)
+
 // Add a new meeting
-router.post('/', addMeeting);
+router.post('/', costlyRateLimit, validateRequest('addMeeting'), addMeeting);
+
+// Import a transcript from another tool (JSON, or a raw VTT / SRT / text upload)
+router.post(
+  '/import',
+  costlyRateLimit,
+  express.text({ type: ['text/*', 'application/x-subrip'], limit: config.server.bodyLimit }),
+  validateRequest('importTranscript'),
+  importTranscript
+);
+
+// Upload an audio/video recording to transcribe (raw body)
+router.post(
+  '/upload',
+  costlyRateLimit,
+  express.raw({ type: ['audio/*', 'video/*'], limit: config.transcription.maxUploadSize }),
+  validateRequest('uploadRecording'),
+  uploadMeetingRecording
+);
 
 // Get all meetings
-router.get('/', getAllMeetings);
+router.get('/', validateRequest('listMeetings'), getAllMeetings);
+
+// Live events for every meeting of a grant (SSE)
+router.get('/events', validateRequest('streamGrantEvents'), streamGrantEvents);
+
+// Search transcripts and notes
+router.get('/search', validateRequest('searchMeetings'), searchMeetings);
+
+// Get meetings waiting for their scheduled join time
+router.get('/scheduled', validateRequest('listScheduledMeetings'), getScheduledMeetings);
 
 // Get meeting status
-router.get('/:meetingId', getMeetingStatus);
+router.get('/:meetingId', validateRequest('getMeeting'), getMeetingStatus);
+
+// Update title, description, organizer, tags or metadata, or reschedule a bot
+router.patch('/:meetingId', validateRequest('updateMeeting'), updateMeeting);
+
+// Cancel a bot that has not joined yet
+router.delete('/:meetingId', validateRequest('cancelMeeting'), cancelMeeting);
+
+// Remove an attending bot from the meeting
+router.post('/:meetingId/leave', validateRequest('leaveMeeting'), leaveMeeting);
+
+// Delete a finished meeting's data (purged after the retention grace period)
+router.delete('/:meetingId/data', validateRequest('deleteMeetingData'), deleteMeetingData);
+
+// Undo a delete before the meeting is purged
+router.post('/:meetingId/restore', validateRequest('restoreMeeting'), restoreMeeting);
+
+// Live status, progress and note events for a meeting (SSE)
+router.get('/:meetingId/events', validateRequest('streamMeetingEvents'), streamMeetingEvents);
+
+// Get meeting timeline
+router.get('/:meetingId/timeline', validateRequest('getMeetingTimeline'), getMeetingTimeline);
 
 // Get meeting note
-router.get('/:meetingId/note', getMeetingNote);
+router.get('/:meetingId/note', validateRequest('getMeetingNote'), getMeetingNote);
 
 // Regenerate meeting note
-router.post('/:meetingId/regenerate-note', regenerateNote);
+router.post('/:meetingId/regenerate-note', costlyRateLimit, validateRequest('regenerateNote'), regenerateNote);
+
+// Expiring, read-only links to the note for people without an API key
+router.post('/:meetingId/shares', validateRequest('createMeetingShare'), createMeetingShare);
+router.get('/:meetingId/shares', validateRequest('listMeetingShares'), listMeetingShares);
+router.delete('/:meetingId/shares/:shareId', validateRequest('revokeMeetingShare'), revokeMeetingShare);
+
+// Who opened a share link, and when
+router.get('/:meetingId/shares/:shareId/access', validateRequest('getMeetingShareAccess'), getMeetingShareAccess);
 
 export default router;
 
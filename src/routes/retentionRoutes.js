@@ -0,0 +1,49 @@
+import express from 'express';
+import retentionService from '../services/retentionService.js';
+import { ConflictError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * Current retention policy
+ * GET /api/retention
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, policy: retentionService.getPolicy() });
+});
+
+/**
+ * Purge log: what was purged, when and why
+ * GET /api/retention/purges?meetingId=...&limit=100
+ */
+router.get('/purges', async (req, res, next) => {
+  try {
+    const { meetingId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const purges = await retentionService.listPurges({ meetingId, limit });
+
+    res.json({ success: true, purges });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Run the retention sweep now instead of waiting for the next interval
+ * POST /api/retention/sweep
+ */
+router.post('/sweep', async (req, res, next) => {
+  try {
+    const summary = await retentionService.sweep();
+
+    if (summary.skipped) {
+      throw new ConflictError('A retention sweep is already running');
+    }
+
+    res.json({ success: true, purged: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import shareService from '../services/shareService.js';
+import meetingService from '../services/meetingService.js';
+import s3Service from '../services/s3Service.js';
+import { renderSharePage, renderShareErrorPage } from '../services/sharePage.js';
+import { ERROR_CODES } from '../errors.js';
+
+const router = express.Router();
+
+// Presigned recording URLs never outlive the link, and last at most an hour
+const RECORDING_URL_MAX_SECONDS = 3600;
+
+const SHARE_ERROR_CODES = { 404: ERROR_CODES.NOT_FOUND, 410: ERROR_CODES.GONE };
+
+/**
+ * Send an error for a share link, as a page or as JSON (?format=json)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status (404 or 410)
+ * @param {string} title - Short message
+ * @param {string} message - Explanation
+ */
+function sendShareError(req, res, status, title, message) {
+  if (req.query.format === 'json') {
+    return res.status(status).json({ error: `${title}. ${message}`, code: SHARE_ERROR_CODES[status] });
+  }
+  res.status(status).type('html').send(renderShareErrorPage(title, message));
+}
+
+/**
+ * Get a URL the viewer can play the recording from
+ * @param {Object} meeting - Meeting
+ * @param {Object} share - Share
+ * @returns {Promise<string|null>} Presigned S3 URL, the original recording URL, or null
+ */
+async function getRecordingUrl(meeting, share) {
+  if (!share.includeRecording || !meeting.recording) return null;
+
+  const key = s3Service.keyFromUrl(meeting.recording);
+  if (!key) return meeting.recording;
+
+  const secondsLeft = Math.floor((new Date(share.expiresAt).getTime() - Date.now()) / 1000);
+  return s3Service.getPresignedUrl(key, Math.max(1, Math.min(secondsLeft, RECORDING_URL_MAX_SECONDS)));
+}
+
+/**
+ * Open a share link: the meeting's note (and transcript / recording if the link allows)
+ * as a read-only page, or as JSON with ?format=json. No API key needed.
+ * GET /shares/:token
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    res.set({
+      'Cache-Control': 'no-store',
+      'Referrer-Policy': 'no-referrer',
+      'X-Robots-Tag': 'noindex, nofollow',
+    });
+
+    const { shareId, expired, error } = shareService.verifyToken(req.params.token);
+    const share = error ? null : await shareService.getShare(shareId);
+
+    if (!share) {
+      return sendShareError(req, res, 404, 'Link not found', 'Check that you copied the whole link.');
+    }
+
+    const access = { ip: req.ip, userAgent: req.get('user-agent') };
+    const status = expired ? 'expired' : shareService.getStatus(share);
+
+    if (status !== 'active') {
+      await shareService.recordAccess(share, { ...access, outcome: status });
+      return sendShareError(req, res, 410, `This link has ${status === 'revoked' ? 'been revoked' : 'expired'}`,
+        'Ask the person who shared it for a new link.');
+    }
+
+    const meeting = await meetingService.getMeeting(share.meetingId);
+
+    if (!meeting || !meeting.note) {
+      await shareService.recordAccess(share, { ...access, outcome: 'unavailable' });
+      return sendShareError(req, res, 410, 'These notes are no longer available',
+        'The meeting or its notes have been deleted.');
+    }
+
+    const recordingUrl = await getRecordingUrl(meeting, share);
+    await shareService.recordAccess(share, { ...access, outcome: 'viewed' });
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        meeting: {
+          title: meeting.title,
+          platform: meeting.platform,
+          createdAt: meeting.createdAt,
+        },
+        note: meeting.note,
+        transcript: share.includeTranscript ? meeting.transcript : null,
+        recordingUrl,
+        expiresAt: share.expiresAt,
+      });
+    }
+
+    res.type('html').send(renderSharePage({ meeting, share, recordingUrl }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,226 @@
+import express from 'express';
+import webhookSubscriptionService, { WEBHOOK_EVENT_TYPES } from '../services/webhookSubscriptionService.js';
+import { config } from '../config.js';
+import { NotFoundError, ValidationError } from '../errors.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Validate subscription fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for PATCH (fields are optional)
+ * @returns {{updates?: Object, error?: string}} Validated fields or a validation error
+ */
+function validateSubscription(body, partial) {
+  const updates = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (url.protocol === 'http:' && config.server.env === 'production') {
+      return { error: 'url must use https in production' };
+    }
+    updates.url = url.toString();
+  }
+
+  if (body.eventTypes !== undefined || !partial) {
+    if (!Array.isArray(body.eventTypes) || body.eventTypes.length === 0) {
+      return { error: `eventTypes must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    const unknown = body.eventTypes.find(type => !WEBHOOK_EVENT_TYPES.includes(type));
+    if (unknown) {
+      return { error: `Unknown event type "${unknown}". Use: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    updates.eventTypes = [...new Set(body.eventTypes)];
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string' };
+    }
+    updates.description = body.description;
+  }
+
+  if (body.active !== undefined) {
+    if (!partial || typeof body.active !== 'boolean') {
+      return { error: partial ? 'active must be a boolean' : 'active can only be changed with PATCH' };
+    }
+    updates.active = body.active;
+  }
+
+  return { updates };
+}
+
+/**
+ * Hide the signing secret (it is only returned when the subscription is created)
+ * @param {Object} subscription - Subscription
+ * @returns {Object} Subscription without its secret
+ */
+function toPublicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+/**
+ * Register a webhook subscription
+ * POST /api/subscriptions
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { updates, error } = validateSubscription(req.body, false);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const subscription = await webhookSubscriptionService.createSubscription({
+      ...updates,
+      secret: typeof req.body.secret === 'string' && req.body.secret ? req.body.secret : undefined,
+    });
+
+    // The secret is only shown once; store it to verify X-Webhook-Signature
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List webhook subscriptions
+ * GET /api/subscriptions
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const subscriptions = await webhookSubscriptionService.listSubscriptions();
+    res.json({ success: true, subscriptions: subscriptions.map(toPublicSubscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a webhook subscription
+ * GET /api/subscriptions/:subscriptionId
+ */
+router.get('/:subscriptionId', async (req, res, next) => {
+  try {
+    const subscription = await webhookSubscriptionService.getSubscription(req.params.subscriptionId);
+
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    res.json({ success: true, subscription: toPublicSubscription(subscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a subscription's URL, event types, description or active flag
+ * PATCH /api/subscriptions/:subscriptionId
+ */
+router.patch('/:subscriptionId', async (req, res, next) => {
+  try {
+    const { updates, error } = validateSubscription(req.body, true);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const subscription = await webhookSubscriptionService.updateSubscription(req.params.subscriptionId, updates);
+
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    res.json({ success: true, subscription: toPublicSubscription(subscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a subscription and its delivery log
+ * DELETE /api/subscriptions/:subscriptionId
+ */
+router.delete('/:subscriptionId', async (req, res, next) => {
+  try {
+    const deleted = await webhookSubscriptionService.deleteSubscription(req.params.subscriptionId);
+
+    if (!deleted) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delivery log for a subscription
+ * GET /api/subscriptions/:subscriptionId/deliveries?status=failed&limit=50
+ */
+router.get('/:subscriptionId/deliveries', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    const subscription = await webhookSubscriptionService.getSubscription(req.params.subscriptionId);
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const deliveries = await webhookSubscriptionService.listDeliveries(subscription.id, { status, limit });
+
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Send a signed test event right away (not retried)
+ * POST /api/subscriptions/:subscriptionId/test
+ */
+router.post('/:subscriptionId/test', async (req, res, next) => {
+  try {
+    const subscription = await webhookSubscriptionService.getSubscription(req.params.subscriptionId);
+
+    if (!subscription) {
+      throw new NotFoundError('Subscription not found');
+    }
+
+    const delivery = await webhookSubscriptionService.createDelivery(subscription, {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { test: true, subscriptionId: subscription.id },
+    });
+
+    let result;
+    try {
+      result = await webhookSubscriptionService.send(delivery, subscription);
+    } catch (error) {
+      result = await webhookSubscriptionService.updateDelivery(delivery.id, { status: 'failed' });
+    }
+
+    res.json({ success: true, delivered: result.status === 'succeeded', delivery: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import noteTemplateService from '../services/noteTemplateService.js';
+import {
+  validateOutputSchema,
+  MAX_TEMPLATE_DESCRIPTION_LENGTH,
+  MAX_TEMPLATE_PROMPT_LENGTH,
+} from '../services/noteTemplates.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../errors.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate template fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for PATCH (fields are optional)
+ * @returns {{updates?: Object, error?: string}} Validated fields or a validation error
+ */
+function validateTemplate(body, partial) {
+  const updates = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null
+      && (typeof body.description !== 'string' || body.description.length > MAX_TEMPLATE_DESCRIPTION_LENGTH)) {
+      return { error: `description must be a string of at most ${MAX_TEMPLATE_DESCRIPTION_LENGTH} characters` };
+    }
+    updates.description = body.description ? body.description.trim() : null;
+  }
+
+  if (body.prompt !== undefined || !partial) {
+    if (typeof body.prompt !== 'string' || !body.prompt.trim() || body.prompt.length > MAX_TEMPLATE_PROMPT_LENGTH) {
+      return { error: `prompt must be a non-empty string of at most ${MAX_TEMPLATE_PROMPT_LENGTH} characters` };
+    }
+    updates.prompt = body.prompt.trim();
+  }
+
+  if (body.outputSchema !== undefined || !partial) {
+    const error = validateOutputSchema(body.outputSchema);
+    if (error) {
+      return { error };
+    }
+    updates.outputSchema = body.outputSchema;
+  }
+
+  return { updates };
+}
+
+/**
+ * Get a template the caller may see (templates of other tenants are reported as not found)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Template or null
+ */
+async function getVisibleTemplate(req) {
+  const template = await noteTemplateService.getTemplate(req.params.templateId);
+  return template && noteTemplateService.canUseTemplate(req.tenant, template) ? template : null;
+}
+
+/**
+ * List the note templates the caller can select: built-ins, shared ones and the tenant's own
+ * GET /api/templates
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const templates = await noteTemplateService.listTemplates(req.tenant);
+    res.json({ success: true, templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a note template
+ * GET /api/templates/:templateId
+ */
+router.get('/:templateId', async (req, res, next) => {
+  try {
+    const template = await getVisibleTemplate(req);
+
+    if (!template) {
+      throw new NotFoundError('Template not found');
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create a note template (owned by the caller's tenant; shared if created with the admin key)
+ * POST /api/templates
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { updates, error } = validateTemplate(req.body, false);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const template = await noteTemplateService.createTemplate({ ...updates, tenantId: req.tenant?.id });
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Change a template's name, description, prompt or output schema. Notes that were
+ * already generated keep their fields.
+ * PATCH /api/templates/:templateId
+ */
+router.patch('/:templateId', async (req, res, next) => {
+  try {
+    const template = await getVisibleTemplate(req);
+
+    if (!template) {
+      throw new NotFoundError('Template not found');
+    }
+    if (!noteTemplateService.canEditTemplate(req.tenant, template)) {
+      throw new ForbiddenError(template.builtIn ? 'Built-in templates cannot be changed' : 'Shared templates can only be changed with the admin key');
+    }
+
+    const { updates, error } = validateTemplate(req.body, true);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    const updated = await noteTemplateService.updateTemplate(template.id, updates);
+    res.json({ success: true, template: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Delete a template. Meetings that selected it get the default template from then on.
+ * DELETE /api/templates/:templateId
+ */
+router.delete('/:templateId', async (req, res, next) => {
+  try {
+    const template = await getVisibleTemplate(req);
+
+    if (!template) {
+      throw new NotFoundError('Template not found');
+    }
+    if (!noteTemplateService.canEditTemplate(req.tenant, template)) {
+      throw new ForbiddenError(template.builtIn ? 'Built-in templates cannot be deleted' : 'Shared templates can only be deleted with the admin key');
+    }
+
+    await noteTemplateService.deleteTemplate(template.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,241 @@
+import express from 'express';
+import tenantService from '../services/tenantService.js';
+import { ConflictError, NotFoundError, ValidationError } from '../errors.js';
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 200;
+const MAX_KEY_NAME_LENGTH = 100;
+const QUOTA_FIELDS = ['botDeployments', 'noteGenerations'];
+
+/**
+ * Validate tenant fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for PATCH (fields are optional)
+ * @returns {{updates?: Object, error?: string}} Validated fields or a validation error
+ */
+function validateTenant(body, partial) {
+  const updates = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+      return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    updates.name = body.name.trim();
+  }
+
+  if (body.grantIds !== undefined) {
+    // Grant IDs end up in database filters, so only accept ID characters
+    if (!Array.isArray(body.grantIds) || body.grantIds.some(id => typeof id !== 'string' || !/^[\w-]+$/.test(id))) {
+      return { error: 'grantIds must be an array of Nylas grant IDs' };
+    }
+    updates.grantIds = [...new Set(body.grantIds)];
+  } else if (!partial) {
+    updates.grantIds = [];
+  }
+
+  if (body.quotas !== undefined) {
+    const { quotas, error } = validateQuotas(body.quotas);
+    if (error) {
+      return { error };
+    }
+    updates.quotas = quotas;
+  }
+
+  return { updates };
+}
+
+/**
+ * Validate a tenant's monthly quotas. Omitted or null fields use the server default;
+ * 0 means unlimited.
+ * @param {Object} value - { botDeployments?, noteGenerations? }
+ * @returns {{quotas?: Object, error?: string}} Quotas to store or a validation error
+ */
+function validateQuotas(value) {
+  if (value === null) {
+    return { quotas: {} };
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: `quotas must be an object with ${QUOTA_FIELDS.join(' and/or ')}` };
+  }
+
+  const unknown = Object.keys(value).find(field => !QUOTA_FIELDS.includes(field));
+  if (unknown) {
+    return { error: `Unknown quota ${unknown}; expected ${QUOTA_FIELDS.join(' or ')}` };
+  }
+
+  const quotas = {};
+  for (const field of QUOTA_FIELDS) {
+    if (value[field] === undefined || value[field] === null) continue;
+    if (!Number.isInteger(value[field]) || value[field] < 0) {
+      return { error: `quotas.${field} must be a non-negative integer (0 = unlimited)` };
+    }
+    quotas[field] = value[field];
+  }
+
+  return { quotas };
+}
+
+/**
+ * Check that grants do not already belong to another tenant
+ * @param {Array<string>} [grantIds] - Grants being assigned
+ * @param {string} [tenantId] - Tenant they are assigned to
+ * @throws {ConflictError} If one of the grants belongs to another tenant
+ */
+async function assertNoGrantConflict(grantIds, tenantId) {
+  if (!grantIds) return;
+
+  const conflict = await tenantService.findGrantConflict(grantIds, tenantId);
+  if (conflict) {
+    throw new ConflictError(`Grant ${conflict.grantId} already belongs to tenant ${conflict.tenantId}`, {
+      details: { grantId: conflict.grantId },
+    });
+  }
+}
+
+/**
+ * Create a tenant
+ * POST /api/tenants
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { updates, error } = validateTenant(req.body, false);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    await assertNoGrantConflict(updates.grantIds);
+
+    const tenant = await tenantService.createTenant(updates);
+    res.status(201).json({ success: true, tenant });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List tenants
+ * GET /api/tenants
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const tenants = await tenantService.listTenants();
+    res.json({ success: true, tenants });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get a tenant
+ * GET /api/tenants/:tenantId
+ */
+router.get('/:tenantId', async (req, res, next) => {
+  try {
+    const tenant = await tenantService.getTenant(req.params.tenantId);
+
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    res.json({ success: true, tenant });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rename a tenant, or replace the grants it owns or its monthly quotas
+ * PATCH /api/tenants/:tenantId
+ */
+router.patch('/:tenantId', async (req, res, next) => {
+  try {
+    const { updates, error } = validateTenant(req.body, true);
+    if (error) {
+      throw new ValidationError(error);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError('Nothing to update; send name, grantIds or quotas');
+    }
+
+    const tenant = await tenantService.getTenant(req.params.tenantId);
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    await assertNoGrantConflict(updates.grantIds, tenant.id);
+
+    const updated = await tenantService.updateTenant(tenant.id, updates);
+    res.json({ success: true, tenant: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Create an API key for a tenant. The key is only returned in this response.
+ * POST /api/tenants/:tenantId/keys
+ */
+router.post('/:tenantId/keys', async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (name !== undefined && name !== null
+      && (typeof name !== 'string' || name.length > MAX_KEY_NAME_LENGTH)) {
+      throw new ValidationError(`name must be a string of at most ${MAX_KEY_NAME_LENGTH} characters`);
+    }
+
+    const tenant = await tenantService.getTenant(req.params.tenantId);
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    const { apiKey, key } = await tenantService.createApiKey(tenant.id, { name: name?.trim() || null });
+
+    // Store the key now; only its hash is kept
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * List a tenant's API keys (prefix, name and usage only)
+ * GET /api/tenants/:tenantId/keys
+ */
+router.get('/:tenantId/keys', async (req, res, next) => {
+  try {
+    const tenant = await tenantService.getTenant(req.params.tenantId);
+    if (!tenant) {
+      throw new NotFoundError('Tenant not found');
+    }
+
+    const apiKeys = await tenantService.listApiKeys(tenant.id);
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Revoke an API key; requests made with it are rejected from now on
+ * DELETE /api/tenants/:tenantId/keys/:keyId
+ */
+router.delete('/:tenantId/keys/:keyId', async (req, res, next) => {
+  try {
+    const apiKey = await tenantService.revokeApiKey(req.params.tenantId, req.params.keyId);
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    console.log(`🔒 API key ${apiKey.keyPrefix}… of tenant ${apiKey.tenantId} revoked`);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import usageService from '../services/usageService.js';
+import tenantService from '../services/tenantService.js';
+import { config } from '../config.js';
+import { ForbiddenError, NotFoundError } from '../errors.js';
+
+const router = express.Router();
+
+/**
+ * This month's bot deployments and LLM note generations against the tenant's quotas.
+ * Tenant keys see their own usage; the admin key can pass ?tenantId= (without it,
+ * the usage made without a tenant is shown).
+ * GET /api/usage
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    let tenant = req.tenant;
+
+    if (req.query.tenantId !== undefined) {
+      if (tenant && req.query.tenantId !== tenant.id) {
+        throw new ForbiddenError('API keys can only see their own tenant\'s usage');
+      }
+
+      tenant = await tenantService.getTenant(String(req.query.tenantId));
+      if (!tenant) {
+        throw new NotFoundError('Tenant not found');
+      }
+    }
+
+    const { period, usage } = await usageService.getUsage(tenant);
+
+    res.json({
+      success: true,
+      tenantId: tenant?.id || null,
+      period,
+      usage,
+      rateLimit: {
+        windowSeconds: Math.ceil(config.rateLimit.windowMs / 1000),
+        max: config.rateLimit.max || null,
+        costlyMax: config.rateLimit.costlyMax || null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
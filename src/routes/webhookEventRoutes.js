@@ -0,0 +1,123 @@
+import express from 'express';
+import webhookEventService from '../services/webhookEventService.js';
+import { processWebhookEvent } from './webhookRoutes.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { NotFoundError } from '../errors.js';
+
+// Stored webhook events: listing and replay. Mounted at /api/webhooks/events behind
+// requireAdmin, since payloads are private and replays queue transcript and note jobs.
+const router = express.Router();
+
+/**
+ * List recorded webhook events
+ * GET /api/webhooks/events?status=failed&from=...&to=...&limit=50
+ */
+router.get('/', validateRequest('listWebhookEvents'), async (req, res, next) => {
+  try {
+    const { status, from, to } = req.query;
+
+    const events = await webhookEventService.listEvents({
+      status,
+      from,
+      to,
+      limit: parseLimit(req.query.limit),
+    });
+
+    res.json({
+      success: true,
+      events: events.map(event => ({
+        id: event.id,
+        type: event.type,
+        status: webhookEventService.getStatus(event),
+        receivedAt: event.receivedAt,
+        processedAt: event.processedAt,
+        error: event.error,
+        attempts: event.attempts,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replay all webhook events received in a time range
+ * POST /api/webhooks/events/replay
+ * Body: { from, to, status?, limit? }
+ */
+router.post('/replay', validateRequest('replayWebhookEvents'), async (req, res, next) => {
+  try {
+    const { from, to, status } = req.body;
+
+    const events = await webhookEventService.listEvents({
+      status,
+      from,
+      to,
+      limit: parseLimit(req.body.limit),
+    });
+
+    // Replay sequentially, in the order Nylas sent them
+    const results = [];
+    for (const event of events) {
+      const replayed = await processWebhookEvent(event);
+      results.push({
+        id: event.id,
+        type: event.type,
+        status: webhookEventService.getStatus(replayed),
+        error: replayed.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      replayed: results.length,
+      failed: results.filter(r => r.status === 'failed').length,
+      events: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Replay a single webhook event through the normal handlers
+ * POST /api/webhooks/events/:eventId/replay
+ */
+router.post('/:eventId/replay', validateRequest('replayWebhookEvent'), async (req, res, next) => {
+  try {
+    const event = await webhookEventService.getEvent(req.params.eventId);
+
+    if (!event) {
+      throw new NotFoundError('Webhook event not found');
+    }
+
+    const replayed = await processWebhookEvent(event);
+
+    res.json({
+      success: true,
+      event: {
+        id: replayed.id,
+        type: replayed.type,
+        status: webhookEventService.getStatus(replayed),
+        processedAt: replayed.processedAt,
+        error: replayed.error,
+        attempts: replayed.attempts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Parse a limit query/body value, capped to keep replays bounded
+ * @param {string|number} value - Requested limit
+ * @returns {number} Limit between 1 and 500 (default 100)
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return 100;
+  return Math.min(limit, 500);
+}
+
+export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
-import axios from 'axios';
-import nylasService from '../services/nylasService.js';
 import meetingService from '../services/meetingService.js';
-import s3Service from '../services/s3Service.js';
-import { generateNote } from '../services/noteGenerator.js';
+import jobService, { JOB_TYPES } from '../services/jobService.js';
+import webhookEventService from '../services/webhookEventService.js';
+import { getCorrelatedMeetingId } from '../services/notetakerCorrelation.js';
+import { verifyNylasSignature } from '../middleware/verifyNylasSignature.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { ERROR_CODES } from '../errors.js';
 
 const router = express.Router();
 
@@ -12,44 +14,97 @@ const router = express.Router();
  * GET /api/webhooks/nylas?challenge=xxx
  * Nylas sends a GET request with a challenge parameter to verify the webhook endpoint
  */
-router.get('/nylas', (req, res) => {
-  const challenge = req.query.challenge;
-
-  if (challenge) {
-    console.log('Webhook challenge received, responding with challenge value');
-    // Respond with just the challenge value (no JSON, no extra formatting)
-    res.status(200).send(challenge);
-  } else {
-    console.log('Webhook GET request received without challenge parameter');
-    res.status(400).send('Missing challenge parameter');
-  }
+router.get('/nylas', validateRequest('verifyNylasWebhook'), (req, res) => {
+  console.log('Webhook challenge received, responding with challenge value');
+  // Respond with just the challenge value (no JSON, no extra formatting)
+  res.status(200).send(req.query.challenge);
 });
 
 /**
  * Webhook endpoint for Nylas to send updates
  * POST /api/webhooks/nylas
+ * Requests must carry a valid X-Nylas-Signature header (401 otherwise)
  */
-router.post('/nylas', async (req, res) => {
+router.post('/nylas', verifyNylasSignature, validateRequest('receiveNylasWebhook'), async (req, res) => {
+  let recorded;
+
   try {
     const event = req.body;
 
     console.log('\n=== Webhook Event Received ===');
+    console.log('Event ID:', event.id);
     console.log('Event Type:', event.type);
     console.log('Event Data:', JSON.stringify(event.data, null, 2));
     console.log('==============================\n');
 
-    // Acknowledge webhook immediately
-    res.status(200).json({ received: true });
-
-    // Process webhook asynchronously
-    processWebhookEvent(event);
+    // Persist the event before acknowledging so it survives crashes and can be replayed
+    recorded = await webhookEventService.recordEvent(event, req.rawBody);
   } catch (error) {
-    console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    console.error('Error recording webhook event:', error);
+    // Non-2xx makes Nylas retry the delivery
+    return res.status(500).json({ error: 'Webhook could not be recorded', code: ERROR_CODES.INTERNAL });
   }
+
+  if (recorded.duplicate) {
+    console.log(`⏭️  Duplicate webhook event ${recorded.event?.id}, skipping`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+  if (recorded.redelivered) {
+    console.log(`🔁 Webhook event ${recorded.event.id} was delivered again before it was processed, processing it now`);
+  }
+
+  // Acknowledge webhook once it is safely stored
+  res.status(200).json({ received: true });
+
+  // Process webhook asynchronously
+  processWebhookEvent(recorded.event);
 });
 
-async function processWebhookEvent(event) {
+/**
+ * Run a stored webhook event through the handlers and record the outcome
+ * @param {Object} storedEvent - Webhook event from webhookEventService
+ * @returns {Promise<Object>} Webhook event with updated processing state
+ */
+export async function processWebhookEvent(storedEvent) {
+  let error = null;
+
+  try {
+    await dispatchWebhookEvent(storedEvent.payload);
+  } catch (err) {
+    error = err;
+  }
+
+  try {
+    return await webhookEventService.recordAttempt(storedEvent, error) || storedEvent;
+  } catch (recordError) {
+    console.error('❌ Error recording webhook processing result:', recordError);
+    return storedEvent;
+  }
+}
+
+/**
+ * Process the webhook events that were stored but never processed, e.g. because the
+ * process stopped right after acknowledging them. Run when the worker starts.
+ * @returns {Promise<number>} Number of events processed
+ */
+export async function replayPendingWebhookEvents() {
+  const events = await webhookEventService.listEvents({ status: 'pending', to: new Date().toISOString() });
+
+  for (const event of events) {
+    await processWebhookEvent(event);
+  }
+
+  if (events.length > 0) {
+    console.log(`♻️  Replayed ${events.length} pending webhook event(s)`);
+  }
+  return events.length;
+}
+
+/**
+ * Route a Nylas webhook payload to its handler.
+ * Errors are rethrown so the failure is recorded on the stored event.
+ */
+async function dispatchWebhookEvent(event) {
   try {
     const { type, data } = event;
 
@@ -58,32 +113,27 @@ async function processWebhookEvent(event) {
     const notetakerId = notetakerData.id || data.notetaker_id || data.id;
     const grantId = notetakerData.grant_id || data.grant_id || data.grant?.id;
 
+    // Link the notetaker to its meeting before any handler looks it up by notetaker ID
+    await resolveMeeting(notetakerData, notetakerId, grantId);
+
     switch (type) {
       case 'notetaker.created':
-        // Notetaker bot was created/deployed
+        // Notetaker bot was created/deployed (already linked to its meeting above)
         console.log('✅ Notetaker created:', notetakerId);
-        if (notetakerId) {
-          // Try to find meeting that doesn't have a notetakerId yet but matches grant_id
-          const meetings = await meetingService.getAllMeetings();
-          const meeting = meetings.find(m =>
-            !m.notetakerId && grantId && m.grantId === grantId
-          ) || meetings.find(m => m.notetakerId === notetakerId);
-
-          if (meeting) {
-            await meetingService.updateMeeting(meeting.id, {
-              status: 'joining',
-              notetakerId: notetakerId,
-            });
-            await meetingService.updateProgress(meeting.id, 'Notetaker created. Waiting to join meeting...', 20);
-            console.log(`   ✅ Linked notetaker ${notetakerId} to meeting ${meeting.id}`);
-          } else {
-            // Store for later matching when meeting_state events come in
-            await updateMeetingByNotetakerId(notetakerId, {
-              status: 'joining',
-              notetakerId: notetakerId,
-            });
-            await updateProgressByNotetakerId(notetakerId, 'Notetaker created. Waiting to join meeting...', 20);
-          }
+        if (notetakerData.state === 'scheduled') {
+          // Bot was deployed with a future join time
+          await transitionByNotetakerId(notetakerId, 'scheduled', {
+            message: 'Notetaker scheduled. Waiting for join time...',
+            percentage: 10,
+            source: type,
+            rawState: notetakerData.state,
+          });
+        } else {
+          await transitionByNotetakerId(notetakerId, 'joining', {
+            message: 'Notetaker created. Waiting to join meeting...',
+            percentage: 20,
+            source: type,
+          });
         }
         break;
 
@@ -121,27 +171,30 @@ async function processWebhookEvent(event) {
       case 'notetaker.deleted':
         // Notetaker was deleted/cancelled
         console.log('🗑️  Notetaker deleted:', notetakerId);
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'cancelled', {
+          message: 'Notetaker was cancelled',
+          percentage: 0,
+          source: type,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Notetaker was cancelled', 0);
         break;
 
       // Legacy event handlers (may not be used, but keeping for compatibility)
       case 'notetaker.joined':
         console.log('✅ Notetaker joined meeting (legacy event)');
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'recording',
+        await transitionByNotetakerId(notetakerId, 'recording', {
+          message: 'Bot joined meeting. Recording...',
+          percentage: 50,
+          source: type,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Bot joined meeting. Recording...', 50);
         break;
 
       case 'notetaker.recording':
         console.log('🔴 Recording in progress (legacy event)');
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'recording',
+        await transitionByNotetakerId(notetakerId, 'recording', {
+          message: 'Recording in progress...',
+          percentage: 70,
+          source: type,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Recording in progress...', 70);
         break;
 
       case 'notetaker.completed':
@@ -151,10 +204,12 @@ async function processWebhookEvent(event) {
 
       case 'notetaker.failed':
         console.log('❌ Notetaker failed (legacy event)');
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'failed', {
+          message: 'Failed to record meeting',
+          percentage: 0,
+          reason: 'notetaker_failed',
+          source: type,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Failed to record meeting', 0);
         break;
 
       default:
@@ -165,6 +220,7 @@ async function processWebhookEvent(event) {
     console.error('❌ Error processing webhook event:', error);
     console.error('   Event type:', event.type);
     console.error('   Event data:', event.data);
+    throw error;
   }
 }
 
@@ -181,6 +237,8 @@ async function handleMeetingStateChange(data) {
     console.log(`   Meeting State: ${meetingState}`);
     console.log(`   Status: ${status}`);
 
+    const origin = { source: 'notetaker.meeting_state', rawState: meetingState };
+
     // Map Nylas meeting states to our statuses (based on official documentation)
     // meeting_state values: api_request, bad_meeting_code, dispatched, entry_denied, 
     // internal_error, kicked, no_meeting_activity, no_participants, no_response, 
@@ -188,78 +246,90 @@ async function handleMeetingStateChange(data) {
     switch (meetingState) {
       case 'dispatched':
         // Notetaker has loaded the meeting page
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'joining',
+        await transitionByNotetakerId(notetakerId, 'joining', {
+          message: 'Notetaker dispatched. Preparing to join...',
+          percentage: 25,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Notetaker dispatched. Preparing to join...', 25);
         break;
 
       case 'waiting_for_entry':
         // Notetaker is waiting to be admitted to the meeting
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'joining',
+        await transitionByNotetakerId(notetakerId, 'joining', {
+          message: 'Waiting to be admitted to meeting...',
+          percentage: 30,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Waiting to be admitted to meeting...', 30);
         break;
 
       case 'recording_active':
         // Notetaker is attending and recording
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'recording',
+        await transitionByNotetakerId(notetakerId, 'recording', {
+          message: 'In meeting. Recording...',
+          percentage: 60,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'In meeting. Recording...', 60);
         break;
 
       case 'api_request':
         // Notetaker left because of Remove from Meeting request
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'processing',
+        await transitionByNotetakerId(notetakerId, 'processing', {
+          message: 'Recording stopped. Processing...',
+          percentage: 80,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Recording stopped. Processing...', 80);
         break;
 
       case 'no_meeting_activity':
       case 'no_participants':
         // Notetaker left because no activity or no participants
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'processing',
+        await transitionByNotetakerId(notetakerId, 'processing', {
+          message: 'Meeting ended. Processing recording...',
+          percentage: 80,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Meeting ended. Processing recording...', 80);
         break;
 
       case 'bad_meeting_code':
       case 'entry_denied':
       case 'no_response':
         // Failed to join meeting
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'failed', {
+          message: `Failed to join: ${meetingState}`,
+          percentage: 0,
+          reason: meetingState,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, `Failed to join: ${meetingState}`, 0);
         break;
 
       case 'kicked':
         // Notetaker was removed by a participant
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'failed', {
+          message: 'Removed from meeting by participant',
+          percentage: 0,
+          reason: meetingState,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Removed from meeting by participant', 0);
         break;
 
       case 'internal_error':
         // Notetaker encountered an error
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'failed', {
+          message: 'Internal error occurred',
+          percentage: 0,
+          reason: meetingState,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Internal error occurred', 0);
         break;
 
       default:
         console.log(`   ⚠️  Unknown meeting state: ${meetingState}`);
         // Still update progress to show something is happening
-        await updateProgressByNotetakerId(notetakerId, `Meeting state: ${meetingState}`, 50);
+        await updateProgressByNotetakerId(notetakerId, `Meeting state: ${meetingState}`, 50, origin);
     }
   } catch (error) {
     console.error('❌ Error handling meeting state change:', error);
+    throw error;
   }
 }
 
@@ -275,58 +345,68 @@ async function handleNotetakerStatusUpdate(data) {
     console.log(`   Notetaker ID: ${notetakerId}`);
     console.log(`   Status: ${state}`);
 
+    const origin = { source: 'notetaker.updated', rawState: state };
+
     // Map notetaker.updated state values: attending, connecting, disconnected, 
     // failed_entry, scheduled, waiting_for_entry
     switch (state) {
       case 'scheduled':
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'joining',
+        await transitionByNotetakerId(notetakerId, 'scheduled', {
+          message: 'Notetaker scheduled. Waiting for join time...',
+          percentage: 10,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Notetaker scheduled. Waiting...', 15);
         break;
 
       case 'connecting':
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'joining',
+        await transitionByNotetakerId(notetakerId, 'joining', {
+          message: 'Connecting to meeting...',
+          percentage: 30,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Connecting to meeting...', 30);
         break;
 
       case 'waiting_for_entry':
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'joining',
+        await transitionByNotetakerId(notetakerId, 'joining', {
+          message: 'Waiting to be admitted...',
+          percentage: 35,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Waiting to be admitted...', 35);
         break;
 
       case 'attending':
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'recording',
+        await transitionByNotetakerId(notetakerId, 'recording', {
+          message: 'Attending meeting. Recording...',
+          percentage: 60,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Attending meeting. Recording...', 60);
         break;
 
       case 'disconnected':
         // Notetaker left, wait for media event
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'processing',
+        await transitionByNotetakerId(notetakerId, 'processing', {
+          message: 'Disconnected. Processing recording...',
+          percentage: 80,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Disconnected. Processing recording...', 80);
         break;
 
       case 'failed_entry':
-        await updateMeetingByNotetakerId(notetakerId, {
-          status: 'failed',
+        await transitionByNotetakerId(notetakerId, 'failed', {
+          message: 'Failed to enter meeting',
+          percentage: 0,
+          reason: state,
+          ...origin,
         });
-        await updateProgressByNotetakerId(notetakerId, 'Failed to enter meeting', 0);
         break;
 
       default:
         console.log(`   ⚠️  Unknown notetaker status: ${state}`);
-        await updateProgressByNotetakerId(notetakerId, `Status: ${state}`, 50);
+        await updateProgressByNotetakerId(notetakerId, `Status: ${state}`, 50, origin);
     }
   } catch (error) {
     console.error('❌ Error handling notetaker status update:', error);
+    throw error;
   }
 }
 
@@ -346,90 +426,41 @@ async function handleMediaAvailable(notetakerId, grantId, media, mediaState) {
     console.log('   Summary URL:', media?.summary);
     console.log('   Action Items URL:', media?.action_items);
 
+    const mediaOrigin = { source: 'notetaker.media', rawState: mediaState };
+
     // Handle different media states: available, deleted, error, processing
     switch (mediaState) {
       case 'processing':
-        await meetingService.updateProgress(meeting.id, 'Processing recording and transcription...', 85);
+        await meetingService.updateProgress(meeting.id, 'Processing recording and transcription...', 85, mediaOrigin);
         break;
 
       case 'available':
-        // Media files are available, fetch and process
-        await meetingService.updateProgress(meeting.id, 'Media files available. Generating note...', 90);
-
-        // Fetch transcript if available
-        if (media?.transcript) {
-          try {
-            console.log('   Attempting to download transcript from:', media.transcript);
-            // Download transcript from URL
-            // Note: Some URLs might require authentication or have CORS restrictions
-            const transcriptResponse = await axios.get(media.transcript, {
-              timeout: 30000, // 30 second timeout
-              headers: {
-                'Accept': 'application/json',
-              },
-            });
-            const transcript = transcriptResponse.data;
-
-            if (transcript) {
-              console.log('   ✅ Transcript downloaded successfully');
-              await meetingService.setTranscript(meeting.id, transcript);
-
-              // Generate note from transcript
-              const note = await generateNote(transcript);
-              await meetingService.setNote(meeting.id, note);
-
-              // Upload recording to S3 if available
-              let recordingUrl = media.recording;
-              if (media.recording) {
-                try {
-                  const s3Key = `recordings/${meeting.id}/${Date.now()}.mp3`;
-                  recordingUrl = await s3Service.uploadFromUrl(media.recording, s3Key, 'audio/mpeg');
-                  console.log(`   ✅ Recording uploaded to S3: ${recordingUrl}`);
-                } catch (error) {
-                  console.error('   ⚠️  Failed to upload recording to S3, using original URL:', error.message);
-                  // Continue with original URL if S3 upload fails
-                }
-              }
-
-              // Store media URLs
-              await meetingService.updateMeeting(meeting.id, {
-                recording: recordingUrl,
-                note: {
-                  ...note,
-                  summaryUrl: media.summary,
-                  actionItemsUrl: media.action_items,
-                },
-                status: 'completed',
-              });
-
-              await meetingService.updateProgress(meeting.id, 'Note generated successfully!', 100);
-              console.log('✅ Note generated from media files');
-            } else {
-              console.log('   ⚠️  Transcript data is empty');
-              // Fallback: try using the API
-              await handleMeetingCompleted(notetakerId, grantId);
-            }
-          } catch (error) {
-            console.error('❌ Error fetching transcript from media URL:', error.message);
-            console.error('   URL:', media.transcript);
-            console.error('   Status:', error.response?.status);
-            console.error('   Response:', error.response?.data);
-            // Fallback: try using the API
-            console.log('   Falling back to API method...');
-            await handleMeetingCompleted(notetakerId, grantId);
-          }
-        } else {
-          // No transcript URL, try API fallback
-          console.log('   No transcript URL in media, trying API...');
-          await handleMeetingCompleted(notetakerId, grantId);
+        // Media files are available; fetch transcript, generate note and copy recording in the background
+        await meetingService.updateProgress(meeting.id, 'Media files available. Generating note...', 90, mediaOrigin);
+
+        await jobService.enqueue(JOB_TYPES.FETCH_TRANSCRIPT, {
+          notetakerId,
+          grantId,
+          transcriptUrl: media?.transcript,
+          summaryUrl: media?.summary,
+          actionItemsUrl: media?.action_items,
+        }, { meetingId: meeting.id, unique: true });
+
+        if (media?.recording) {
+          await jobService.enqueue(JOB_TYPES.UPLOAD_RECORDING, {
+            recordingUrl: media.recording,
+          }, { meetingId: meeting.id, unique: true });
         }
         break;
 
       case 'error':
-        await meetingService.updateProgress(meeting.id, 'Error processing recording', 0);
-        await meetingService.updateMeeting(meeting.id, {
-          status: 'failed',
+        const { applied } = await meetingService.transitionStatus(meeting.id, 'failed', {
+          reason: 'media_error',
+          ...mediaOrigin,
         });
+        if (applied) {
+          await meetingService.updateProgress(meeting.id, 'Error processing recording', 0, mediaOrigin);
+        }
         break;
 
       case 'deleted':
@@ -441,39 +472,100 @@ async function handleMediaAvailable(notetakerId, grantId, media, mediaState) {
     }
   } catch (error) {
     console.error('❌ Error handling media availability:', error);
-    // Fallback to API method
-    await handleMeetingCompleted(notetakerId, grantId);
+    throw error;
   }
 }
 
-async function updateMeetingByNotetakerId(notetakerId, updates) {
+/**
+ * Find the meeting a notetaker belongs to, linking the notetaker ID to it if needed.
+ * Lookup order:
+ *   1. The meeting ID embedded in the notetaker name when we deployed it
+ *   2. A meeting already linked to this notetaker ID
+ *   3. The only pending, unlinked meeting for the grant (skipped if there are several)
+ * @param {Object} notetakerData - Notetaker object from the webhook
+ * @param {string} notetakerId - Nylas notetaker ID
+ * @param {string} grantId - Nylas grant ID
+ * @returns {Promise<Object|null>} Meeting or null
+ */
+async function resolveMeeting(notetakerData, notetakerId, grantId) {
+  if (!notetakerId) return null;
+
+  const correlatedMeetingId = getCorrelatedMeetingId(notetakerData);
+  if (correlatedMeetingId) {
+    const meeting = await meetingService.getMeeting(correlatedMeetingId);
+
+    if (meeting && !meeting.notetakerId) {
+      await meetingService.setNotetakerId(meeting.id, notetakerId);
+      console.log(`   ✅ Linked notetaker ${notetakerId} to meeting ${meeting.id} (by name)`);
+      return { ...meeting, notetakerId };
+    }
+
+    if (meeting && meeting.notetakerId === notetakerId) {
+      return meeting;
+    }
+
+    if (meeting) {
+      console.warn(`   ⚠️  Meeting ${meeting.id} is already linked to notetaker ${meeting.notetakerId}, not ${notetakerId}`);
+    }
+  }
+
+  const linked = await meetingService.findByNotetakerId(notetakerId);
+  if (linked || !grantId) {
+    return linked;
+  }
+
+  // Notetaker without our correlation key: only link when the match is unambiguous
+  const candidates = await meetingService.findUnlinkedByGrantId(grantId, 2);
+  if (candidates.length === 1) {
+    await meetingService.setNotetakerId(candidates[0].id, notetakerId);
+    console.log(`   ✅ Linked notetaker ${notetakerId} to meeting ${candidates[0].id} (only pending meeting for grant)`);
+    return { ...candidates[0], notetakerId };
+  }
+
+  if (candidates.length > 1) {
+    console.warn(`   ⚠️  Cannot link notetaker ${notetakerId}: several pending meetings for grant ${grantId}`);
+  }
+
+  return null;
+}
+
+/**
+ * Move the meeting for a notetaker to a new status through the state machine.
+ * Progress is only updated when the transition is accepted, so a late or
+ * out-of-order webhook cannot drag the meeting backwards.
+ * @param {string} notetakerId - Nylas notetaker ID
+ * @param {string} status - Requested meeting status
+ * @param {Object} details - { message, percentage, reason, source, rawState }
+ */
+async function transitionByNotetakerId(notetakerId, status, details) {
   if (!notetakerId) {
-    console.log('⚠️  updateMeetingByNotetakerId called without notetakerId');
+    console.log('⚠️  transitionByNotetakerId called without notetakerId');
     return;
   }
 
   const meeting = await meetingService.findByNotetakerId(notetakerId);
 
-  if (meeting) {
-    await meetingService.updateMeeting(meeting.id, updates);
-    console.log(`   ✅ Updated meeting ${meeting.id} with notetaker ${notetakerId}`);
-  } else {
+  if (!meeting) {
     console.log(`   ⚠️  Meeting not found for notetaker_id: ${notetakerId}`);
-    // Try to find by matching grantId if notetakerId is being set for the first time
-    if (updates.notetakerId && updates.grantId) {
-      const meetings = await meetingService.getAllMeetings();
-      const meetingByGrant = meetings.find(m =>
-        !m.notetakerId && m.grantId === updates.grantId
-      );
-      if (meetingByGrant) {
-        console.log(`   ✅ Found meeting by grant_id, updating with notetaker_id`);
-        await meetingService.updateMeeting(meetingByGrant.id, updates);
-      }
-    }
+    return;
+  }
+
+  const { applied } = await meetingService.transitionStatus(meeting.id, status, {
+    reason: details.reason,
+    source: details.source,
+    rawState: details.rawState,
+  });
+
+  if (applied) {
+    await meetingService.updateProgress(meeting.id, details.message, details.percentage, {
+      source: details.source,
+      rawState: details.rawState,
+    });
+    console.log(`   ✅ Updated meeting ${meeting.id}: ${status} - ${details.message} (${details.percentage}%)`);
   }
 }
 
-async function updateProgressByNotetakerId(notetakerId, message, percentage) {
+async function updateProgressByNotetakerId(notetakerId, message, percentage, details = {}) {
   if (!notetakerId) {
     console.log('⚠️  updateProgressByNotetakerId called without notetakerId');
     return;
@@ -482,7 +574,7 @@ async function updateProgressByNotetakerId(notetakerId, message, percentage) {
   const meeting = await meetingService.findByNotetakerId(notetakerId);
 
   if (meeting) {
-    await meetingService.updateProgress(meeting.id, message, percentage);
+    await meetingService.updateProgress(meeting.id, message, percentage, details);
     console.log(`   ✅ Updated progress for meeting ${meeting.id}: ${message} (${percentage}%)`);
   } else {
     console.log(`   ⚠️  Meeting not found for notetaker_id: ${notetakerId} - cannot update progress`);
@@ -490,37 +582,23 @@ async function updateProgressByNotetakerId(notetakerId, message, percentage) {
 }
 
 async function handleMeetingCompleted(notetakerId, grantId) {
-  try {
-    const meeting = await meetingService.findByNotetakerId(notetakerId);
-
-    if (!meeting) {
-      console.error('Meeting not found for notetaker:', notetakerId);
-      return;
-    }
-
-    // Update progress
-    await meetingService.updateProgress(meeting.id, 'Meeting completed. Generating note...', 90);
-
-    // Fetch transcript
-    try {
-      const transcript = await nylasService.getTranscript(grantId, notetakerId);
+  const meeting = await meetingService.findByNotetakerId(notetakerId);
 
-      if (transcript) {
-        await meetingService.setTranscript(meeting.id, transcript);
+  if (!meeting) {
+    console.error('Meeting not found for notetaker:', notetakerId);
+    return;
+  }
 
-        // Generate note
-        const note = await generateNote(transcript);
-        await meetingService.setNote(meeting.id, note);
+  // Update progress
+  await meetingService.updateProgress(meeting.id, 'Meeting completed. Generating note...', 90, {
+    source: 'notetaker.completed',
+  });
 
-        await meetingService.updateProgress(meeting.id, 'Note generated successfully!', 100);
-      }
-    } catch (error) {
-      console.error('Error fetching transcript:', error);
-      await meetingService.updateProgress(meeting.id, 'Error generating note', 0);
-    }
-  } catch (error) {
-    console.error('Error handling meeting completion:', error);
-  }
+  // Fetch transcript from the API and generate the note in the background
+  await jobService.enqueue(JOB_TYPES.FETCH_TRANSCRIPT, { notetakerId, grantId }, {
+    meetingId: meeting.id,
+    unique: true,
+  });
 }
 
 export default router;
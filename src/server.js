@@ -3,7 +3,23 @@ import cors from 'cors';
 import ngrok from '@ngrok/ngrok';
 import { config } from './config.js';
 import meetingRoutes from './routes/meetingRoutes.js';
-import webhookRoutes from './routes/webhookRoutes.js';
+import webhookRoutes, { replayPendingWebhookEvents } from './routes/webhookRoutes.js';
+import webhookEventRoutes from './routes/webhookEventRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import subscriptionRoutes from './routes/subscriptionRoutes.js';
+import retentionRoutes from './routes/retentionRoutes.js';
+import tenantRoutes from './routes/tenantRoutes.js';
+import shareRoutes from './routes/shareRoutes.js';
+import usageRoutes from './routes/usageRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import { openApiSpec } from './openapi/index.js';
+import { AppError, ERROR_CODES } from './errors.js';
+import { authenticateApiKey, requireAdmin } from './middleware/authenticate.js';
+import { apiRateLimit } from './middleware/rateLimit.js';
+import jobService from './services/jobService.js';
+import retentionService from './services/retentionService.js';
+import { registerMeetingJobs } from './jobs/meetingJobs.js';
+import { registerWebhookDeliveryJobs } from './jobs/webhookDeliveryJobs.js';
 
 const app = express();
 
@@ -12,7 +28,13 @@ let ngrokPublicUrl = null;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  limit: config.server.bodyLimit,
+  // Keep the raw body so webhook signatures can be verified against the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware for debugging
@@ -62,9 +84,28 @@ app.get('/webhook-url', (req, res) => {
   }
 });
 
-// API Routes
-app.use('/api/meetings', meetingRoutes);
+// OpenAPI document for /api/meetings and /api/webhooks (public, like /health)
+app.get('/api/openapi.json', (req, res) => {
+  res.json({
+    ...openApiSpec,
+    servers: [{ url: config.server.publicUrl || ngrokPublicUrl || `${req.protocol}://${req.get('host')}` }],
+  });
+});
+
+// API Routes (meetings need a tenant API key and are rate limited per key; operational
+// routes need ADMIN_API_KEY; Nylas webhooks are verified by signature instead)
+app.use('/api/meetings', authenticateApiKey, apiRateLimit, meetingRoutes);
+app.use('/api/usage', authenticateApiKey, apiRateLimit, usageRoutes);
+app.use('/api/templates', authenticateApiKey, apiRateLimit, templateRoutes);
+app.use('/api/webhooks/events', requireAdmin, webhookEventRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/jobs', requireAdmin, jobRoutes);
+app.use('/api/subscriptions', requireAdmin, subscriptionRoutes);
+app.use('/api/retention', requireAdmin, retentionRoutes);
+app.use('/api/tenants', requireAdmin, tenantRoutes);
+
+// Public share links (the signed token is the credential)
+app.use('/shares', shareRoutes);
 
 // Debug: Log all registered routes on startup
 console.log('\n📋 Registered API Routes:');
@@ -86,14 +127,45 @@ app.get('/', (req, res) => {
       webhookUrl: '/webhook-url',
       meetings: '/api/meetings',
       webhooks: '/api/webhooks/nylas',
+      jobs: '/api/jobs',
+      subscriptions: '/api/subscriptions',
+      retention: '/api/retention',
+      tenants: '/api/tenants',
+      usage: '/api/usage',
+      templates: '/api/templates',
+      openapi: '/api/openapi.json',
+      shares: '/shares/:token',
     },
   });
 });
 
-// Error handling middleware
+// Error handling middleware: typed errors (src/errors.js) answer with their own status
+// and code, everything else is a 500
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof AppError) {
+    if (err.status >= 500) {
+      console.warn(`⚠️  ${req.method} ${req.originalUrl} -> ${err.status}: ${err.message}`);
+    }
+    if (err.retryAfter !== null) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.status).json(err);
+  }
+
+  // Malformed JSON and oversized bodies from the body parsers
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.message,
+      code: err.status === 413 ? ERROR_CODES.PAYLOAD_TOO_LARGE : ERROR_CODES.VALIDATION,
+    });
+  }
+
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({ error: 'Internal server error', code: ERROR_CODES.INTERNAL });
 });
 
 // 404 handler
@@ -102,6 +174,7 @@ app.use((req, res) => {
   console.log('   Available routes: /api/meetings, /api/webhooks');
   res.status(404).json({
     error: 'Route not found',
+    code: ERROR_CODES.NOT_FOUND,
     method: req.method,
     path: req.path,
     message: `No route found for ${req.method} ${req.path}`
@@ -116,6 +189,19 @@ const server = app.listen(PORT, async () => {
   console.log(`📝 Environment: ${config.server.env}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
 
+  // Start processing background jobs (transcripts, notes, recording uploads, outbound webhooks)
+  registerMeetingJobs();
+  registerWebhookDeliveryJobs();
+  jobService.start();
+
+  // Process webhook events that were acknowledged but not processed before the last shutdown
+  replayPendingWebhookEvents().catch(error => {
+    console.error('❌ Error replaying pending webhook events:', error);
+  });
+
+  // Purge data that is past its retention period
+  retentionService.start();
+
   // Initialize ngrok if configured
   if (config.ngrok.authtoken) {
     try {
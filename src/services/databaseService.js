@@ -19,6 +19,18 @@ function getSupabaseClient() {
   return supabase;
 }
 
+/**
+ * PostgREST filter for the meetings a tenant may see: those of its grants, plus its
+ * own imports and uploads that have no grant (see tenantService.canAccessMeeting)
+ * @param {Object} tenant - { id, grantIds }
+ * @returns {string} Filter for query.or()
+ */
+function tenantFilter(tenant) {
+  const own = `and(grant_id.is.null,tenant_id.eq."${tenant.id}")`;
+  if (tenant.grantIds.length === 0) return own;
+  return `grant_id.in.(${tenant.grantIds.map(id => `"${id}"`).join(',')}),${own}`;
+}
+
 /**
  * Database service for meetings
  */
@@ -35,14 +47,29 @@ class DatabaseService {
         .from('meetings')
         .insert({
           id: meetingData.id,
+          title: meetingData.title || null,
+          description: meetingData.description || null,
+          organizer: meetingData.organizer || null,
+          tags: meetingData.tags || [],
+          metadata: meetingData.metadata || {},
           meeting_url: meetingData.meetingUrl,
-          grant_id: meetingData.grantId,
+          platform: meetingData.platform || null,
+          grant_id: meetingData.grantId || null,
+          tenant_id: meetingData.tenantId || null,
+          source: meetingData.source || 'bot',
+          note_template: meetingData.template || null,
+          llm_provider: meetingData.llmProvider || null,
           status: meetingData.status || 'pending',
+          failure_reason: meetingData.failureReason || null,
           notetaker_id: meetingData.notetakerId || null,
+          join_time: meetingData.joinTime || null,
+          timezone: meetingData.timezone || null,
           transcript: meetingData.transcript || null,
           recording_url: meetingData.recording || null,
           note: meetingData.note || null,
           progress: meetingData.progress || { message: 'Meeting link added. Waiting to join...', percentage: 0 },
+          deleted_at: meetingData.deletedAt || null,
+          purged_artifacts: meetingData.purgedArtifacts || {},
         })
         .select()
         .single();
@@ -91,7 +118,18 @@ class DatabaseService {
 
   /**
    * Get all meetings
-   * @param {Object} options - Query options (limit, orderBy, etc.)
+   * @param {Object} options - Query options
+   * @param {Array<string>} [options.status] - Only meetings in one of these statuses
+   * @param {string} [options.grantId] - Only meetings for this grant
+   * @param {string} [options.platform] - Only meetings on this platform
+   * @param {Array<string>} [options.tags] - Only meetings that have every one of these tags
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @param {string} [options.createdFrom] - Created at or after (ISO)
+   * @param {string} [options.createdTo] - Created at or before (ISO)
+   * @param {string} [options.sort] - createdAt (default) or updatedAt
+   * @param {string} [options.order] - desc (default) or asc
+   * @param {Object} [options.after] - Keyset position { value, id } to start after
+   * @param {number} [options.limit] - Maximum number of meetings
    * @returns {Promise<Array>} Array of meetings
    */
   async getAllMeetings(options = {}) {
@@ -99,10 +137,30 @@ class DatabaseService {
       const client = getSupabaseClient();
       let query = client
         .from('meetings')
-        .select('*');
+        .select('*')
+        .is('deleted_at', null);
 
-      // Order by created_at descending by default
-      query = query.order('created_at', { ascending: false });
+      if (options.status?.length) query = query.in('status', options.status);
+      if (options.grantId) query = query.eq('grant_id', options.grantId);
+      if (options.platform) query = query.eq('platform', options.platform);
+      if (options.tags?.length) query = query.contains('tags', options.tags);
+      if (options.tenant) query = query.or(tenantFilter(options.tenant));
+      if (options.createdFrom) query = query.gte('created_at', options.createdFrom);
+      if (options.createdTo) query = query.lte('created_at', options.createdTo);
+
+      // Order by created_at descending by default, with id as the tie-breaker for keyset pagination
+      const column = options.sort === 'updatedAt' ? 'updated_at' : 'created_at';
+      const ascending = options.order === 'asc';
+
+      if (options.after) {
+        const op = ascending ? 'gt' : 'lt';
+        const { value, id } = options.after;
+        query = query.or(`${column}.${op}."${value}",and(${column}.eq."${value}",id.${op}."${id}")`);
+      }
+
+      query = query
+        .order(column, { ascending })
+        .order('id', { ascending });
 
       // Apply limit if provided
       if (options.limit) {
@@ -127,36 +185,54 @@ class DatabaseService {
    * Update meeting
    * @param {string} meetingId - Meeting ID
    * @param {Object} updates - Fields to update
-   * @returns {Promise<Object|null>} Updated meeting or null
+   * @param {string} [expectedStatus] - Only update if the meeting still has this status
+   * @returns {Promise<Object|null>} Updated meeting, or null if not found or the status changed
    */
-  async updateMeeting(meetingId, updates) {
+  async updateMeeting(meetingId, updates, expectedStatus) {
     try {
       const client = getSupabaseClient();
 
       // Map updates to database column names
       const dbUpdates = {};
+      if (updates.title !== undefined) dbUpdates.title = updates.title;
+      if (updates.description !== undefined) dbUpdates.description = updates.description;
+      if (updates.organizer !== undefined) dbUpdates.organizer = updates.organizer;
+      if (updates.tags !== undefined) dbUpdates.tags = updates.tags;
+      if (updates.metadata !== undefined) dbUpdates.metadata = updates.metadata;
       if (updates.meetingUrl !== undefined) dbUpdates.meeting_url = updates.meetingUrl;
+      if (updates.platform !== undefined) dbUpdates.platform = updates.platform;
       if (updates.grantId !== undefined) dbUpdates.grant_id = updates.grantId;
+      if (updates.template !== undefined) dbUpdates.note_template = updates.template;
+      if (updates.llmProvider !== undefined) dbUpdates.llm_provider = updates.llmProvider;
       if (updates.status !== undefined) dbUpdates.status = updates.status;
+      if (updates.failureReason !== undefined) dbUpdates.failure_reason = updates.failureReason;
       if (updates.notetakerId !== undefined) dbUpdates.notetaker_id = updates.notetakerId;
+      if (updates.joinTime !== undefined) dbUpdates.join_time = updates.joinTime;
+      if (updates.timezone !== undefined) dbUpdates.timezone = updates.timezone;
       if (updates.transcript !== undefined) dbUpdates.transcript = updates.transcript;
       if (updates.recording !== undefined) dbUpdates.recording_url = updates.recording;
       if (updates.note !== undefined) dbUpdates.note = updates.note;
       if (updates.progress !== undefined) dbUpdates.progress = updates.progress;
+      if (updates.deletedAt !== undefined) dbUpdates.deleted_at = updates.deletedAt;
+      if (updates.purgedArtifacts !== undefined) dbUpdates.purged_artifacts = updates.purgedArtifacts;
 
-      const { data, error } = await client
+      let query = client
         .from('meetings')
         .update(dbUpdates)
-        .eq('id', meetingId)
-        .select()
-        .single();
+        .eq('id', meetingId);
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select();
 
       if (error) {
         console.error('Error updating meeting:', error);
         throw error;
       }
 
-      return data ? this.mapDbToMeeting(data) : null;
+      return data && data.length > 0 ? this.mapDbToMeeting(data[0]) : null;
     } catch (error) {
       console.error('Database error updating meeting:', error);
       throw error;
@@ -205,6 +281,1827 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Find pending meetings for a grant that have no notetaker linked yet
+   * @param {string} grantId - Nylas Grant ID
+   * @param {number} limit - Maximum number of meetings to return
+   * @returns {Promise<Array>} Array of meetings, newest first
+   */
+  async findUnlinkedByGrantId(grantId, limit) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meetings')
+        .select('*')
+        .eq('grant_id', grantId)
+        .is('notetaker_id', null)
+        .eq('source', 'bot')
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error finding unlinked meetings:', error);
+        throw error;
+      }
+
+      return (data || []).map(meeting => this.mapDbToMeeting(meeting));
+    } catch (error) {
+      console.error('Database error finding unlinked meetings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Full-text search over transcript and note text
+   * @param {string} query - Web-search style query (words, "phrases", -exclusions)
+   * @param {Object} options - Search options
+   * @param {string} [options.grantId] - Only meetings for this grant
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @param {number} [options.limit] - Maximum number of meetings
+   * @returns {Promise<Array>} Matching meetings, newest first
+   */
+  async searchMeetings(query, options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let dbQuery = client
+        .from('meetings')
+        .select('*')
+        .textSearch('search_vector', query, { type: 'websearch', config: 'english' })
+        .is('deleted_at', null);
+
+      if (options.grantId) dbQuery = dbQuery.eq('grant_id', options.grantId);
+      if (options.tenant) dbQuery = dbQuery.or(tenantFilter(options.tenant));
+
+      dbQuery = dbQuery.order('created_at', { ascending: false });
+      if (options.limit) dbQuery = dbQuery.limit(options.limit);
+
+      const { data, error } = await dbQuery;
+
+      if (error) {
+        console.error('Error searching meetings:', error);
+        throw error;
+      }
+
+      return (data || []).map(meeting => this.mapDbToMeeting(meeting));
+    } catch (error) {
+      console.error('Database error searching meetings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get meetings whose bot is scheduled to join later
+   * @param {Object} options - Query options
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @returns {Promise<Array>} Array of meetings, soonest join time first
+   */
+  async getScheduledMeetings(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('meetings')
+        .select('*')
+        .eq('status', 'scheduled')
+        .is('deleted_at', null);
+
+      if (options.tenant) query = query.or(tenantFilter(options.tenant));
+
+      const { data, error } = await query.order('join_time', { ascending: true });
+
+      if (error) {
+        console.error('Error getting scheduled meetings:', error);
+        throw error;
+      }
+
+      return (data || []).map(meeting => this.mapDbToMeeting(meeting));
+    } catch (error) {
+      console.error('Database error getting scheduled meetings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a meeting (timeline and jobs cascade)
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<void>}
+   */
+  async deleteMeeting(meetingId) {
+    try {
+      const client = getSupabaseClient();
+      const { error } = await client
+        .from('meetings')
+        .delete()
+        .eq('id', meetingId);
+
+      if (error) {
+        console.error('Error deleting meeting:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Database error deleting meeting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find finished meetings created before a cutoff whose artifact has not been purged yet
+   * @param {string} artifact - recording, transcript or note
+   * @param {string} before - ISO cutoff for created_at
+   * @param {Array<string>} statuses - Finished statuses
+   * @param {number} limit - Maximum number of meetings
+   * @returns {Promise<Array>} Meetings, oldest first
+   */
+  async findExpiredArtifacts(artifact, before, statuses, limit) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('meetings')
+        .select('*')
+        .is('deleted_at', null)
+        .in('status', statuses)
+        .lt('created_at', before)
+        .is(`purged_artifacts->${artifact}`, null);
+
+      // Recordings are checked even without a URL: uploads may be stored without one
+      if (artifact !== 'recording') {
+        query = query.not(artifact, 'is', null);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error finding expired artifacts:', error);
+        throw error;
+      }
+
+      return (data || []).map(meeting => this.mapDbToMeeting(meeting));
+    } catch (error) {
+      console.error('Database error finding expired artifacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find meetings soft-deleted before a cutoff
+   * @param {string} before - ISO cutoff for deleted_at
+   * @param {number} limit - Maximum number of meetings
+   * @returns {Promise<Array>} Meetings, oldest deletion first
+   */
+  async findDeletedMeetings(before, limit) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meetings')
+        .select('*')
+        .lt('deleted_at', before)
+        .order('deleted_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error finding deleted meetings:', error);
+        throw error;
+      }
+
+      return (data || []).map(meeting => this.mapDbToMeeting(meeting));
+    } catch (error) {
+      console.error('Database error finding deleted meetings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a purge in the purge log
+   * @param {Object} record - Purge record
+   * @returns {Promise<Object>} Created record
+   */
+  async createPurgeRecord(record) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('purge_log')
+        .insert({
+          id: record.id,
+          meeting_id: record.meetingId,
+          artifact: record.artifact,
+          reason: record.reason,
+          objects: record.objects || [],
+          purged_at: record.purgedAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating purge record:', error);
+        throw error;
+      }
+
+      return this.mapDbToPurgeRecord(data);
+    } catch (error) {
+      console.error('Database error creating purge record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List purge records, newest first
+   * @param {Object} options - { meetingId, limit }
+   * @returns {Promise<Array>} Purge records
+   */
+  async listPurgeRecords(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('purge_log')
+        .select('*');
+
+      if (options.meetingId) query = query.eq('meeting_id', options.meetingId);
+
+      const { data, error } = await query
+        .order('purged_at', { ascending: false })
+        .limit(options.limit || 100);
+
+      if (error) {
+        console.error('Error listing purge records:', error);
+        throw error;
+      }
+
+      return (data || []).map(record => this.mapDbToPurgeRecord(record));
+    } catch (error) {
+      console.error('Database error listing purge records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tenant
+   * @param {Object} tenant - Tenant data
+   * @returns {Promise<Object>} Created tenant
+   */
+  async createTenant(tenant) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('tenants')
+        .insert({
+          id: tenant.id,
+          name: tenant.name,
+          grant_ids: tenant.grantIds || [],
+          quotas: tenant.quotas || {},
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating tenant:', error);
+        throw error;
+      }
+
+      return this.mapDbToTenant(data);
+    } catch (error) {
+      console.error('Database error creating tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tenant by ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object|null>} Tenant or null
+   */
+  async getTenant(tenantId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('tenants')
+        .select('*')
+        .eq('id', tenantId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting tenant:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToTenant(data) : null;
+    } catch (error) {
+      console.error('Database error getting tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List tenants
+   * @returns {Promise<Array>} Tenants, oldest first
+   */
+  async listTenants() {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('tenants')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error listing tenants:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToTenant(row));
+    } catch (error) {
+      console.error('Database error listing tenants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated tenant or null
+   */
+  async updateTenant(tenantId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.name !== undefined) dbUpdates.name = updates.name;
+      if (updates.grantIds !== undefined) dbUpdates.grant_ids = updates.grantIds;
+      if (updates.quotas !== undefined) dbUpdates.quotas = updates.quotas;
+
+      const { data, error } = await client
+        .from('tenants')
+        .update(dbUpdates)
+        .eq('id', tenantId)
+        .select();
+
+      if (error) {
+        console.error('Error updating tenant:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToTenant(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find tenants that own any of the given grants
+   * @param {Array<string>} grantIds - Nylas Grant IDs
+   * @returns {Promise<Array>} Tenants
+   */
+  async findTenantsByGrantIds(grantIds) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('tenants')
+        .select('*')
+        .overlaps('grant_ids', grantIds);
+
+      if (error) {
+        console.error('Error finding tenants by grant:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToTenant(row));
+    } catch (error) {
+      console.error('Database error finding tenants by grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an API key (only its hash is stored)
+   * @param {Object} apiKey - API key data
+   * @returns {Promise<Object>} Created API key
+   */
+  async createApiKey(apiKey) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .insert({
+          id: apiKey.id,
+          tenant_id: apiKey.tenantId,
+          name: apiKey.name || null,
+          key_prefix: apiKey.keyPrefix,
+          key_hash: apiKey.keyHash,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+      }
+
+      return this.mapDbToApiKey(data);
+    } catch (error) {
+      console.error('Database error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a tenant's API keys
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} API keys, newest first
+   */
+  async listApiKeys(tenantId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .select('*')
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error listing API keys:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToApiKey(row));
+    } catch (error) {
+      console.error('Database error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an API key by the hash of the key
+   * @param {string} keyHash - SHA-256 hex digest of the key
+   * @returns {Promise<Object|null>} API key or null
+   */
+  async findApiKeyByHash(keyHash) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .select('*')
+        .eq('key_hash', keyHash)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error finding API key:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToApiKey(data) : null;
+    } catch (error) {
+      console.error('Database error finding API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a tenant's API key (keys that are already revoked keep their original time)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} keyId - API key ID
+   * @param {string} revokedAt - ISO time of revocation
+   * @returns {Promise<Object|null>} Revoked key, or null if the tenant has no such key
+   */
+  async revokeApiKey(tenantId, keyId, revokedAt) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('api_keys')
+        .select('*')
+        .eq('id', keyId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting API key:', error);
+        throw error;
+      }
+
+      if (data.revoked_at) return this.mapDbToApiKey(data);
+
+      const { data: updated, error: updateError } = await client
+        .from('api_keys')
+        .update({ revoked_at: revokedAt })
+        .eq('id', keyId)
+        .select()
+        .single();
+
+      if (updateError) {
+        console.error('Error revoking API key:', updateError);
+        throw updateError;
+      }
+
+      return this.mapDbToApiKey(updated);
+    } catch (error) {
+      console.error('Database error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record when an API key was last used
+   * @param {string} keyId - API key ID
+   * @param {string} lastUsedAt - ISO time
+   * @returns {Promise<void>}
+   */
+  async updateApiKeyLastUsed(keyId, lastUsedAt) {
+    const client = getSupabaseClient();
+    const { error } = await client
+      .from('api_keys')
+      .update({ last_used_at: lastUsedAt })
+      .eq('id', keyId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a share link
+   * @param {Object} share - Share data
+   * @returns {Promise<Object>} Created share
+   */
+  async createShare(share) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meeting_shares')
+        .insert({
+          id: share.id,
+          meeting_id: share.meetingId,
+          tenant_id: share.tenantId || null,
+          recipient: share.recipient || null,
+          include_transcript: share.includeTranscript,
+          include_recording: share.includeRecording,
+          expires_at: share.expiresAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating share:', error);
+        throw error;
+      }
+
+      return this.mapDbToShare(data);
+    } catch (error) {
+      console.error('Database error creating share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get share link by ID
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object|null>} Share or null
+   */
+  async getShare(shareId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meeting_shares')
+        .select('*')
+        .eq('id', shareId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting share:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToShare(data) : null;
+    } catch (error) {
+      console.error('Database error getting share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a meeting's share links
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} Shares, newest first
+   */
+  async listShares(meetingId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meeting_shares')
+        .select('*')
+        .eq('meeting_id', meetingId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error listing shares:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToShare(row));
+    } catch (error) {
+      console.error('Database error listing shares:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update share link
+   * @param {string} shareId - Share ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated share or null
+   */
+  async updateShare(shareId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.revokedAt !== undefined) dbUpdates.revoked_at = updates.revokedAt;
+
+      const { data, error } = await client
+        .from('meeting_shares')
+        .update(dbUpdates)
+        .eq('id', shareId)
+        .select();
+
+      if (error) {
+        console.error('Error updating share:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToShare(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a share link was opened
+   * @param {Object} record - Access record
+   * @returns {Promise<Object>} Created record
+   */
+  async createShareAccess(record) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('share_access_log')
+        .insert({
+          id: record.id,
+          share_id: record.shareId,
+          meeting_id: record.meetingId,
+          outcome: record.outcome,
+          ip: record.ip,
+          user_agent: record.userAgent,
+          accessed_at: record.accessedAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error recording share access:', error);
+        throw error;
+      }
+
+      return this.mapDbToShareAccess(data);
+    } catch (error) {
+      console.error('Database error recording share access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the access log of a share link
+   * @param {string} shareId - Share ID
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array>} Access records, newest first
+   */
+  async listShareAccess(shareId, limit) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('share_access_log')
+        .select('*')
+        .eq('share_id', shareId)
+        .order('accessed_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error listing share access:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToShareAccess(row));
+    } catch (error) {
+      console.error('Database error listing share access:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a billable use (bot deployment or LLM note generation)
+   * @param {Object} event - Usage event
+   * @returns {Promise<Object>} Created usage event
+   */
+  async createUsageEvent(event) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('usage_events')
+        .insert({
+          id: event.id,
+          tenant_id: event.tenantId,
+          metric: event.metric,
+          meeting_id: event.meetingId,
+          created_at: event.createdAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error recording usage:', error);
+        throw error;
+      }
+
+      return this.mapDbToUsageEvent(data);
+    } catch (error) {
+      console.error('Database error recording usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a tenant's usage events of one metric since a point in time
+   * @param {string|null} tenantId - Tenant ID (null = usage without a tenant)
+   * @param {string} metric - Metric
+   * @param {string} since - ISO time (inclusive)
+   * @returns {Promise<number>} Number of events
+   */
+  async countUsageEvents(tenantId, metric, since) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('usage_events')
+        .select('id', { count: 'exact', head: true })
+        .eq('metric', metric)
+        .gte('created_at', since);
+
+      query = tenantId ? query.eq('tenant_id', tenantId) : query.is('tenant_id', null);
+
+      const { count, error } = await query;
+
+      if (error) {
+        console.error('Error counting usage:', error);
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      console.error('Database error counting usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a note template
+   * @param {Object} template - Template data
+   * @returns {Promise<Object>} Created template
+   */
+  async createNoteTemplate(template) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('note_templates')
+        .insert({
+          id: template.id,
+          tenant_id: template.tenantId || null,
+          name: template.name,
+          description: template.description || null,
+          prompt: template.prompt,
+          output_schema: template.outputSchema,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating note template:', error);
+        throw error;
+      }
+
+      return this.mapDbToNoteTemplate(data);
+    } catch (error) {
+      console.error('Database error creating note template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get note template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async getNoteTemplate(templateId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('note_templates')
+        .select('*')
+        .eq('id', templateId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting note template:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToNoteTemplate(data) : null;
+    } catch (error) {
+      console.error('Database error getting note template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List note templates
+   * @param {Object} options - Filters
+   * @param {string} [options.tenantId] - Only the tenant's own templates and shared ones (without a tenant)
+   * @returns {Promise<Array>} Templates, oldest first
+   */
+  async listNoteTemplates(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('note_templates')
+        .select('*');
+
+      if (options.tenantId) {
+        query = query.or(`tenant_id.is.null,tenant_id.eq."${options.tenantId}"`);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error listing note templates:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToNoteTemplate(row));
+    } catch (error) {
+      console.error('Database error listing note templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update note template
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated template or null
+   */
+  async updateNoteTemplate(templateId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.name !== undefined) dbUpdates.name = updates.name;
+      if (updates.description !== undefined) dbUpdates.description = updates.description;
+      if (updates.prompt !== undefined) dbUpdates.prompt = updates.prompt;
+      if (updates.outputSchema !== undefined) dbUpdates.output_schema = updates.outputSchema;
+
+      const { data, error } = await client
+        .from('note_templates')
+        .update(dbUpdates)
+        .eq('id', templateId)
+        .select();
+
+      if (error) {
+        console.error('Error updating note template:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToNoteTemplate(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating note template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete note template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} True if a template was deleted
+   */
+  async deleteNoteTemplate(templateId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('note_templates')
+        .delete()
+        .eq('id', templateId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting note template:', error);
+        throw error;
+      }
+
+      return Boolean(data && data.length > 0);
+    } catch (error) {
+      console.error('Database error deleting note template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to a meeting's timeline
+   * @param {Object} entry - Timeline entry
+   * @returns {Promise<Object>} Created timeline entry
+   */
+  async addTimelineEntry(entry) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meeting_timeline')
+        .insert({
+          meeting_id: entry.meetingId,
+          type: entry.type,
+          status: entry.status || null,
+          previous_status: entry.previousStatus || null,
+          source: entry.source || null,
+          raw_state: entry.rawState || null,
+          message: entry.message || null,
+          percentage: entry.percentage ?? null,
+          reason: entry.reason || null,
+          created_at: entry.createdAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error adding timeline entry:', error);
+        throw error;
+      }
+
+      return this.mapDbToTimelineEntry(data);
+    } catch (error) {
+      console.error('Database error adding timeline entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a meeting's timeline
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} Timeline entries, oldest first
+   */
+  async getTimeline(meetingId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('meeting_timeline')
+        .select('*')
+        .eq('meeting_id', meetingId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        console.error('Error getting timeline:', error);
+        throw error;
+      }
+
+      return (data || []).map(entry => this.mapDbToTimelineEntry(entry));
+    } catch (error) {
+      console.error('Database error getting timeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to timeline entry (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Timeline entry
+   */
+  mapDbToTimelineEntry(dbRow) {
+    return {
+      id: dbRow.id,
+      meetingId: dbRow.meeting_id,
+      type: dbRow.type,
+      status: dbRow.status,
+      previousStatus: dbRow.previous_status,
+      source: dbRow.source,
+      rawState: dbRow.raw_state,
+      message: dbRow.message,
+      percentage: dbRow.percentage,
+      reason: dbRow.reason,
+      createdAt: dbRow.created_at,
+    };
+  }
+
+  /**
+   * Insert a webhook event, ignoring events that were already recorded
+   * @param {Object} eventData - Webhook event data
+   * @returns {Promise<Object|null>} Created event, or null if the event ID already exists
+   */
+  async createWebhookEvent(eventData) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_events')
+        .insert({
+          id: eventData.id,
+          type: eventData.type,
+          payload: eventData.payload,
+          received_at: eventData.receivedAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          // Unique violation - event already recorded
+          return null;
+        }
+        console.error('Error creating webhook event:', error);
+        throw error;
+      }
+
+      return this.mapDbToWebhookEvent(data);
+    } catch (error) {
+      console.error('Database error creating webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get webhook event by ID
+   * @param {string} eventId - Nylas event ID
+   * @returns {Promise<Object|null>} Webhook event or null
+   */
+  async getWebhookEvent(eventId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_events')
+        .select('*')
+        .eq('id', eventId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting webhook event:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToWebhookEvent(data) : null;
+    } catch (error) {
+      console.error('Database error getting webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update webhook event
+   * @param {string} eventId - Nylas event ID
+   * @param {Object} updates - Fields to update (processedAt, error, attempts)
+   * @returns {Promise<Object|null>} Updated webhook event or null
+   */
+  async updateWebhookEvent(eventId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.processedAt !== undefined) dbUpdates.processed_at = updates.processedAt;
+      if (updates.error !== undefined) dbUpdates.error = updates.error;
+      if (updates.attempts !== undefined) dbUpdates.attempts = updates.attempts;
+
+      const { data, error } = await client
+        .from('webhook_events')
+        .update(dbUpdates)
+        .eq('id', eventId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating webhook event:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToWebhookEvent(data) : null;
+    } catch (error) {
+      console.error('Database error updating webhook event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook events
+   * @param {Object} options - Query options (status, from, to, limit)
+   * @returns {Promise<Array>} Array of webhook events, oldest first
+   */
+  async listWebhookEvents(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('webhook_events')
+        .select('*')
+        .order('received_at', { ascending: true });
+
+      if (options.status === 'failed') {
+        query = query.not('error', 'is', null);
+      } else if (options.status === 'pending') {
+        query = query.is('processed_at', null).is('error', null);
+      } else if (options.status === 'processed') {
+        query = query.not('processed_at', 'is', null).is('error', null);
+      }
+
+      if (options.from) {
+        query = query.gte('received_at', options.from);
+      }
+
+      if (options.to) {
+        query = query.lte('received_at', options.to);
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error listing webhook events:', error);
+        throw error;
+      }
+
+      return (data || []).map(event => this.mapDbToWebhookEvent(event));
+    } catch (error) {
+      console.error('Database error listing webhook events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a job
+   * @param {Object} jobData - Job data
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(jobData) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('jobs')
+        .insert({
+          id: jobData.id,
+          type: jobData.type,
+          meeting_id: jobData.meetingId || null,
+          payload: jobData.payload || {},
+          status: jobData.status || 'queued',
+          attempts: jobData.attempts || 0,
+          max_attempts: jobData.maxAttempts,
+          run_at: jobData.runAt,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating job:', error);
+        throw error;
+      }
+
+      return this.mapDbToJob(data);
+    } catch (error) {
+      console.error('Database error creating job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getJob(jobId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('jobs')
+        .select('*')
+        .eq('id', jobId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting job:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToJob(data) : null;
+    } catch (error) {
+      console.error('Database error getting job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List jobs
+   * @param {Object} options - Query options (status, meetingId, type, dueBefore, lockedBefore, limit)
+   * @returns {Promise<Array>} Array of jobs, oldest run_at first
+   */
+  async listJobs(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('jobs')
+        .select('*')
+        .order('run_at', { ascending: true });
+
+      if (options.status) {
+        query = Array.isArray(options.status)
+          ? query.in('status', options.status)
+          : query.eq('status', options.status);
+      }
+
+      if (options.meetingId) {
+        query = query.eq('meeting_id', options.meetingId);
+      }
+
+      if (options.type) {
+        query = query.eq('type', options.type);
+      }
+
+      if (options.dueBefore) {
+        query = query.lte('run_at', options.dueBefore);
+      }
+
+      if (options.lockedBefore) {
+        query = query.lt('locked_at', options.lockedBefore);
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error listing jobs:', error);
+        throw error;
+      }
+
+      return (data || []).map(job => this.mapDbToJob(job));
+    } catch (error) {
+      console.error('Database error listing jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update job
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [expectedStatus] - Only update if the job currently has this status
+   * @returns {Promise<Object|null>} Updated job, or null if no row matched
+   */
+  async updateJob(jobId, updates, expectedStatus) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.status !== undefined) dbUpdates.status = updates.status;
+      if (updates.attempts !== undefined) dbUpdates.attempts = updates.attempts;
+      if (updates.runAt !== undefined) dbUpdates.run_at = updates.runAt;
+      if (updates.lockedAt !== undefined) dbUpdates.locked_at = updates.lockedAt;
+      if (updates.lastError !== undefined) dbUpdates.last_error = updates.lastError;
+      if (updates.payload !== undefined) dbUpdates.payload = updates.payload;
+
+      let query = client
+        .from('jobs')
+        .update(dbUpdates)
+        .eq('id', jobId);
+
+      if (expectedStatus) {
+        query = query.eq('status', expectedStatus);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        console.error('Error updating job:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToJob(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an outbound webhook subscription
+   * @param {Object} subscription - Subscription data
+   * @returns {Promise<Object>} Created subscription
+   */
+  async createWebhookSubscription(subscription) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_subscriptions')
+        .insert({
+          id: subscription.id,
+          url: subscription.url,
+          event_types: subscription.eventTypes,
+          secret: subscription.secret,
+          description: subscription.description || null,
+          active: subscription.active !== false,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating webhook subscription:', error);
+        throw error;
+      }
+
+      return this.mapDbToWebhookSubscription(data);
+    } catch (error) {
+      console.error('Database error creating webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get outbound webhook subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription or null
+   */
+  async getWebhookSubscription(subscriptionId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_subscriptions')
+        .select('*')
+        .eq('id', subscriptionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting webhook subscription:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToWebhookSubscription(data) : null;
+    } catch (error) {
+      console.error('Database error getting webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List outbound webhook subscriptions
+   * @param {Object} options - Filters
+   * @param {string} [options.eventType] - Only active subscriptions for this event type
+   * @returns {Promise<Array>} Subscriptions, oldest first
+   */
+  async listWebhookSubscriptions(options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('webhook_subscriptions')
+        .select('*');
+
+      if (options.eventType) {
+        query = query.eq('active', true).contains('event_types', [options.eventType]);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error listing webhook subscriptions:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToWebhookSubscription(row));
+    } catch (error) {
+      console.error('Database error listing webhook subscriptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update outbound webhook subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated subscription or null
+   */
+  async updateWebhookSubscription(subscriptionId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.url !== undefined) dbUpdates.url = updates.url;
+      if (updates.eventTypes !== undefined) dbUpdates.event_types = updates.eventTypes;
+      if (updates.secret !== undefined) dbUpdates.secret = updates.secret;
+      if (updates.description !== undefined) dbUpdates.description = updates.description;
+      if (updates.active !== undefined) dbUpdates.active = updates.active;
+
+      const { data, error } = await client
+        .from('webhook_subscriptions')
+        .update(dbUpdates)
+        .eq('id', subscriptionId)
+        .select();
+
+      if (error) {
+        console.error('Error updating webhook subscription:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToWebhookSubscription(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete outbound webhook subscription (its deliveries are deleted with it)
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} True if a subscription was deleted
+   */
+  async deleteWebhookSubscription(subscriptionId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_subscriptions')
+        .delete()
+        .eq('id', subscriptionId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting webhook subscription:', error);
+        throw error;
+      }
+
+      return Boolean(data && data.length > 0);
+    } catch (error) {
+      console.error('Database error deleting webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an outbound webhook delivery
+   * @param {Object} delivery - Delivery data
+   * @returns {Promise<Object>} Created delivery
+   */
+  async createWebhookDelivery(delivery) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .insert({
+          id: delivery.id,
+          subscription_id: delivery.subscriptionId,
+          event_id: delivery.eventId,
+          event_type: delivery.eventType,
+          payload: delivery.payload,
+          status: delivery.status || 'pending',
+          attempts: delivery.attempts || 0,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating webhook delivery:', error);
+        throw error;
+      }
+
+      return this.mapDbToWebhookDelivery(data);
+    } catch (error) {
+      console.error('Database error creating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get outbound webhook delivery by ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery or null
+   */
+  async getWebhookDelivery(deliveryId) {
+    try {
+      const client = getSupabaseClient();
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', deliveryId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        console.error('Error getting webhook delivery:', error);
+        throw error;
+      }
+
+      return data ? this.mapDbToWebhookDelivery(data) : null;
+    } catch (error) {
+      console.error('Database error getting webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List deliveries for a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Filters (status, limit)
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  async listWebhookDeliveries(subscriptionId, options = {}) {
+    try {
+      const client = getSupabaseClient();
+      let query = client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('subscription_id', subscriptionId);
+
+      if (options.status) query = query.eq('status', options.status);
+
+      query = query.order('created_at', { ascending: false });
+      if (options.limit) query = query.limit(options.limit);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error listing webhook deliveries:', error);
+        throw error;
+      }
+
+      return (data || []).map(row => this.mapDbToWebhookDelivery(row));
+    } catch (error) {
+      console.error('Database error listing webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update outbound webhook delivery
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated delivery or null
+   */
+  async updateWebhookDelivery(deliveryId, updates) {
+    try {
+      const client = getSupabaseClient();
+
+      const dbUpdates = {};
+      if (updates.status !== undefined) dbUpdates.status = updates.status;
+      if (updates.attempts !== undefined) dbUpdates.attempts = updates.attempts;
+      if (updates.responseStatus !== undefined) dbUpdates.response_status = updates.responseStatus;
+      if (updates.responseBody !== undefined) dbUpdates.response_body = updates.responseBody;
+      if (updates.lastError !== undefined) dbUpdates.last_error = updates.lastError;
+      if (updates.deliveredAt !== undefined) dbUpdates.delivered_at = updates.deliveredAt;
+
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .update(dbUpdates)
+        .eq('id', deliveryId)
+        .select();
+
+      if (error) {
+        console.error('Error updating webhook delivery:', error);
+        throw error;
+      }
+
+      return data && data.length > 0 ? this.mapDbToWebhookDelivery(data[0]) : null;
+    } catch (error) {
+      console.error('Database error updating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to note template object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Note template object
+   */
+  mapDbToNoteTemplate(dbRow) {
+    return {
+      id: dbRow.id,
+      name: dbRow.name,
+      description: dbRow.description,
+      prompt: dbRow.prompt,
+      outputSchema: dbRow.output_schema,
+      builtIn: false,
+      tenantId: dbRow.tenant_id,
+      createdAt: dbRow.created_at,
+      updatedAt: dbRow.updated_at,
+    };
+  }
+
+  /**
+   * Map database row to webhook subscription object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Webhook subscription object
+   */
+  mapDbToWebhookSubscription(dbRow) {
+    return {
+      id: dbRow.id,
+      url: dbRow.url,
+      eventTypes: dbRow.event_types || [],
+      secret: dbRow.secret,
+      description: dbRow.description,
+      active: dbRow.active,
+      createdAt: dbRow.created_at,
+      updatedAt: dbRow.updated_at,
+    };
+  }
+
+  /**
+   * Map database row to webhook delivery object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Webhook delivery object
+   */
+  mapDbToWebhookDelivery(dbRow) {
+    return {
+      id: dbRow.id,
+      subscriptionId: dbRow.subscription_id,
+      eventId: dbRow.event_id,
+      eventType: dbRow.event_type,
+      payload: dbRow.payload,
+      status: dbRow.status,
+      attempts: dbRow.attempts || 0,
+      responseStatus: dbRow.response_status,
+      responseBody: dbRow.response_body,
+      lastError: dbRow.last_error,
+      deliveredAt: dbRow.delivered_at,
+      createdAt: dbRow.created_at,
+      updatedAt: dbRow.updated_at,
+    };
+  }
+
+  /**
+   * Map database row to job object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Job object
+   */
+  mapDbToJob(dbRow) {
+    return {
+      id: dbRow.id,
+      type: dbRow.type,
+      meetingId: dbRow.meeting_id,
+      payload: dbRow.payload || {},
+      status: dbRow.status,
+      attempts: dbRow.attempts || 0,
+      maxAttempts: dbRow.max_attempts,
+      runAt: dbRow.run_at,
+      lockedAt: dbRow.locked_at,
+      lastError: dbRow.last_error,
+      createdAt: dbRow.created_at,
+      updatedAt: dbRow.updated_at,
+    };
+  }
+
+  /**
+   * Map database row to webhook event object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Webhook event object
+   */
+  mapDbToWebhookEvent(dbRow) {
+    return {
+      id: dbRow.id,
+      type: dbRow.type,
+      payload: dbRow.payload,
+      receivedAt: dbRow.received_at,
+      processedAt: dbRow.processed_at,
+      error: dbRow.error,
+      attempts: dbRow.attempts || 0,
+    };
+  }
+
+  /**
+   * Map database row to purge record object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Purge record object
+   */
+  mapDbToPurgeRecord(dbRow) {
+    return {
+      id: dbRow.id,
+      meetingId: dbRow.meeting_id,
+      artifact: dbRow.artifact,
+      reason: dbRow.reason,
+      objects: dbRow.objects || [],
+      purgedAt: dbRow.purged_at,
+    };
+  }
+
+  /**
+   * Map database row to tenant object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Tenant object
+   */
+  mapDbToTenant(dbRow) {
+    return {
+      id: dbRow.id,
+      name: dbRow.name,
+      grantIds: dbRow.grant_ids || [],
+      quotas: dbRow.quotas || {},
+      createdAt: dbRow.created_at,
+      updatedAt: dbRow.updated_at,
+    };
+  }
+
+  /**
+   * Map database row to API key object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} API key object
+   */
+  mapDbToApiKey(dbRow) {
+    return {
+      id: dbRow.id,
+      tenantId: dbRow.tenant_id,
+      name: dbRow.name,
+      keyPrefix: dbRow.key_prefix,
+      keyHash: dbRow.key_hash,
+      createdAt: dbRow.created_at,
+      lastUsedAt: dbRow.last_used_at,
+      revokedAt: dbRow.revoked_at,
+    };
+  }
+
+  /**
+   * Map database row to share object (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Share object
+   */
+  mapDbToShare(dbRow) {
+    return {
+      id: dbRow.id,
+      meetingId: dbRow.meeting_id,
+      tenantId: dbRow.tenant_id,
+      recipient: dbRow.recipient,
+      includeTranscript: dbRow.include_transcript,
+      includeRecording: dbRow.include_recording,
+      expiresAt: dbRow.expires_at,
+      revokedAt: dbRow.revoked_at,
+      createdAt: dbRow.created_at,
+    };
+  }
+
+  /**
+   * Map database row to usage event (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Usage event
+   */
+  mapDbToUsageEvent(dbRow) {
+    return {
+      id: dbRow.id,
+      tenantId: dbRow.tenant_id,
+      metric: dbRow.metric,
+      meetingId: dbRow.meeting_id,
+      createdAt: dbRow.created_at,
+    };
+  }
+
+  /**
+   * Map database row to share access record (snake_case to camelCase)
+   * @param {Object} dbRow - Database row
+   * @returns {Object} Share access record
+   */
+  mapDbToShareAccess(dbRow) {
+    return {
+      id: dbRow.id,
+      shareId: dbRow.share_id,
+      meetingId: dbRow.meeting_id,
+      outcome: dbRow.outcome,
+      ip: dbRow.ip,
+      userAgent: dbRow.user_agent,
+      accessedAt: dbRow.accessed_at,
+    };
+  }
+
   /**
    * Map database row to meeting object (snake_case to camelCase)
    * @param {Object} dbRow - Database row
@@ -213,14 +2110,29 @@ class DatabaseService {
   mapDbToMeeting(dbRow) {
     return {
       id: dbRow.id,
+      title: dbRow.title,
+      description: dbRow.description,
+      organizer: dbRow.organizer,
+      tags: dbRow.tags || [],
+      metadata: dbRow.metadata || {},
       meetingUrl: dbRow.meeting_url,
+      platform: dbRow.platform,
       grantId: dbRow.grant_id,
+      tenantId: dbRow.tenant_id,
+      source: dbRow.source || 'bot',
+      template: dbRow.note_template,
+      llmProvider: dbRow.llm_provider,
       status: dbRow.status,
+      failureReason: dbRow.failure_reason,
       notetakerId: dbRow.notetaker_id,
+      joinTime: dbRow.join_time,
+      timezone: dbRow.timezone,
       transcript: dbRow.transcript,
       recording: dbRow.recording_url,
       note: dbRow.note,
       progress: dbRow.progress || { message: '', percentage: 0 },
+      deletedAt: dbRow.deleted_at,
+      purgedArtifacts: dbRow.purged_artifacts || {},
       createdAt: dbRow.created_at,
       updatedAt: dbRow.updated_at,
     };
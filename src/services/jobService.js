@@ -0,0 +1,338 @@
+import databaseService from './databaseService.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const jobs = new Map();
+
+export const JOB_TYPES = {
+  FETCH_TRANSCRIPT: 'fetch-transcript',
+  GENERATE_NOTE: 'generate-note',
+  UPLOAD_RECORDING: 'upload-recording',
+  TRANSCRIBE_RECORDING: 'transcribe-recording',
+  DELIVER_WEBHOOK: 'deliver-webhook',
+};
+
+// Jobs in these states still have work ahead of them
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Background job queue backed by the database (or memory when no database is configured).
+ * Failed jobs are retried with exponential backoff; after maxAttempts they move to the
+ * `dead` state and stay there until retried by hand.
+ */
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - Handler definition
+   * @param {Function} handler.run - async (job) => void; throw to trigger a retry
+   * @param {Function} [handler.onDead] - async (job, error) => void; called once when retries are exhausted
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload
+   * @param {Object} options - Job options
+   * @param {string} [options.meetingId] - Meeting the job belongs to
+   * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+   * @param {boolean} [options.unique] - Skip if the meeting already has an active job of this type
+   * @returns {Promise<Object>} Created job (or the existing one when unique)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    if (options.unique && options.meetingId) {
+      const existing = await this.listJobs({ meetingId: options.meetingId, type, status: ACTIVE_STATUSES });
+      if (existing.length > 0) {
+        console.log(`   ⏭️  ${type} job already queued for meeting ${options.meetingId}`);
+        return existing[0];
+      }
+    }
+
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      meetingId: options.meetingId || null,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || config.jobs.maxAttempts,
+      runAt: new Date().toISOString(),
+      lockedAt: null,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    let created = job;
+    if (useDatabase) {
+      try {
+        created = await databaseService.createJob(job);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+        jobs.set(job.id, job);
+      }
+    } else {
+      jobs.set(job.id, job);
+    }
+
+    console.log(`📥 Queued ${type} job ${created.id}${created.meetingId ? ` for meeting ${created.meetingId}` : ''}`);
+
+    // Pick the job up promptly instead of waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+
+    return created;
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getJob(jobId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getJob(jobId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs
+   * @param {Object} options - Filters (status, meetingId, type, dueBefore, lockedBefore, limit)
+   * @returns {Promise<Array>} Array of jobs, oldest runAt first
+   */
+  async listJobs(options = {}) {
+    if (useDatabase) {
+      try {
+        return await databaseService.listJobs(options);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const statuses = options.status
+      ? (Array.isArray(options.status) ? options.status : [options.status])
+      : null;
+
+    const filtered = Array.from(jobs.values())
+      .filter(job => !statuses || statuses.includes(job.status))
+      .filter(job => !options.meetingId || job.meetingId === options.meetingId)
+      .filter(job => !options.type || job.type === options.type)
+      .filter(job => !options.dueBefore || new Date(job.runAt) <= new Date(options.dueBefore))
+      .filter(job => !options.lockedBefore || (job.lockedAt && new Date(job.lockedAt) < new Date(options.lockedBefore)))
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+    return options.limit ? filtered.slice(0, options.limit) : filtered;
+  }
+
+  /**
+   * Get all jobs for a meeting
+   * @param {string} meetingId - The meeting ID
+   * @returns {Promise<Array>} Array of jobs
+   */
+  async getJobsForMeeting(meetingId) {
+    return this.listJobs({ meetingId });
+  }
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Requeued job, or null if it was not dead
+   */
+  async retryJob(jobId) {
+    const job = await this.updateJob(jobId, {
+      status: 'queued',
+      attempts: 0,
+      runAt: new Date().toISOString(),
+      lockedAt: null,
+    }, 'dead');
+
+    if (job && this.timer) {
+      setImmediate(() => this.tick());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.recoverStaleJobs().catch(error => {
+      console.error('❌ Error recovering stale jobs:', error);
+    });
+
+    this.timer = setInterval(() => this.tick(), config.jobs.pollIntervalMs);
+    this.timer.unref();
+    console.log(`⚙️  Job worker started (polling every ${config.jobs.pollIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop polling for due jobs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Requeue jobs left `running` by a process that died mid-job
+   * @returns {Promise<number>} Number of jobs requeued
+   */
+  async recoverStaleJobs() {
+    const lockedBefore = new Date(Date.now() - config.jobs.staleAfterMs).toISOString();
+    const stale = await this.listJobs({ status: 'running', lockedBefore });
+
+    for (const job of stale) {
+      await this.updateJob(job.id, { status: 'queued', lockedAt: null }, 'running');
+      console.log(`♻️  Requeued stale ${job.type} job ${job.id}`);
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Run every job that is currently due, one at a time
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const due = await this.listJobs({
+        status: 'queued',
+        dueBefore: new Date().toISOString(),
+        limit: 10,
+      });
+
+      for (const job of due) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Error polling jobs:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Claim and run a single job, scheduling a retry or dead-lettering it on failure
+   * @param {Object} job - Job to run
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    const claimed = await this.updateJob(job.id, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      lockedAt: new Date().toISOString(),
+    }, 'queued');
+
+    if (!claimed) {
+      // Another worker got there first
+      return;
+    }
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      console.log(`▶️  Running ${claimed.type} job ${claimed.id} (attempt ${claimed.attempts}/${claimed.maxAttempts})`);
+      await handler.run(claimed);
+
+      await this.updateJob(claimed.id, {
+        status: 'succeeded',
+        lockedAt: null,
+        lastError: null,
+      });
+      console.log(`✅ ${claimed.type} job ${claimed.id} succeeded`);
+    } catch (error) {
+      const message = error.message || String(error);
+
+      if (claimed.attempts >= claimed.maxAttempts) {
+        await this.updateJob(claimed.id, {
+          status: 'dead',
+          lockedAt: null,
+          lastError: message,
+        });
+        console.error(`💀 ${claimed.type} job ${claimed.id} failed permanently after ${claimed.attempts} attempts: ${message}`);
+
+        if (handler?.onDead) {
+          try {
+            await handler.onDead(claimed, error);
+          } catch (deadError) {
+            console.error('❌ Error in dead-letter handler:', deadError);
+          }
+        }
+        return;
+      }
+
+      const delay = Math.min(
+        config.jobs.backoffBaseMs * Math.pow(2, claimed.attempts - 1),
+        config.jobs.backoffMaxMs
+      );
+
+      await this.updateJob(claimed.id, {
+        status: 'queued',
+        lockedAt: null,
+        lastError: message,
+        runAt: new Date(Date.now() + delay).toISOString(),
+      });
+      console.warn(`⚠️  ${claimed.type} job ${claimed.id} failed (attempt ${claimed.attempts}/${claimed.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+    }
+  }
+
+  /**
+   * Update job
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [expectedStatus] - Only update if the job currently has this status
+   * @returns {Promise<Object|null>} Updated job, or null if no job matched
+   */
+  async updateJob(jobId, updates, expectedStatus) {
+    if (useDatabase) {
+      try {
+        return await databaseService.updateJob(jobId, updates, expectedStatus);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    if (expectedStatus && job.status !== expectedStatus) return null;
+
+    const updated = {
+      ...job,
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    };
+
+    jobs.set(jobId, updated);
+    return updated;
+  }
+}
+
+export default new JobService();
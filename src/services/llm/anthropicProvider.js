@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { config } from '../../config.js';
+import { upstreamError, parseRetryAfter } from '../../errors.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+// Long transcripts with a 2000-token answer can take a minute or more
+const REQUEST_TIMEOUT_MS = 300000;
+
+/**
+ * Anthropic Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL). There is no JSON mode;
+ * the prompt asks for JSON only, and the note generator extracts it if the model wraps
+ * it in text anyway.
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+  label: 'Anthropic',
+
+  get model() {
+    return config.anthropic.model;
+  },
+
+  /**
+   * Check whether the API key is set
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(config.anthropic.apiKey);
+  },
+
+  /**
+   * Ask for a JSON answer
+   * @param {Object} request - { system, prompt, maxTokens }
+   * @returns {Promise<string>} Answer text (empty if there was none)
+   * @throws {AppError} If the API call fails
+   */
+  async completeJson({ system, prompt, maxTokens }) {
+    try {
+      const response = await axios.post(`${config.anthropic.apiUrl}/v1/messages`, {
+        model: config.anthropic.model,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.3,
+        max_tokens: maxTokens,
+      }, {
+        headers: {
+          'x-api-key': config.anthropic.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'Content-Type': 'application/json',
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+
+      return (response.data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    } catch (error) {
+      if (!error.isAxiosError) throw error;
+
+      throw upstreamError('anthropic', 'generate note', {
+        status: error.response?.status,
+        message: error.response?.data?.error?.message || (error.response ? undefined : error.message),
+        retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']),
+        cause: error,
+      });
+    }
+  },
+};
+
+export default anthropicProvider;
@@ -0,0 +1,96 @@
+/**
+ * Offline LLM provider for development and tests. Instead of calling an API it answers
+ * with a deterministic note in the shape of the output schema, built from the transcript
+ * lines in the prompt, so templates, chunking and merging can be exercised offline: the
+ * same transcript always gives the same note, and lines repeated by overlapping chunks
+ * give duplicate entries to merge.
+ *
+ * It is only available when LLM_PROVIDER=fake or LLM_FAKE_ENABLED=true, so clients can't
+ * get made-up notes from a real deployment. Its notes do not count against the note
+ * generation quota.
+ */
+
+import { config } from '../../config.js';
+
+// List entries per field, taken from the first transcript lines
+const MAX_ENTRIES = 3;
+// Item fields that get the speaker of the line; the first other field gets its text
+const PERSON_FIELDS = ['speaker', 'person', 'assignee', 'owner', 'from'];
+
+/**
+ * Find the transcript lines in a prompt ("[0:05] Ann: text", as formatted for the LLM)
+ * @param {string} prompt - Prompt
+ * @returns {Array<{speaker: string, text: string}>} Lines in order
+ */
+function transcriptLines(prompt) {
+  return prompt
+    .split('\n')
+    .map(line => line.match(/^\[[^\]]*\] ([^:]+): (.+)$/))
+    .filter(Boolean)
+    .map(([, speaker, text]) => ({ speaker, text: text.trim() }));
+}
+
+/**
+ * Write the summary: what the transcript lines are about, or which parts a long meeting had
+ * @param {string} prompt - Prompt
+ * @param {Array<Object>} lines - Transcript lines in the prompt
+ * @returns {string} Summary
+ */
+function fakeSummary(prompt, lines) {
+  if (lines.length === 0) {
+    const parts = prompt.match(/^Part \d+/gm) || [];
+    return parts.length > 0 ? `Fake summary of ${parts.length} parts.` : 'Fake summary.';
+  }
+
+  const speakers = [...new Set(lines.map(line => line.speaker))];
+  return `Fake summary of ${lines.length} lines by ${speakers.join(', ')}. It starts with: ${lines[0].text}`;
+}
+
+const fakeProvider = {
+  name: 'fake',
+  label: 'fake LLM',
+  model: 'fake',
+  offline: true,
+
+  /**
+   * Available when LLM_PROVIDER selects it or LLM_FAKE_ENABLED is set
+   * @returns {boolean} True if notes may be written by the fake provider
+   */
+  isConfigured() {
+    return config.llm.provider === 'fake' || config.llm.fakeEnabled;
+  },
+
+  /**
+   * Answer with a note in the shape of the schema
+   * @param {Object} request - { prompt, schema }
+   * @param {string} request.prompt - Prompt
+   * @param {Object} request.schema - Output schema the answer should follow
+   * @returns {Promise<string>} JSON answer
+   */
+  async completeJson({ prompt, schema }) {
+    const lines = transcriptLines(prompt);
+    const entries = lines.slice(0, MAX_ENTRIES);
+    const answer = {};
+
+    for (const [name, field] of Object.entries(schema.properties)) {
+      if (name === 'summary') {
+        answer[name] = fakeSummary(prompt, lines);
+      } else if (field.type === 'string') {
+        answer[name] = lines.length > 0 ? `Fake ${name}: ${lines[lines.length - 1].text}` : null;
+      } else if (field.items.type === 'string') {
+        answer[name] = entries.map(line => line.text);
+      } else {
+        const itemFields = Object.keys(field.items.properties);
+        const textField = itemFields.find(itemField => !PERSON_FIELDS.includes(itemField)) || itemFields[0];
+        answer[name] = entries.map(line => Object.fromEntries(itemFields.map(itemField => {
+          if (itemField === textField) return [itemField, line.text];
+          return [itemField, PERSON_FIELDS.includes(itemField) ? line.speaker : null];
+        })));
+      }
+    }
+
+    return JSON.stringify(answer);
+  },
+};
+
+export default fakeProvider;
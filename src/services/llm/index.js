@@ -0,0 +1,62 @@
+import { openaiProvider, azureProvider, localProvider } from './openaiProvider.js';
+import anthropicProvider from './anthropicProvider.js';
+import fakeProvider from './fakeProvider.js';
+import { config } from '../../config.js';
+
+/**
+ * LLM providers write the notes. A provider is an object with
+ *   name, label (for logs and errors), model (from its settings),
+ *   isConfigured() => true if its settings are set,
+ *   completeJson({ system, prompt, maxTokens, schema }) => answer text,
+ *   offline (optional) => true if it calls no model (its notes are not LLM usage),
+ * where schema is the output schema the JSON answer should follow. API failures are
+ * thrown as typed errors (see upstreamError). Register new providers here.
+ */
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [azureProvider.name]: azureProvider,
+  [anthropicProvider.name]: anthropicProvider,
+  [localProvider.name]: localProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+export const LLM_PROVIDERS = Object.keys(providers);
+
+/**
+ * Check whether a provider calls a model, so its notes count against the note generation quota
+ * @param {string} name - Provider name
+ * @returns {boolean} False for unknown and offline providers
+ */
+export function isModelProvider(name) {
+  return Boolean(providers[name]) && !providers[name].offline;
+}
+
+/**
+ * List the providers whose settings are set
+ * @returns {Array<string>} Provider names
+ */
+export function listConfiguredLlmProviders() {
+  return LLM_PROVIDERS.filter(name => providers[name].isConfigured());
+}
+
+/**
+ * Get the provider to generate a note with: the one selected for the meeting or request,
+ * or LLM_PROVIDER if it is not configured (any more)
+ * @param {string|null} [name] - Selected provider
+ * @returns {Object|null} Provider, or null if none is configured (basic notes)
+ */
+export function resolveLlmProvider(name) {
+  if (name && providers[name]?.isConfigured()) {
+    return providers[name];
+  }
+  if (name && name !== config.llm.provider) {
+    console.warn(`⚠️  LLM provider ${name} is not configured, using ${config.llm.provider}`);
+  }
+
+  const provider = providers[config.llm.provider];
+  if (!provider) {
+    console.warn(`⚠️  Unknown LLM_PROVIDER "${config.llm.provider}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+    return null;
+  }
+  return provider.isConfigured() ? provider : null;
+}
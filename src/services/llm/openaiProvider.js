@@ -0,0 +1,103 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import { config } from '../../config.js';
+import { upstreamError, parseRetryAfter } from '../../errors.js';
+
+/**
+ * Create a provider for an API that speaks OpenAI chat completions: OpenAI itself,
+ * Azure OpenAI and local servers such as Ollama or llama.cpp
+ * @param {Object} options - Provider definition
+ * @param {string} options.name - Provider name
+ * @param {string} options.label - Name shown in logs and errors
+ * @param {Function} options.isConfigured - () => true if the settings it needs are set
+ * @param {Function} options.getModel - () => model (or Azure deployment) from the config
+ * @param {Function} options.createClient - () => OpenAI SDK client
+ * @returns {Object} Provider
+ */
+export function createChatCompletionsProvider({ name, label, isConfigured, getModel, createClient }) {
+  let client = null;
+
+  return {
+    name,
+    label,
+    isConfigured,
+
+    get model() {
+      return getModel();
+    },
+
+    /**
+     * Ask for a JSON answer
+     * @param {Object} request - { system, prompt, maxTokens }
+     * @returns {Promise<string>} Answer text (empty if there was none)
+     * @throws {AppError} If the API call fails
+     */
+    async completeJson({ system, prompt, maxTokens }) {
+      // Created on first use so the server starts without the provider's settings
+      client = client || createClient();
+
+      try {
+        const response = await client.chat.completions.create({
+          model: getModel(),
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt },
+          ],
+          temperature: 0.3, // Lower temperature for more consistent, factual output
+          response_format: { type: 'json_object' }, // Force JSON response
+          max_tokens: maxTokens,
+        });
+        return response.choices?.[0]?.message?.content || '';
+      } catch (error) {
+        if (!(error instanceof OpenAI.APIError)) throw error;
+
+        throw upstreamError(name, 'generate note', {
+          // Connection errors and timeouts have no status
+          status: error.status,
+          message: error.message,
+          retryAfter: parseRetryAfter(error.headers?.get?.('retry-after')),
+          cause: error,
+        });
+      }
+    },
+  };
+}
+
+/**
+ * OpenAI (OPENAI_API_KEY, OPENAI_MODEL)
+ */
+export const openaiProvider = createChatCompletionsProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  isConfigured: () => Boolean(config.openai.apiKey),
+  getModel: () => config.openai.model,
+  createClient: () => new OpenAI({ apiKey: config.openai.apiKey }),
+});
+
+/**
+ * Azure OpenAI (AZURE_OPENAI_*). The model is the deployment name.
+ */
+export const azureProvider = createChatCompletionsProvider({
+  name: 'azure',
+  label: 'Azure OpenAI',
+  isConfigured: () => Boolean(config.azureOpenai.apiKey && config.azureOpenai.endpoint && config.azureOpenai.deployment),
+  getModel: () => config.azureOpenai.deployment,
+  createClient: () => new AzureOpenAI({
+    apiKey: config.azureOpenai.apiKey,
+    endpoint: config.azureOpenai.endpoint,
+    deployment: config.azureOpenai.deployment,
+    apiVersion: config.azureOpenai.apiVersion,
+  }),
+});
+
+/**
+ * Any OpenAI-compatible server, e.g. Ollama or llama.cpp (LOCAL_LLM_*). The model has to
+ * support JSON output (response_format json_object).
+ */
+export const localProvider = createChatCompletionsProvider({
+  name: 'local',
+  label: 'local LLM server',
+  isConfigured: () => Boolean(config.localLlm.baseUrl),
+  getModel: () => config.localLlm.model,
+  // The SDK insists on a key; local servers usually ignore it
+  createClient: () => new OpenAI({ apiKey: config.localLlm.apiKey || 'local', baseURL: config.localLlm.baseUrl }),
+});
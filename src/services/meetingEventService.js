@@ -0,0 +1,98 @@
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+
+/**
+ * In-process bus for live meeting updates (status, progress, note ready).
+ *
+ * Recent events are kept in a ring buffer so an SSE client that reconnects with
+ * Last-Event-ID can be sent what it missed. Event IDs start at the boot time in
+ * milliseconds and count up, so IDs from before a restart are always lower than
+ * the current buffer and are treated as too old to replay.
+ */
+class MeetingEventService extends EventEmitter {
+  constructor() {
+    super();
+    // Every open SSE connection adds a listener
+    this.setMaxListeners(0);
+    this.bufferSize = config.events.bufferSize;
+    this.buffer = [];
+    this.lastId = Date.now();
+  }
+
+  /**
+   * Publish an event for a meeting
+   * @param {Object} meeting - Meeting the event belongs to (needs id and grantId)
+   * @param {string} type - status, progress or note
+   * @param {Object} data - Event payload
+   * @returns {Object|null} Published event, or null without a meeting
+   */
+  publish(meeting, type, data) {
+    if (!meeting) return null;
+
+    this.lastId += 1;
+    const event = {
+      id: String(this.lastId),
+      type,
+      meetingId: meeting.id,
+      grantId: meeting.grantId,
+      data,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Listen for events matching a filter
+   * @param {Object} filter - { meetingId } or { grantId }
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filter, listener) {
+    const handler = event => {
+      if (matches(event, filter)) listener(event);
+    };
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+
+  /**
+   * Get buffered events after a given event ID
+   * @param {string} lastEventId - Last event ID the client received
+   * @param {Object} filter - { meetingId } or { grantId }
+   * @returns {{events: Array, complete: boolean}} Missed events; complete is false if some were already dropped from the buffer
+   */
+  getEventsSince(lastEventId, filter) {
+    const lastId = Number(lastEventId);
+    const oldest = this.buffer.length > 0 ? Number(this.buffer[0].id) : this.lastId + 1;
+
+    if (!Number.isFinite(lastId) || lastId > this.lastId) {
+      return { events: [], complete: false };
+    }
+
+    return {
+      events: this.buffer.filter(event => Number(event.id) > lastId && matches(event, filter)),
+      complete: lastId >= oldest - 1,
+    };
+  }
+}
+
+/**
+ * Check whether an event matches a subscription filter
+ * @param {Object} event - Published event
+ * @param {Object} filter - { meetingId } or { grantId }
+ * @returns {boolean} True if it matches
+ */
+function matches(event, filter) {
+  if (filter.meetingId && event.meetingId !== filter.meetingId) return false;
+  if (filter.grantId && event.grantId !== filter.grantId) return false;
+  return true;
+}
+
+export default new MeetingEventService();
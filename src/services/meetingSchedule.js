@@ -0,0 +1,104 @@
+/**
+ * Join time parsing for scheduled meetings.
+ *
+ * `joinTime` may be a Unix timestamp in seconds, or an ISO 8601 string. A string without
+ * an offset (e.g. `2024-01-01T09:00`) is read as wall-clock time in `timezone`, or UTC if
+ * no timezone was given. Nylas itself only takes a Unix timestamp (`join_time`).
+ */
+
+const ISO_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Check whether a string is an IANA timezone name known to the runtime
+ * @param {string} timezone - e.g. Europe/Berlin
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Resolve a requested join time to a Date
+ * @param {number|string} joinTime - Unix seconds or ISO 8601 string
+ * @param {string} [timezone] - IANA timezone for ISO strings without an offset
+ * @returns {Date|null} Join time, or null if it cannot be parsed
+ */
+export function parseJoinTime(joinTime, timezone) {
+  if (typeof joinTime === 'number') {
+    return Number.isFinite(joinTime) ? new Date(joinTime * 1000) : null;
+  }
+
+  if (typeof joinTime !== 'string' || !joinTime.trim()) {
+    return null;
+  }
+
+  const value = joinTime.trim();
+
+  if (/^\d+$/.test(value)) {
+    return new Date(Number(value) * 1000);
+  }
+
+  if (ISO_OFFSET.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = value.match(ISO_LOCAL);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (Number.isNaN(wallClock)) {
+    return null;
+  }
+
+  if (!timezone) {
+    return new Date(wallClock);
+  }
+
+  // Apply the offset, then re-check it in case the first guess crossed a DST change
+  let timestamp = wallClock - getTimezoneOffset(wallClock, timezone);
+  timestamp = wallClock - getTimezoneOffset(timestamp, timezone);
+  return new Date(timestamp);
+}
+
+/**
+ * Convert a join time to the Unix timestamp Nylas expects
+ * @param {Date|string} joinTime - Join time
+ * @returns {number} Unix timestamp in seconds
+ */
+export function toUnixSeconds(joinTime) {
+  return Math.floor(new Date(joinTime).getTime() / 1000);
+}
@@ -0,0 +1,165 @@
+/**
+ * Transcript and note search helpers shared by the Supabase and in-memory stores.
+ *
+ * Queries use web-search syntax, like Postgres `websearch_to_tsquery`: plain words must all
+ * appear, "quoted phrases" must appear as written and -words must not appear. Words are
+ * matched by a crude stem (pricing matches price, prices) so hits line up with what the
+ * database's English full-text search returns.
+ */
+
+import { escapeHtml } from './sharePage.js';
+
+const SNIPPET_RADIUS = 60;
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Parse a search query into terms
+ * @param {string} query - Raw search query
+ * @returns {{include: Array<string>, exclude: Array<string>}} Lowercased words/phrases
+ */
+export function parseSearchQuery(query) {
+  const include = [];
+  const exclude = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const negated = Boolean(match[1] || match[3]);
+    const term = (match[2] || match[4]).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (!term || term === 'or') continue;
+    (negated ? exclude : include).push(term);
+  }
+
+  return { include, exclude };
+}
+
+/**
+ * Build a regex that finds a term (single words match by stem, phrases literally)
+ * @param {string} term - Lowercased word or phrase
+ * @returns {RegExp} Case-insensitive global regex
+ */
+function termPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (/\s/.test(term)) {
+    return new RegExp(escaped.replace(/\s+/g, '\\s+'), 'giu');
+  }
+  const stem = term.length > 4 ? escaped.replace(/(ing|ed|es|s|e)$/, '') : escaped;
+  return new RegExp(`(?<![\\p{L}\\p{N}])${stem}[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * List the searchable text of a meeting with where each piece came from
+ * @param {Object} meeting - Meeting with transcript and note
+ * @returns {Array<Object>} { field, text, speaker?, start?, end? }
+ */
+function getSearchableFields(meeting) {
+  const fields = [];
+  const segments = meeting.transcript?.transcript || [];
+  const note = meeting.note || {};
+
+  for (const segment of segments) {
+    if (segment.text) {
+      fields.push({ field: 'transcript', text: segment.text, speaker: segment.speaker, start: segment.start, end: segment.end });
+    }
+  }
+
+  if (note.summary) fields.push({ field: 'summary', text: note.summary });
+  for (const point of note.keyPoints || []) {
+    if (point) fields.push({ field: 'keyPoints', text: String(point) });
+  }
+  for (const decision of note.decisions || []) {
+    const text = typeof decision === 'string' ? decision : decision?.decision;
+    if (text) fields.push({ field: 'decisions', text });
+  }
+  for (const actionItem of note.actionItems || []) {
+    const text = typeof actionItem === 'string' ? actionItem : actionItem?.item;
+    if (text) fields.push({ field: 'actionItems', text });
+  }
+
+  return fields;
+}
+
+/**
+ * Cut a snippet around the first match and highlight every term in it. The text is
+ * HTML-escaped, so the <mark> tags are the only markup in the snippet.
+ * @param {string} text - Field text
+ * @param {Array<RegExp>} patterns - Term patterns
+ * @returns {string|null} Highlighted snippet, or null if nothing matches
+ */
+function buildSnippet(text, patterns) {
+  let first = -1;
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (match && (first === -1 || match.index < first)) first = match.index;
+  }
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const snippet = text.slice(start, end);
+
+  // Ranges of all matches in the snippet, with overlapping ones joined
+  const ranges = [];
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    for (const match of snippet.matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  let highlighted = '';
+  let position = 0;
+  for (const [from, to] of ranges) {
+    if (to <= position) continue;
+    const rangeStart = Math.max(from, position);
+    highlighted += `${escapeHtml(snippet.slice(position, rangeStart))}${HIGHLIGHT_START}${escapeHtml(snippet.slice(rangeStart, to))}${HIGHLIGHT_END}`;
+    position = to;
+  }
+  highlighted += escapeHtml(snippet.slice(position));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Check whether a meeting matches a parsed query (used by the in-memory store)
+ * @param {Object} meeting - Meeting with transcript and note
+ * @param {{include: Array<string>, exclude: Array<string>}} terms - Parsed query
+ * @returns {boolean} True if every included term appears and no excluded term does
+ */
+export function meetingMatches(meeting, terms) {
+  const text = getSearchableFields(meeting).map(field => field.text).join('\n');
+  const found = term => {
+    const pattern = termPattern(term);
+    return pattern.test(text);
+  };
+  return terms.include.length > 0 && terms.include.every(found) && !terms.exclude.some(found);
+}
+
+/**
+ * Find the transcript segments and note fields of a meeting that match a query
+ * @param {Object} meeting - Meeting with transcript and note
+ * @param {{include: Array<string>}} terms - Parsed query
+ * @returns {Array<Object>} Hits: { field, snippet, speaker?, start?, end? } (start/end in ms, transcript only)
+ */
+export function findHits(meeting, terms) {
+  const patterns = terms.include.map(termPattern);
+  const hits = [];
+
+  for (const field of getSearchableFields(meeting)) {
+    const snippet = buildSnippet(field.text, patterns);
+    if (!snippet) continue;
+
+    const hit = { field: field.field, snippet };
+    if (field.field === 'transcript') {
+      hit.speaker = field.speaker || null;
+      hit.start = field.start ?? null;
+      hit.end = field.end ?? null;
+    }
+    hits.push(hit);
+  }
+
+  return hits;
+}
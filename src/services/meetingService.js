@@ -1,92 +1,263 @@
 import databaseService from './databaseService.js';
+import meetingEventService from './meetingEventService.js';
+import { canTransition, InvalidTransitionError, MEETING_STATUSES, isTerminal } from './meetingStateMachine.js';
+import { encodeCursor } from './pagination.js';
+import { parseSearchQuery, meetingMatches, findHits } from './meetingSearch.js';
+import tenantService from './tenantService.js';
 
 // Check if database is configured, fallback to in-memory if not
 const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
 
 // Fallback in-memory storage (for development/testing without database)
 const meetings = new Map();
+const timelines = new Map();
+
+// Statuses whose data may be purged by retention (nothing left to do for the meeting)
+const FINISHED_STATUSES = MEETING_STATUSES.filter(isTerminal);
+
+/**
+ * Apply listMeetings filters, sort and keyset position to the in-memory store,
+ * matching the database query in databaseService.getAllMeetings
+ * @param {Object} options - See listMeetings
+ * @returns {Array} Matching meetings
+ */
+function listInMemory(options) {
+  const { status, grantId, platform, tags, tenant, createdFrom, createdTo, sort, order, after, limit } = options;
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const byValue = new Date(a[sort]) - new Date(b[sort]);
+    if (byValue !== 0) return byValue * direction;
+    return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+  };
+
+  return Array.from(meetings.values())
+    .filter(m => !m.deletedAt)
+    .filter(m => !status?.length || status.includes(m.status))
+    .filter(m => !grantId || m.grantId === grantId)
+    .filter(m => !platform || m.platform === platform)
+    .filter(m => !tags?.length || tags.every(tag => m.tags.includes(tag)))
+    .filter(m => tenantService.canAccessMeeting(tenant, m))
+    .filter(m => !createdFrom || new Date(m.createdAt) >= new Date(createdFrom))
+    .filter(m => !createdTo || new Date(m.createdAt) <= new Date(createdTo))
+    .filter(m => !after || compare(m, { [sort]: after.value, id: after.id }) > 0)
+    .sort(compare)
+    .slice(0, limit);
+}
 
 class MeetingService {
   /**
    * Create a new meeting entry
-   * @param {string} meetingUrl - The Google Meet URL
-   * @param {string} grantId - The Nylas grant ID
+   * @param {string|null} meetingUrl - The normalized meeting URL (optional for imports)
+   * @param {string|null} grantId - The Nylas grant ID (optional for imports)
+   * @param {Object} options - Platform and scheduling options
+   * @param {string} [options.source] - bot (default), import (transcript file) or upload (recording)
+   * @param {string} [options.tenantId] - Tenant that created the meeting (null for the admin key)
+   * @param {string} [options.platform] - google_meet, zoom or teams
+   * @param {string} [options.title] - Human-readable title
+   * @param {string} [options.description] - Longer description or agenda
+   * @param {string} [options.organizer] - Organizer name or email
+   * @param {Array<string>} [options.tags] - Normalized tags
+   * @param {Object} [options.metadata] - Custom fields
+   * @param {string} [options.joinTime] - ISO time the bot should join (omit to join immediately)
+   * @param {string} [options.timezone] - IANA timezone the join time was given in
+   * @param {string} [options.template] - Note template ID (default: NOTE_DEFAULT_TEMPLATE)
+   * @param {string} [options.llmProvider] - LLM provider for the note (default: LLM_PROVIDER)
    * @returns {Promise<Object>} Meeting object
    */
-  async createMeeting(meetingUrl, grantId) {
+  async createMeeting(meetingUrl, grantId, options = {}) {
     const meetingId = `meeting_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     const meeting = {
       id: meetingId,
-      meetingUrl,
-      grantId,
-      status: 'pending', // pending, joining, recording, completed, failed
+      title: options.title || null,
+      description: options.description || null,
+      organizer: options.organizer || null,
+      tags: options.tags || [],
+      metadata: options.metadata || {},
+      meetingUrl: meetingUrl || null,
+      platform: options.platform || null,
+      grantId: grantId || null,
+      tenantId: options.tenantId || null,
+      source: options.source || 'bot',
+      template: options.template || null,
+      llmProvider: options.llmProvider || null,
+      status: 'pending', // pending, scheduled, joining, recording, processing, completed, failed, cancelled
+      failureReason: null,
+      joinTime: options.joinTime || null,
+      timezone: options.timezone || null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       notetakerId: null,
       transcript: null,
       recording: null,
       note: null,
+      deletedAt: null,
+      purgedArtifacts: {},
       progress: {
-        message: 'Meeting link added. Waiting to join...',
+        message: options.source && options.source !== 'bot' ? 'File received.' : 'Meeting link added. Waiting to join...',
         percentage: 0,
       },
     };
 
+    let created = meeting;
     if (useDatabase) {
       try {
-        return await databaseService.createMeeting(meeting);
+        created = await databaseService.createMeeting(meeting);
       } catch (error) {
         console.error('Database error, falling back to in-memory:', error);
         // Fallback to in-memory
         meetings.set(meetingId, meeting);
-        return meeting;
       }
     } else {
       meetings.set(meetingId, meeting);
-      return meeting;
     }
+
+    await this.addTimelineEntry(meetingId, {
+      type: 'status',
+      status: created.status,
+      source: 'create',
+      message: created.progress.message,
+      percentage: created.progress.percentage,
+    });
+
+    return created;
   }
 
   /**
    * Get meeting by ID
    * @param {string} meetingId - The meeting ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} [options.includeDeleted] - Also return soft-deleted meetings
    * @returns {Promise<Object|null>} Meeting object or null
    */
-  async getMeeting(meetingId) {
+  async getMeeting(meetingId, options = {}) {
+    let meeting;
     if (useDatabase) {
       try {
-        return await databaseService.getMeeting(meetingId);
+        meeting = await databaseService.getMeeting(meetingId);
       } catch (error) {
         console.error('Database error, falling back to in-memory:', error);
-        return meetings.get(meetingId) || null;
+        meeting = meetings.get(meetingId) || null;
       }
+    } else {
+      meeting = meetings.get(meetingId) || null;
     }
-    return meetings.get(meetingId) || null;
+
+    if (meeting?.deletedAt && !options.includeDeleted) {
+      return null;
+    }
+    return meeting;
   }
 
   /**
-   * Update meeting status
+   * Update meeting fields (status changes must go through transitionStatus)
    * @param {string} meetingId - The meeting ID
    * @param {Object} updates - Fields to update
    * @returns {Promise<Object|null>} Updated meeting or null
    */
   async updateMeeting(meetingId, updates) {
+    if (updates.status !== undefined) {
+      throw new Error('Meeting status must be changed with transitionStatus()');
+    }
+
+    return this.writeMeeting(meetingId, updates);
+  }
+
+  /**
+   * Move a meeting to a new status if the state machine allows it.
+   * Illegal transitions (e.g. a late "connecting" webhook after recording started)
+   * are logged and ignored. The write is conditional on the status that was checked, so a
+   * change made in the meantime is not overwritten; the transition is then ignored too.
+   * @param {string} meetingId - The meeting ID
+   * @param {string} status - Requested status
+   * @param {Object} options - Transition details
+   * @param {string} [options.reason] - Why the meeting failed (stored when status is failed)
+   * @param {string} [options.source] - Source event type that triggered the change
+   * @param {string} [options.rawState] - Raw Nylas state, if the change came from a webhook
+   * @returns {Promise<{applied: boolean, meeting: Object|null, error?: InvalidTransitionError}>}
+   */
+  async transitionStatus(meetingId, status, options = {}) {
+    const meeting = await this.getMeeting(meetingId);
+    if (!meeting) {
+      return { applied: false, meeting: null };
+    }
+
+    if (!canTransition(meeting.status, status)) {
+      const error = new InvalidTransitionError(meeting.status, status);
+      console.warn(`   ⚠️  ${error.message} for meeting ${meetingId}${options.source ? ` (from ${options.source})` : ''} - ignored`);
+      await this.addTimelineEntry(meetingId, {
+        type: 'ignored_transition',
+        status,
+        previousStatus: meeting.status,
+        source: options.source,
+        rawState: options.rawState,
+        message: error.message,
+      });
+      return { applied: false, meeting, error };
+    }
+
+    if (meeting.status === status) {
+      return { applied: true, meeting };
+    }
+
+    const updates = { status };
+    if (status === 'failed') {
+      updates.failureReason = options.reason || 'unknown';
+    }
+
+    // Only if nothing moved the meeting since it was read (webhooks are handled in parallel)
+    const updated = await this.writeMeeting(meetingId, updates, meeting.status);
+    if (!updated) {
+      const current = await this.getMeeting(meetingId);
+      const message = `Meeting status changed from ${meeting.status} to ${current?.status} before ${status} could be applied`;
+      console.warn(`   ⚠️  ${message} for meeting ${meetingId}${options.source ? ` (from ${options.source})` : ''} - ignored`);
+      await this.addTimelineEntry(meetingId, {
+        type: 'ignored_transition',
+        status,
+        previousStatus: current?.status,
+        source: options.source,
+        rawState: options.rawState,
+        message,
+      });
+      return { applied: false, meeting: current };
+    }
+
+    console.log(`   🔀 Meeting ${meetingId}: ${meeting.status} -> ${status}${options.source ? ` (${options.source})` : ''}`);
+    await this.addTimelineEntry(meetingId, {
+      type: 'status',
+      status,
+      previousStatus: meeting.status,
+      source: options.source,
+      rawState: options.rawState,
+      reason: updates.failureReason,
+    });
+    meetingEventService.publish(updated, 'status', {
+      status,
+      previousStatus: meeting.status,
+      reason: updates.failureReason,
+    });
+    return { applied: true, meeting: updated };
+  }
+
+  /**
+   * Persist meeting fields without status checks
+   * @param {string} meetingId - The meeting ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [expectedStatus] - Only write if the meeting still has this status
+   * @returns {Promise<Object|null>} Updated meeting, or null if not found or the status changed
+   */
+  async writeMeeting(meetingId, updates, expectedStatus) {
     if (useDatabase) {
       try {
-        return await databaseService.updateMeeting(meetingId, updates);
+        return await databaseService.updateMeeting(meetingId, updates, expectedStatus);
       } catch (error) {
         console.error('Database error, falling back to in-memory:', error);
-        const meeting = meetings.get(meetingId);
-        if (!meeting) return null;
-        const updated = { ...meeting, ...updates, updatedAt: new Date().toISOString() };
-        meetings.set(meetingId, updated);
-        return updated;
       }
     }
 
     const meeting = meetings.get(meetingId);
     if (!meeting) return null;
+    if (expectedStatus && meeting.status !== expectedStatus) return null;
 
     const updated = {
       ...meeting,
@@ -99,34 +270,92 @@ class MeetingService {
   }
 
   /**
-   * Update meeting progress
+   * Update meeting progress and append it to the meeting's timeline
    * @param {string} meetingId - The meeting ID
    * @param {string} message - Progress message
    * @param {number} percentage - Progress percentage (0-100)
+   * @param {Object} details - Where the update came from
+   * @param {string} [details.source] - Source event type, e.g. notetaker.meeting_state
+   * @param {string} [details.rawState] - Raw Nylas state, e.g. entry_denied
    * @returns {Promise<void>}
    */
-  async updateProgress(meetingId, message, percentage) {
+  async updateProgress(meetingId, message, percentage, details = {}) {
+    const progress = { message, percentage };
+    let meeting;
+
     if (useDatabase) {
       try {
-        await databaseService.updateProgress(meetingId, message, percentage);
-        return;
+        meeting = await databaseService.updateProgress(meetingId, message, percentage);
       } catch (error) {
         console.error('Database error, falling back to in-memory:', error);
-        const meeting = meetings.get(meetingId);
+        meeting = meetings.get(meetingId);
         if (!meeting) return;
-        meeting.progress = { message, percentage };
+        meeting.progress = progress;
         meeting.updatedAt = new Date().toISOString();
         meetings.set(meetingId, meeting);
+      }
+    } else {
+      meeting = meetings.get(meetingId);
+      if (!meeting) return;
+
+      meeting.progress = progress;
+      meeting.updatedAt = new Date().toISOString();
+      meetings.set(meetingId, meeting);
+    }
+
+    meetingEventService.publish(meeting, 'progress', progress);
+
+    await this.addTimelineEntry(meetingId, {
+      type: 'progress',
+      message,
+      percentage,
+      source: details.source,
+      rawState: details.rawState,
+    });
+  }
+
+  /**
+   * Append an entry to a meeting's timeline.
+   * Timeline writes never fail the caller; errors are only logged.
+   * @param {string} meetingId - The meeting ID
+   * @param {Object} entry - { type, status, previousStatus, source, rawState, message, percentage, reason }
+   * @returns {Promise<void>}
+   */
+  async addTimelineEntry(meetingId, entry) {
+    const timelineEntry = {
+      ...entry,
+      meetingId,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        await databaseService.addTimelineEntry(timelineEntry);
         return;
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
       }
     }
 
-    const meeting = meetings.get(meetingId);
-    if (!meeting) return;
+    const entries = timelines.get(meetingId) || [];
+    entries.push({ id: entries.length + 1, ...timelineEntry });
+    timelines.set(meetingId, entries);
+  }
 
-    meeting.progress = { message, percentage };
-    meeting.updatedAt = new Date().toISOString();
-    meetings.set(meetingId, meeting);
+  /**
+   * Get a meeting's timeline
+   * @param {string} meetingId - The meeting ID
+   * @returns {Promise<Array>} Timeline entries, oldest first
+   */
+  async getTimeline(meetingId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getTimeline(meetingId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return timelines.get(meetingId) || [];
   }
 
   /**
@@ -145,6 +374,114 @@ class MeetingService {
     return Array.from(meetings.values());
   }
 
+  /**
+   * List meetings with filters, sorting and keyset pagination
+   * @param {Object} options - Filters and paging
+   * @param {Array<string>} [options.status] - Only meetings in one of these statuses
+   * @param {string} [options.grantId] - Only meetings for this grant
+   * @param {string} [options.platform] - Only meetings on this platform
+   * @param {Array<string>} [options.tags] - Only meetings that have every one of these tags
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @param {string} [options.createdFrom] - Created at or after (ISO)
+   * @param {string} [options.createdTo] - Created at or before (ISO)
+   * @param {string} [options.sort] - createdAt (default) or updatedAt
+   * @param {string} [options.order] - desc (default) or asc
+   * @param {Object} [options.after] - Position { value, id } of the last meeting on the previous page
+   * @param {number} [options.limit] - Page size (default 50)
+   * @returns {Promise<{meetings: Array, nextCursor: string|null}>} Page of meetings
+   */
+  async listMeetings(options = {}) {
+    const sort = options.sort || 'createdAt';
+    const order = options.order || 'desc';
+    const limit = options.limit || 50;
+    const query = { ...options, sort, order, limit: limit + 1 };
+
+    let rows;
+    if (useDatabase) {
+      try {
+        rows = await databaseService.getAllMeetings(query);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    if (!rows) {
+      rows = listInMemory(query);
+    }
+
+    // One extra row tells us whether there is another page
+    const meetingsPage = rows.slice(0, limit);
+    const last = meetingsPage[meetingsPage.length - 1];
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ sort, order, value: last[sort], id: last.id })
+      : null;
+
+    return { meetings: meetingsPage, nextCursor };
+  }
+
+  /**
+   * Search transcripts and notes
+   * @param {string} query - Web-search style query (words, "phrases", -exclusions)
+   * @param {Object} options - Search options
+   * @param {string} [options.grantId] - Only meetings for this grant
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @param {number} [options.limit] - Maximum number of meetings (default 20)
+   * @returns {Promise<Array>} Results { meeting, hits }, most hits first
+   */
+  async searchMeetings(query, options = {}) {
+    const terms = parseSearchQuery(query);
+    const limit = options.limit || 20;
+    if (terms.include.length === 0) {
+      return [];
+    }
+
+    let matches;
+    if (useDatabase) {
+      try {
+        matches = await databaseService.searchMeetings(query, { grantId: options.grantId, tenant: options.tenant, limit });
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    if (!matches) {
+      matches = Array.from(meetings.values())
+        .filter(m => !m.deletedAt)
+        .filter(m => !options.grantId || m.grantId === options.grantId)
+        .filter(m => tenantService.canAccessMeeting(options.tenant, m))
+        .filter(m => meetingMatches(m, terms))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, limit);
+    }
+
+    // A match with nothing to highlight (e.g. words split across two fields) isn't shown
+    return matches
+      .map(meeting => ({ meeting, hits: findHits(meeting, terms) }))
+      .filter(result => result.hits.length > 0)
+      .sort((a, b) => b.hits.length - a.hits.length);
+  }
+
+  /**
+   * Get meetings whose bot is scheduled to join later
+   * @param {Object} options - Filters
+   * @param {Object} [options.tenant] - Only meetings visible to this tenant
+   * @returns {Promise<Array>} Array of meetings, soonest join time first
+   */
+  async getScheduledMeetings(options = {}) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getScheduledMeetings(options);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(meetings.values())
+      .filter(m => m.status === 'scheduled' && !m.deletedAt)
+      .filter(m => tenantService.canAccessMeeting(options.tenant, m))
+      .sort((a, b) => new Date(a.joinTime) - new Date(b.joinTime));
+  }
+
   /**
    * Find meeting by notetaker ID
    * @param {string} notetakerId - The notetaker ID
@@ -165,6 +502,113 @@ class MeetingService {
     return meetingsList.find(m => m.notetakerId === notetakerId) || null;
   }
 
+  /**
+   * Find pending meetings for a grant that have no notetaker linked yet
+   * @param {string} grantId - The Nylas grant ID
+   * @param {number} limit - Maximum number of meetings to return
+   * @returns {Promise<Array>} Array of meetings, newest first
+   */
+  async findUnlinkedByGrantId(grantId, limit = 2) {
+    if (useDatabase) {
+      try {
+        return await databaseService.findUnlinkedByGrantId(grantId, limit);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(meetings.values())
+      .filter(m => m.grantId === grantId && !m.notetakerId && m.source === 'bot' && m.status === 'pending')
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Soft-delete a meeting: it disappears from the API right away and is purged by the
+   * retention sweeper after the grace period
+   * @param {string} meetingId - The meeting ID
+   * @returns {Promise<Object|null>} Deleted meeting or null
+   */
+  async softDeleteMeeting(meetingId) {
+    return this.writeMeeting(meetingId, { deletedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Undo a soft delete
+   * @param {string} meetingId - The meeting ID
+   * @returns {Promise<Object|null>} Restored meeting or null
+   */
+  async restoreMeeting(meetingId) {
+    return this.writeMeeting(meetingId, { deletedAt: null });
+  }
+
+  /**
+   * Permanently delete a meeting with its timeline and jobs
+   * @param {string} meetingId - The meeting ID
+   * @returns {Promise<void>}
+   */
+  async deleteMeeting(meetingId) {
+    if (useDatabase) {
+      try {
+        // Timeline and jobs are removed by ON DELETE CASCADE
+        await databaseService.deleteMeeting(meetingId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+        throw error;
+      }
+    }
+
+    meetings.delete(meetingId);
+    timelines.delete(meetingId);
+  }
+
+  /**
+   * Find finished meetings created before a cutoff whose artifact has not been purged yet
+   * @param {string} artifact - recording, transcript or note
+   * @param {string} before - ISO cutoff for created_at
+   * @param {number} limit - Maximum number of meetings to return
+   * @returns {Promise<Array>} Meetings, oldest first
+   */
+  async findExpiredArtifacts(artifact, before, limit = 100) {
+    if (useDatabase) {
+      try {
+        return await databaseService.findExpiredArtifacts(artifact, before, FINISHED_STATUSES, limit);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(meetings.values())
+      .filter(m => !m.deletedAt && FINISHED_STATUSES.includes(m.status))
+      .filter(m => new Date(m.createdAt) < new Date(before))
+      .filter(m => !m.purgedArtifacts?.[artifact])
+      // Recordings are checked even without a URL: uploads may be stored without one
+      .filter(m => artifact === 'recording' || m[artifact])
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Find meetings that were soft-deleted before a cutoff
+   * @param {string} before - ISO cutoff for deleted_at
+   * @param {number} limit - Maximum number of meetings to return
+   * @returns {Promise<Array>} Meetings, oldest deletion first
+   */
+  async findDeletedBefore(before, limit = 100) {
+    if (useDatabase) {
+      try {
+        return await databaseService.findDeletedMeetings(before, limit);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(meetings.values())
+      .filter(m => m.deletedAt && new Date(m.deletedAt) < new Date(before))
+      .sort((a, b) => new Date(a.deletedAt) - new Date(b.deletedAt))
+      .slice(0, limit);
+  }
+
   /**
    * Set notetaker ID for a meeting
    * @param {string} meetingId - The meeting ID
@@ -196,13 +640,20 @@ class MeetingService {
   }
 
   /**
-   * Set generated note for a meeting
+   * Set generated note for a meeting (does not change its status)
    * @param {string} meetingId - The meeting ID
    * @param {Object} note - Generated note
+   * @param {Object} options - Note options
+   * @param {boolean} [options.regenerated] - True when replacing an existing note on request
    * @returns {Promise<void>}
    */
-  async setNote(meetingId, note) {
-    await this.updateMeeting(meetingId, { note, status: 'completed' });
+  async setNote(meetingId, note, options = {}) {
+    const meeting = await this.updateMeeting(meetingId, { note });
+    meetingEventService.publish(meeting, 'note', {
+      ready: true,
+      generatedAt: note?.generatedAt || null,
+      regenerated: Boolean(options.regenerated),
+    });
   }
 }
 
@@ -0,0 +1,76 @@
+/**
+ * Meeting lifecycle state machine.
+ *
+ * pending ──> [scheduled] ──> joining ──> recording ──> processing ──> completed
+ *    │             │             │            │              │
+ *    ├─────────────┴─────────────┴────────────┴──────────────┴──────> failed
+ *    │             │             │
+ *    └─────────────┴─────────────┴──────> cancelled
+ *
+ * `scheduled` is only used when the bot was deployed with a future join time.
+ * Imported transcripts and uploaded recordings have no bot, so they go straight from `pending`
+ * to `processing`.
+ * A bot can also leave straight from `joining` (e.g. no participants) and go to `processing`.
+ * `cancelled` is only reachable before the bot is in the meeting; a bot that is already
+ * recording is removed with a leave request instead, which moves the meeting to `processing`.
+ * `completed`, `failed` and `cancelled` are terminal. Moving to the current status is always
+ * allowed (it is a no-op), so repeated webhooks for the same state are harmless.
+ */
+
+export const MEETING_STATUSES = ['pending', 'scheduled', 'joining', 'recording', 'processing', 'completed', 'failed', 'cancelled'];
+
+export const TRANSITIONS = {
+  pending: ['scheduled', 'joining', 'processing', 'failed', 'cancelled'],
+  scheduled: ['joining', 'failed', 'cancelled'],
+  joining: ['recording', 'processing', 'failed', 'cancelled'],
+  recording: ['processing', 'failed'],
+  processing: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  cancelled: [],
+};
+
+/**
+ * Error thrown when a status change is not allowed by the state machine
+ */
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Illegal meeting status transition: ${from} -> ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check whether a meeting may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is legal
+ */
+export function canTransition(from, to) {
+  if (!MEETING_STATUSES.includes(to)) return false;
+  if (from === to) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw if a transition is not legal
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {InvalidTransitionError}
+ */
+export function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+}
+
+/**
+ * Check whether a status is terminal (no further transitions)
+ * @param {string} status - Meeting status
+ * @returns {boolean} True for completed, failed and cancelled
+ */
+export function isTerminal(status) {
+  return (TRANSITIONS[status] || []).length === 0;
+}
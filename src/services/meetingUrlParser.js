@@ -0,0 +1,209 @@
+import { ValidationError } from '../errors.js';
+
+/**
+ * Meeting URL parsing for the platforms Nylas Notetaker can join.
+ *
+ * Links are normalized to one canonical form per platform so the same meeting
+ * always produces the same URL:
+ *   google_meet  https://meet.google.com/abc-defg-hij
+ *   zoom         https://<host>/j/<id>[?pwd=<passcode>]   (vanity hosts such as acme.zoom.us are kept)
+ *   zoom         https://<host>/my/<personal-link>
+ *   teams        https://teams.microsoft.com/l/meetup-join/<thread>/<n>[?context=...]
+ *   teams        https://teams.microsoft.com/meet/<id>[?p=<passcode>]
+ */
+
+export const MEETING_PLATFORMS = ['google_meet', 'zoom', 'teams'];
+
+const MEET_CODE = /^[a-z]{3}-?[a-z]{4}-?[a-z]{3}$/;
+const ZOOM_HOST = /(^|\.)(zoom\.us|zoomgov\.com)$/;
+const ZOOM_MEETING_ID = /^\d{9,11}$/;
+const TEAMS_HOSTS = ['teams.microsoft.com', 'teams.live.com', 'gov.teams.microsoft.us', 'dod.teams.microsoft.us'];
+const TEAMS_THREAD = /^19:meeting_[^@]+@thread\.(v2|skype)$/;
+const TEAMS_MEETING_ID = /^\d{10,15}$/;
+
+/**
+ * Error thrown when a meeting link cannot be used
+ */
+export class InvalidMeetingUrlError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidMeetingUrlError';
+  }
+}
+
+/**
+ * Parse and normalize a meeting link
+ * @param {string} input - Link as entered by the user
+ * @returns {{platform: string, url: string, meetingCode: string, passcode: string|null}} Parsed link
+ * @throws {InvalidMeetingUrlError} If the link is malformed or the platform is not supported
+ */
+export function parseMeetingUrl(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new InvalidMeetingUrlError('meetingUrl must be a non-empty string');
+  }
+
+  const trimmed = input.trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch {
+    throw new InvalidMeetingUrlError(`meetingUrl is not a valid URL: ${trimmed}`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new InvalidMeetingUrlError(`meetingUrl must be an http(s) link, got ${url.protocol.replace(':', '')}`);
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (host === 'meet.google.com') {
+    return parseGoogleMeet(segments);
+  }
+
+  if (ZOOM_HOST.test(host)) {
+    return parseZoom(host, segments, url.searchParams);
+  }
+
+  if (TEAMS_HOSTS.includes(host)) {
+    return parseTeams(host, segments, url.searchParams);
+  }
+
+  throw new InvalidMeetingUrlError(
+    `Unsupported meeting platform (${url.hostname}). Use a Google Meet, Zoom or Microsoft Teams link`
+  );
+}
+
+/**
+ * Parse a Google Meet link: meet.google.com/abc-defg-hij
+ * @param {Array<string>} segments - Path segments
+ * @returns {Object} Parsed link
+ */
+function parseGoogleMeet(segments) {
+  if (segments.length === 0) {
+    throw new InvalidMeetingUrlError('Google Meet link is missing the meeting code (e.g. meet.google.com/abc-defg-hij)');
+  }
+
+  const code = segments[0].toLowerCase();
+  if (segments.length > 1 || !MEET_CODE.test(code)) {
+    throw new InvalidMeetingUrlError(`Google Meet code "${segments.join('/')}" is not valid; it should look like abc-defg-hij`);
+  }
+
+  const meetingCode = code.replace(/-/g, '').replace(/^(\w{3})(\w{4})(\w{3})$/, '$1-$2-$3');
+  return {
+    platform: 'google_meet',
+    url: `https://meet.google.com/${meetingCode}`,
+    meetingCode,
+    passcode: null,
+  };
+}
+
+/**
+ * Parse a Zoom link: <host>/j/<id>?pwd=..., /w/<id>, /wc/join/<id>, /wc/<id>/join or /my/<name>
+ * @param {string} host - Zoom host, including vanity subdomains
+ * @param {Array<string>} segments - Path segments
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} Parsed link
+ */
+function parseZoom(host, segments, params) {
+  const [kind, first, second] = segments;
+
+  if (kind === 's') {
+    throw new InvalidMeetingUrlError('Zoom start links (/s/) only work for the host; use the join link (/j/) instead');
+  }
+
+  if (kind === 'my') {
+    if (!first) {
+      throw new InvalidMeetingUrlError('Zoom personal link is missing its name (e.g. zoom.us/my/jane.doe)');
+    }
+    const name = first.toLowerCase();
+    return {
+      platform: 'zoom',
+      url: `https://${host}/my/${name}`,
+      meetingCode: name,
+      passcode: null,
+    };
+  }
+
+  let meetingId;
+  if (kind === 'j' || kind === 'w') {
+    meetingId = first;
+  } else if (kind === 'wc') {
+    meetingId = first === 'join' ? second : first;
+  } else {
+    throw new InvalidMeetingUrlError('Zoom link is missing the meeting ID (e.g. zoom.us/j/1234567890)');
+  }
+
+  if (!meetingId) {
+    throw new InvalidMeetingUrlError('Zoom link is missing the meeting ID (e.g. zoom.us/j/1234567890)');
+  }
+
+  if (!ZOOM_MEETING_ID.test(meetingId)) {
+    throw new InvalidMeetingUrlError(`Zoom meeting ID "${meetingId}" is not valid; it should be 9 to 11 digits`);
+  }
+
+  const passcode = params.get('pwd') || null;
+  return {
+    platform: 'zoom',
+    url: `https://${host}/j/${meetingId}${passcode ? `?pwd=${encodeURIComponent(passcode)}` : ''}`,
+    meetingCode: meetingId,
+    passcode,
+  };
+}
+
+/**
+ * Parse a Microsoft Teams link: /l/meetup-join/<thread>/<n>?context=... or /meet/<id>?p=...
+ * @param {string} host - Teams host
+ * @param {Array<string>} segments - Path segments
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} Parsed link
+ */
+function parseTeams(host, segments, params) {
+  if (segments[0] === 'l' && segments[1] === 'meetup-join') {
+    const thread = segments[2] ? safeDecode(segments[2]) : '';
+    if (!TEAMS_THREAD.test(thread)) {
+      throw new InvalidMeetingUrlError('Teams link is missing the meeting thread ID (19:meeting_...@thread.v2)');
+    }
+
+    const context = params.get('context');
+    const path = ['l', 'meetup-join', encodeURIComponent(thread), segments[3] || '0'].join('/');
+    return {
+      platform: 'teams',
+      url: `https://${host}/${path}${context ? `?context=${encodeURIComponent(context)}` : ''}`,
+      meetingCode: thread,
+      passcode: null,
+    };
+  }
+
+  if (segments[0] === 'meet') {
+    const meetingId = segments[1];
+    if (!meetingId || !TEAMS_MEETING_ID.test(meetingId)) {
+      throw new InvalidMeetingUrlError('Teams meeting ID is not valid; it should be 10 to 15 digits (e.g. teams.microsoft.com/meet/1234567890)');
+    }
+
+    const passcode = params.get('p') || null;
+    return {
+      platform: 'teams',
+      url: `https://${host}/meet/${meetingId}${passcode ? `?p=${encodeURIComponent(passcode)}` : ''}`,
+      meetingCode: meetingId,
+      passcode,
+    };
+  }
+
+  throw new InvalidMeetingUrlError('Teams link must be a meeting join link (/l/meetup-join/... or /meet/...)');
+}
+
+/**
+ * Decode a URL path segment, leaving it unchanged if it is not valid percent-encoding
+ * @param {string} value - Encoded segment
+ * @returns {string} Decoded segment
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
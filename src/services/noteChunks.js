@@ -0,0 +1,346 @@
+/**
+ * Map-reduce helpers for notes on long meetings.
+ *
+ * The transcript is split into time-based chunks that overlap a little, so a discussion
+ * cut at a boundary is still seen whole by one of them. Each chunk gets its own partial
+ * note, and the partial notes are merged into one. The overlap means neighbouring chunks
+ * often report the same action item or decision in slightly different words, so an entry
+ * that repeats one of the previous chunk's is merged into it. Entries of the same chunk,
+ * or of chunks further apart, are never merged: they are different things said at
+ * different times.
+ */
+
+// Words ignored when comparing two entries
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'to', 'of', 'for', 'in', 'on', 'at', 'by', 'with', 'from', 'about',
+  'is', 'are', 'was', 'be', 'will', 'would', 'should', 'shall', 'can', 'could', 'it', 'this', 'that',
+  'we', 'i', 'you', 'he', 'she', 'they', 'our', 'their', 'his', 'her', 'its', 'up', 'as',
+]);
+// Share of distinct words two entries need in common to count as the same
+const DUPLICATE_SIMILARITY = 0.6;
+// ...or share of the shorter entry's words found in the longer one
+const DUPLICATE_CONTAINMENT = 0.8;
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Characters a segment takes up in the prompt (roughly)
+ * @param {Object} segment - Transcript segment
+ * @returns {number} Length
+ */
+function segmentLength(segment) {
+  return (segment.speaker || '').length + (segment.text || '').length + 12;
+}
+
+/**
+ * Split segments into chunks of at most maxChars, each starting with the tail of the previous one
+ * @param {Array<Object>} segments - Transcript segments
+ * @param {number} maxChars - Chunk size
+ * @param {number} overlapChars - Characters repeated from the previous chunk
+ * @returns {Array<Array<Object>>} Segments of each chunk
+ */
+function chunkByLength(segments, maxChars, overlapChars) {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const segment of segments) {
+    const size = segmentLength(segment);
+
+    if (current.length > 0 && length + size > maxChars) {
+      chunks.push(current);
+
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const overlapSize = segmentLength(current[i]);
+        if (overlapLength + overlapSize > overlapChars) break;
+        overlap.unshift(current[i]);
+        overlapLength += overlapSize;
+      }
+      current = overlap;
+      length = overlapLength;
+    }
+
+    current.push(segment);
+    length += size;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Split segments into windows of chunkMs, each also holding the last overlapMs of the
+ * previous window. Windows without any speech of their own are skipped.
+ * @param {Array<Object>} segments - Transcript segments with numeric start (ms)
+ * @param {number} chunkMs - Window length
+ * @param {number} overlapMs - Time repeated from the previous window
+ * @returns {Array<Array<Object>>} Segments of each chunk
+ */
+function chunkByTime(segments, chunkMs, overlapMs) {
+  const chunks = [];
+  const lastStart = Math.max(...segments.map(segment => segment.start));
+
+  for (let windowStart = segments[0].start; windowStart <= lastStart; windowStart += chunkMs) {
+    const windowEnd = windowStart + chunkMs;
+    const inWindow = segments.filter(segment => segment.start >= windowStart - overlapMs && segment.start < windowEnd);
+    if (inWindow.some(segment => segment.start >= windowStart)) {
+      chunks.push(inWindow);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a transcript into overlapping chunks. Timestamped transcripts are split by time;
+ * transcripts without timestamps (plain-text imports), and time windows that are still
+ * too long, are split by length.
+ * @param {Array<Object>} segments - Transcript segments ({ speaker, start, end, text }, times in ms)
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkMs - Length of a time window
+ * @param {number} options.overlapMs - Time repeated from the previous window
+ * @param {number} options.maxChars - Longest chunk, in characters of transcript
+ * @returns {Array<{segments: Array<Object>, start: number|null, end: number|null}>} Chunks in order
+ * @throws {RangeError} If chunkMs or maxChars is not positive
+ */
+export function chunkTranscript(segments, { chunkMs, overlapMs, maxChars }) {
+  // Windows that don't advance would never end
+  if (!(chunkMs > 0) || !(maxChars > 0)) {
+    throw new RangeError(`Chunk length must be positive (chunkMs ${chunkMs}, maxChars ${maxChars})`);
+  }
+  if (segments.length === 0) {
+    return [];
+  }
+
+  // Overlap by the same share of a chunk whether splitting by time or by length
+  const overlapChars = Math.floor(maxChars * Math.min(overlapMs / chunkMs, 0.5));
+  const timed = segments.every(segment => typeof segment.start === 'number');
+
+  const chunks = (timed ? chunkByTime(segments, chunkMs, overlapMs) : [segments])
+    .flatMap(chunk => {
+      const length = chunk.reduce((total, segment) => total + segmentLength(segment), 0);
+      return length > maxChars ? chunkByLength(chunk, maxChars, overlapChars) : [chunk];
+    });
+
+  return chunks.map(chunk => ({
+    segments: chunk,
+    start: timed ? chunk[0].start : null,
+    end: timed ? Math.max(...chunk.map(segment => segment.end ?? segment.start)) : null,
+  }));
+}
+
+/**
+ * Normalize a word for comparison
+ * @param {string} word - Word
+ * @returns {string} Lowercase word without plural s
+ */
+function normalizeWord(word) {
+  const lower = word.toLowerCase();
+  return lower.length > 3 && lower.endsWith('s') && !lower.endsWith('ss') ? lower.slice(0, -1) : lower;
+}
+
+/**
+ * Reduce text to the words that matter for comparison
+ * @param {string} text - Entry text
+ * @returns {Set<string>} Normalized words (and numbers) without stopwords
+ */
+function significantWords(text) {
+  return new Set(String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .map(normalizeWord)
+    .filter(word => (word.length > 1 || /\d/.test(word)) && !STOPWORDS.has(word)));
+}
+
+/**
+ * Find the words that tell otherwise similar entries apart: numbers and amounts, and
+ * capitalized words after the first one (names of people, customers, plans, days)
+ * @param {string} text - Entry text
+ * @returns {Set<string>} Normalized words
+ */
+function specificWords(text) {
+  return new Set(String(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .filter((word, index) => /\d/.test(word) || (index > 0 && /^\p{Lu}/u.test(word)))
+    .map(normalizeWord)
+    .filter(word => !STOPWORDS.has(word)));
+}
+
+/**
+ * Check whether two entries say the same thing. Similar wording is not enough when the
+ * entries name different things: "Send the deck to Acme" and "Send the deck to Globex",
+ * or "Raise the Basic plan by 10%" and "Raise the Pro plan by 10%", are two entries.
+ * @param {string} a - Entry text
+ * @param {string} b - Entry text
+ * @returns {boolean} True if they are near-duplicates
+ */
+function isSameText(a, b) {
+  const wordsA = significantWords(a);
+  const wordsB = significantWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const smaller = Math.min(wordsA.size, wordsB.size);
+  const similar = shared / (wordsA.size + wordsB.size - shared) >= DUPLICATE_SIMILARITY
+    || (smaller >= 3 && shared / smaller >= DUPLICATE_CONTAINMENT);
+  if (!similar) return false;
+
+  // A number only one of them has is a different amount, date or item; names only one of
+  // them has are fine (more detail), unless the other has names of its own instead
+  const onlyA = [...specificWords(a)].filter(word => !wordsB.has(word));
+  const onlyB = [...specificWords(b)].filter(word => !wordsA.has(word));
+  if ([...onlyA, ...onlyB].some(word => /\d/.test(word))) return false;
+  return onlyA.length === 0 || onlyB.length === 0;
+}
+
+/**
+ * Merge lists, dropping entries that repeat one of the previous chunk's. Only the overlap
+ * between neighbouring chunks is seen twice, so entries of the same chunk, or of chunks
+ * further apart, are kept apart however similar they are, unless `isRepeat` says they are
+ * the same entry word for word.
+ * @param {Array<Array>} lists - One list per chunk, in order
+ * @param {Object} options - How entries are compared and combined
+ * @param {Function} options.textOf - entry => text to compare
+ * @param {Function} [options.matches] - (kept, entry) => extra condition for a duplicate
+ * @param {Function} [options.isRepeat] - (kept, entry) => true if entry repeats kept from any earlier chunk
+ * @param {Function} [options.combine] - (kept, entry) => merged entry
+ * @returns {Array} Merged list
+ */
+function mergeLists(lists, { textOf, matches = () => true, isRepeat = () => false, combine = kept => kept }) {
+  // { entry, chunk }: chunk is the last chunk that reported the entry
+  const merged = [];
+
+  lists.forEach((list, chunk) => {
+    for (const entry of list) {
+      if (!entry || !textOf(entry)) continue;
+
+      const index = merged.findIndex(kept => kept.chunk < chunk && (
+        (kept.chunk === chunk - 1 && isSameText(textOf(kept.entry), textOf(entry)) && matches(kept.entry, entry))
+        || isRepeat(kept.entry, entry)));
+      if (index === -1) {
+        merged.push({ entry, chunk });
+      } else {
+        merged[index] = { entry: combine(merged[index].entry, entry), chunk };
+      }
+    }
+  });
+
+  return merged.map(({ entry }) => entry);
+}
+
+/**
+ * Check whether an assignee is missing
+ * @param {string} assignee - Assignee from the LLM
+ * @returns {boolean} True if nobody was named
+ */
+function isUnassigned(assignee) {
+  return !assignee || String(assignee).trim().toLowerCase() === UNASSIGNED;
+}
+
+/**
+ * Normalize text for an exact comparison
+ * @param {string} [text] - Text
+ * @returns {string} Lowercase text with runs of whitespace and trailing punctuation collapsed
+ */
+function normalizeText(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!]+$/, '');
+}
+
+/**
+ * Join two texts, unless one already says what the other does
+ * @param {string} [a] - Text
+ * @param {string} [b] - Text
+ * @returns {string|null} Combined text
+ */
+function joinTexts(a, b) {
+  if (!a || !b) return a || b || null;
+  return isSameText(a, b) ? a : `${a} ${b}`;
+}
+
+// Lists whose entries are merged in a specific way, when their entries have the key field
+const LIST_MERGERS = {
+  decisions: {
+    key: 'decision',
+    combine: (kept, entry) => ({
+      ...kept,
+      speaker: kept.speaker || entry.speaker || null,
+      context: kept.context || entry.context || null,
+    }),
+  },
+  actionItems: {
+    key: 'item',
+    // Same task for two different people is two action items
+    matches: (kept, entry) => isUnassigned(kept.assignee) || isUnassigned(entry.assignee)
+      || String(kept.assignee).trim().toLowerCase() === String(entry.assignee).trim().toLowerCase(),
+    // A task repeated for the same person, e.g. in a recap at the end, is one action item
+    isRepeat: (kept, entry) => normalizeText(kept.item) === normalizeText(entry.item)
+      && normalizeText(isUnassigned(kept.assignee) ? '' : kept.assignee) === normalizeText(isUnassigned(entry.assignee) ? '' : entry.assignee),
+    combine: (kept, entry) => ({
+      ...kept,
+      // The longer wording is usually the more specific one
+      item: entry.item.length > kept.item.length ? entry.item : kept.item,
+      assignee: isUnassigned(kept.assignee) ? entry.assignee || kept.assignee : kept.assignee,
+      dueDate: kept.dueDate || entry.dueDate || null,
+    }),
+  },
+};
+
+/**
+ * Merge one list field of the chunk notes
+ * @param {string} name - Field name
+ * @param {Object} field - Field schema (array)
+ * @param {Array<Array>} lists - The field's list in each chunk note
+ * @returns {Array} Merged list
+ */
+function mergeField(name, field, lists) {
+  if (field.items.type === 'string') {
+    return mergeLists(lists, { textOf: entry => (typeof entry === 'string' ? entry : '') });
+  }
+
+  // The first field identifies an entry (e.g. the topic, or the person for standup updates)
+  const itemFields = Object.keys(field.items.properties);
+  const key = itemFields[0];
+  // The LLM sometimes returns plain strings where objects are expected
+  const objectLists = lists.map(list => list.map(entry => (typeof entry === 'string' ? { [key]: entry } : entry)));
+
+  const merger = LIST_MERGERS[name];
+  if (merger && itemFields.includes(merger.key)) {
+    return mergeLists(objectLists, { textOf: entry => entry[merger.key], ...merger });
+  }
+
+  // An entry reported by several chunks keeps what each of them said about it
+  return mergeLists(objectLists, {
+    textOf: entry => entry[key],
+    combine: (kept, entry) => Object.fromEntries(itemFields
+      .map(itemField => [itemField, itemField === key ? kept[key] : joinTexts(kept[itemField], entry[itemField])])),
+  });
+}
+
+/**
+ * Merge the partial notes of a meeting's chunks. The overall summary is not merged here;
+ * it is written from the chunk summaries separately.
+ * @param {Array<Object>} notes - Partial notes in chunk order
+ * @param {Object} schema - Output schema of the note template
+ * @returns {Object} Merged fields of the schema, except summary. Lists drop near-duplicates;
+ *   other text fields keep the last chunk's value, as later parts of a meeting tend to settle things
+ */
+export function mergeChunkNotes(notes, schema) {
+  const merged = {};
+
+  for (const [name, field] of Object.entries(schema.properties)) {
+    if (name === 'summary') continue;
+
+    if (field.type === 'array') {
+      merged[name] = mergeField(name, field, notes.map(note => (Array.isArray(note?.[name]) ? note[name] : [])));
+    } else {
+      merged[name] = notes.map(note => note?.[name]).filter(value => typeof value === 'string' && value.trim()).pop() || null;
+    }
+  }
+
+  return merged;
+}
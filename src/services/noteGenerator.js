@@ -1,13 +1,16 @@
-import OpenAI from 'openai';
 import { config } from '../config.js';
+import { UpstreamRejectedError } from '../errors.js';
+import { chunkTranscript, mergeChunkNotes } from './noteChunks.js';
+import { DEFAULT_TEMPLATE_ID, getBuiltInTemplate, renderOutputExample, shapeNoteFields } from './noteTemplates.js';
+import { isModelProvider, resolveLlmProvider } from './llm/index.js';
 
-// Initialize OpenAI client
-let openaiClient = null;
-if (config.openai.apiKey) {
-  openaiClient = new OpenAI({
-    apiKey: config.openai.apiKey,
-  });
-}
+// Longest answer for a whole transcript, one chunk of a long one, and the merged summary
+const NOTE_MAX_TOKENS = 2000;
+const CHUNK_MAX_TOKENS = 1500;
+const SUMMARY_MAX_TOKENS = 400;
+const SUMMARY_SCHEMA = { type: 'object', properties: { summary: { type: 'string' } } };
+
+const SYSTEM_PROMPT = 'You are a professional meeting note-taker. You extract structured information from meeting transcripts and return it as valid JSON only, without any markdown formatting or code blocks.';
 
 /**
  * Format transcript segments into a readable format for LLM
@@ -43,11 +46,162 @@ function formatTimestamp(ms) {
 }
 
 /**
- * Generate a comprehensive note using OpenAI
+ * Describe where a chunk sits in the meeting
+ * @param {Object} chunk - { start, end } in milliseconds (null without timestamps)
+ * @returns {string} e.g. " (15:00 to 31:00)", or an empty string
+ */
+function describeChunkRange(chunk) {
+  return chunk.start !== null ? ` (${formatTimestamp(chunk.start)} to ${formatTimestamp(chunk.end)})` : '';
+}
+
+/**
+ * Build the note prompt for a transcript, or for one chunk of a long one
+ * @param {string} formattedTranscript - Transcript formatted with formatTranscriptForLLM
+ * @param {Object} template - Note template (prompt and output schema)
+ * @param {Object} [part] - { index, count, start, end } when the transcript is one chunk of a longer meeting
+ * @returns {string} Prompt
+ */
+function buildNotePrompt(formattedTranscript, template, part) {
+  const intro = part
+    ? `You are an expert meeting note-taker. The following is part ${part.index + 1} of ${part.count} of a long meeting transcript${describeChunkRange(part)}. Its first lines may repeat the end of the previous part for context. Generate structured notes for this part only; they will be merged with the notes of the other parts.`
+    : 'You are an expert meeting note-taker.';
+  const example = renderOutputExample(template.outputSchema, part
+    ? { summary: 'A concise 2-3 sentence summary of this part of the meeting' }
+    : {});
+
+  return `${intro}
+
+${template.prompt}
+
+TRANSCRIPT:
+${formattedTranscript}
+
+Generate meeting notes in the following JSON format. Be thorough, accurate, and extract all important information:
+
+${example}
+
+- If information is not available, use null or empty arrays
+- Return ONLY valid JSON, no markdown formatting or code blocks`;
+}
+
+/**
+ * Build the prompt that turns the chunk summaries of a long meeting into one summary
+ * @param {Array<Object>} partials - Chunk notes, in order
+ * @param {Array<Object>} chunks - Chunks the notes were generated from
+ * @returns {string} Prompt
+ */
+function buildSummaryPrompt(partials, chunks) {
+  const parts = partials
+    .map((note, index) => `Part ${index + 1}${describeChunkRange(chunks[index])}: ${note.summary || '(no summary)'}`)
+    .join('\n\n');
+
+  return `You are an expert meeting note-taker. A long meeting was summarized in ${partials.length} consecutive parts:
+
+${parts}
+
+Write a concise 2-3 sentence executive summary of the entire meeting. Return ONLY valid JSON in the form {"summary": "..."}, no markdown formatting or code blocks`;
+}
+
+/**
+ * Ask the LLM provider for a JSON answer
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - User prompt
+ * @param {Object} schema - Output schema the answer should follow
+ * @param {number} maxTokens - Longest answer
+ * @returns {Promise<Object>} Parsed answer
+ * @throws {AppError} If the provider fails, or UpstreamRejectedError if the answer is empty or not JSON
+ */
+async function requestJson(provider, prompt, schema, maxTokens) {
+  const content = await provider.completeJson({ system: SYSTEM_PROMPT, prompt, maxTokens, schema });
+  if (!content) {
+    throw new UpstreamRejectedError(provider.name, `Could not generate note: ${provider.label} returned an empty response`);
+  }
+
+  // Parse JSON response
+  try {
+    return JSON.parse(content);
+  } catch (parseError) {
+    // Sometimes models wrap JSON in markdown, try to extract it
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    try {
+      return JSON.parse(jsonMatch?.[0]);
+    } catch {
+      throw new UpstreamRejectedError(provider.name, `Could not generate note: ${provider.label} response is not valid JSON`);
+    }
+  }
+}
+
+/**
+ * Run an async function over items, at most `concurrency` at a time
+ * @param {Array} items - Items
+ * @param {number} concurrency - Calls in flight at once
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order; rejects on the first failure
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Generate the note contents of a long transcript: each chunk is summarized on its own
+ * (map), then the chunk notes are merged and one summary is written from the chunk
+ * summaries (reduce)
+ * @param {Object} provider - LLM provider
+ * @param {Array<Object>} segments - Transcript segments
+ * @param {Object} template - Note template
+ * @returns {Promise<Object>} The template's fields and chunks
+ */
+async function generateChunkedNote(provider, segments, template) {
+  const chunks = chunkTranscript(segments, {
+    chunkMs: config.notes.chunkMinutes * 60 * 1000,
+    overlapMs: config.notes.chunkOverlapSeconds * 1000,
+    maxChars: config.notes.maxTranscriptChars,
+  });
+  console.log(`🤖 Generating note with ${provider.label} in ${chunks.length} chunks...`);
+
+  const partials = await mapWithConcurrency(chunks, config.notes.chunkConcurrency, (chunk, index) => requestJson(
+    provider,
+    buildNotePrompt(formatTranscriptForLLM(chunk.segments), template, { index, count: chunks.length, start: chunk.start, end: chunk.end }),
+    template.outputSchema,
+    CHUNK_MAX_TOKENS
+  ));
+
+  const { summary } = await requestJson(provider, buildSummaryPrompt(partials, chunks), SUMMARY_SCHEMA, SUMMARY_MAX_TOKENS);
+
+  return {
+    ...mergeChunkNotes(partials, template.outputSchema),
+    summary,
+    chunks: chunks.length,
+  };
+}
+
+/**
+ * Generate a comprehensive note with an LLM
+ * @param {Object} provider - LLM provider
  * @param {Object} transcript - Transcript data from Nylas
+ * @param {Object} template - Note template
+ * @param {Object} [options] - { fallback: false to throw instead of falling back to a basic note }
  * @returns {Promise<Object>} Generated note
+ * @throws {AppError} If the provider fails and fallback is false
  */
-async function generateNoteWithLLM(transcript) {
+async function generateNoteWithLLM(provider, transcript, template, options = {}) {
   const segments = transcript?.transcript || [];
 
   if (!transcript || segments.length === 0) {
@@ -56,6 +210,7 @@ async function generateNoteWithLLM(transcript) {
       keyPoints: [],
       participants: [],
       duration: 0,
+      template: template.id,
     };
   }
 
@@ -85,133 +240,50 @@ async function generateNoteWithLLM(transcript) {
   const fullText = segments.map(s => s.text || '').join(' ');
   const wordCount = fullText.split(/\s+/).filter(w => w.length > 0).length;
 
-  // Create prompt for OpenAI
-  const prompt = `You are an expert meeting note-taker. Analyze the following meeting transcript and generate comprehensive, structured meeting notes.
-
-TRANSCRIPT:
-${formattedTranscript}
-
-Generate meeting notes in the following JSON format. Be thorough, accurate, and extract all important information:
-
-{
-  "summary": "A concise 2-3 sentence executive summary of the entire meeting",
-  "keyPoints": [
-    "Important point 1",
-    "Important point 2",
-    ...
-  ],
-  "topics": [
-    {
-      "topic": "Topic name",
-      "summary": "Brief summary of what was discussed about this topic"
-    }
-  ],
-  "decisions": [
-    {
-      "decision": "What was decided",
-      "speaker": "Who made/announced the decision (if mentioned)",
-      "context": "Brief context around the decision"
-    }
-  ],
-  "actionItems": [
-    {
-      "item": "What needs to be done",
-      "assignee": "Who is responsible (if mentioned, otherwise 'Unassigned')",
-      "dueDate": "Due date or timeline if mentioned, otherwise null"
-    }
-  ],
-  "questions": [
-    "Question 1 that was raised",
-    "Question 2 that was raised",
-    ...
-  ],
-  "nextSteps": [
-    "Next step 1",
-    "Next step 2",
-    ...
-  ]
-}
-
-Guidelines:
-- Extract ALL action items, even if they're implicit (e.g., "I'll send that" or "Let's follow up")
-- Identify decisions clearly, even if not explicitly stated as "we decided"
-- Group related discussions into topics
-- Include questions that were raised but not answered
-- Be specific and actionable in action items
-- If information is not available, use null or empty arrays
-- Keep summaries concise but informative
-- Return ONLY valid JSON, no markdown formatting or code blocks`;
-
   try {
-    console.log('🤖 Generating note with OpenAI...');
-
-    const response = await openaiClient.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a professional meeting note-taker. You extract structured information from meeting transcripts and return it as valid JSON only, without any markdown formatting or code blocks.',
-        },
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-      temperature: 0.3, // Lower temperature for more consistent, factual output
-      response_format: { type: 'json_object' }, // Force JSON response
-      max_tokens: 2000, // Adjust based on meeting length
-    });
-
-    const content = response.choices[0]?.message?.content;
-    if (!content) {
-      throw new Error('No response from OpenAI');
-    }
-
-    // Parse JSON response
     let llmNote;
-    try {
-      llmNote = JSON.parse(content);
-    } catch (parseError) {
-      // Sometimes OpenAI wraps JSON in markdown, try to extract it
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        llmNote = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('Failed to parse OpenAI response as JSON');
-      }
+    if (formattedTranscript.length <= config.notes.maxTranscriptChars) {
+      console.log(`🤖 Generating note with ${provider.label} (template: ${template.id})...`);
+      llmNote = await requestJson(provider, buildNotePrompt(formattedTranscript, template), template.outputSchema, NOTE_MAX_TOKENS);
+    } else {
+      // Too long for one request (or for its answer): summarize in chunks and merge
+      llmNote = await generateChunkedNote(provider, segments, template);
     }
 
-    // Merge LLM-generated content with metadata
+    // Merge LLM-generated content (the template's fields) with metadata
+    const fields = shapeNoteFields(llmNote, template.outputSchema);
     return {
-      summary: llmNote.summary || 'No summary generated.',
-      keyPoints: llmNote.keyPoints || [],
-      topics: llmNote.topics || [],
-      decisions: llmNote.decisions || [],
-      actionItems: llmNote.actionItems || [],
-      questions: llmNote.questions || [],
-      nextSteps: llmNote.nextSteps || [],
+      ...fields,
+      summary: fields.summary || 'No summary generated.',
       participants: Array.from(participants),
       duration,
       wordCount,
       generatedAt: new Date().toISOString(),
       transcriptType: transcript.type || 'unknown',
-      generatedBy: 'openai',
-      model: config.openai.model,
+      generatedBy: provider.name,
+      model: provider.model,
+      template: template.id,
+      ...(llmNote.chunks ? { chunks: llmNote.chunks } : {}),
     };
   } catch (error) {
-    console.error('❌ Error generating note with OpenAI:', error.message);
+    console.error(`❌ Error generating note with ${provider.label}:`, error.message);
+    if (options.fallback === false) {
+      throw error;
+    }
     // Fallback to basic note generation
     console.log('⚠️  Falling back to basic note generation...');
-    return generateBasicNote(transcript);
+    return generateBasicNote(transcript, template);
   }
 }
 
 /**
- * Generate a basic note (fallback when LLM is unavailable)
+ * Generate a basic note (fallback when LLM is unavailable). It has the same fields whatever
+ * the template, but records the template so the note can be regenerated with it.
  * @param {Object} transcript - Transcript data from Nylas
+ * @param {Object} template - Note template selected for the meeting
  * @returns {Object} Generated note
  */
-function generateBasicNote(transcript) {
+function generateBasicNote(transcript, template) {
   const segments = transcript?.transcript || [];
 
   if (!transcript || segments.length === 0) {
@@ -220,6 +292,7 @@ function generateBasicNote(transcript) {
       keyPoints: [],
       participants: [],
       duration: 0,
+      template: template.id,
     };
   }
 
@@ -271,20 +344,55 @@ function generateBasicNote(transcript) {
     generatedAt: new Date().toISOString(),
     transcriptType: transcript.type || 'unknown',
     generatedBy: 'basic',
+    template: template.id,
   };
 }
 
+/**
+ * Check whether notes are generated with an LLM that counts against the note generation quota
+ * @param {string|null} [providerName] - LLM provider selected for the meeting or request
+ * @returns {boolean} True if that provider or LLM_PROVIDER is configured and calls a model
+ *   (not the offline fake provider)
+ */
+export function isLlmEnabled(providerName) {
+  const provider = resolveLlmProvider(providerName);
+  return Boolean(provider) && isModelProvider(provider.name);
+}
+
+/**
+ * Check whether a note was written by an LLM (rather than generated without one or by the
+ * offline fake provider), so it counts against the note generation quota
+ * @param {Object} note - Generated note
+ * @returns {boolean} True for LLM notes
+ */
+export function isLlmNote(note) {
+  return isModelProvider(note.generatedBy);
+}
+
 /**
  * Main function to generate note (uses LLM if available, falls back to basic)
  * @param {Object} transcript - Transcript data from Nylas
+ * @param {Object} [options] - { useLlm: false to skip the LLM, e.g. when the quota is used up;
+ *   fallback: false to throw when the LLM fails instead of returning a basic note;
+ *   template: note template, default the built-in general one; basic notes only record its ID;
+ *   provider: LLM provider name, default LLM_PROVIDER }
  * @returns {Promise<Object>} Generated note
+ * @throws {AppError} If the LLM fails and fallback is false
  */
-export async function generateNote(transcript) {
-  // Use LLM if OpenAI is configured, otherwise use basic generation
-  if (openaiClient && config.openai.apiKey) {
-    return await generateNoteWithLLM(transcript);
+export async function generateNote(transcript, options = {}) {
+  const provider = resolveLlmProvider(options.provider);
+  const template = options.template || getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+
+  // Use the LLM if a provider is configured, otherwise use basic generation
+  if (provider && options.useLlm !== false) {
+    return await generateNoteWithLLM(provider, transcript, template, {
+      fallback: options.fallback,
+    });
+  } else if (provider) {
+    console.log('⚠️  LLM skipped, using basic note generation');
+    return generateBasicNote(transcript, template);
   } else {
-    console.log('⚠️  OpenAI not configured, using basic note generation');
-    return generateBasicNote(transcript);
+    console.log(`⚠️  LLM provider ${config.llm.provider} not configured, using basic note generation`);
+    return generateBasicNote(transcript, template);
   }
 }
@@ -0,0 +1,166 @@
+import databaseService from './databaseService.js';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, getBuiltInTemplate } from './noteTemplates.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const templates = new Map();
+
+/**
+ * Registry of note templates: the built-ins (read-only, see noteTemplates.js) plus
+ * templates created through the API. A template created with a tenant API key belongs
+ * to that tenant; one created with the admin key is available to every tenant.
+ */
+class NoteTemplateService {
+  /**
+   * Create a template
+   * @param {Object} data - { name, description?, prompt, outputSchema, tenantId? }
+   * @returns {Promise<Object>} Created template
+   */
+  async createTemplate(data) {
+    const template = {
+      id: `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: data.name,
+      description: data.description || null,
+      prompt: data.prompt,
+      outputSchema: data.outputSchema,
+      builtIn: false,
+      tenantId: data.tenantId || null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createNoteTemplate(template);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    templates.set(template.id, template);
+    return template;
+  }
+
+  /**
+   * Get a template by ID (built-in or stored)
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async getTemplate(templateId) {
+    const builtIn = getBuiltInTemplate(templateId);
+    if (builtIn) return builtIn;
+
+    if (useDatabase) {
+      try {
+        return await databaseService.getNoteTemplate(templateId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return templates.get(templateId) || null;
+  }
+
+  /**
+   * List the templates a tenant can use: built-ins first, then stored templates, oldest first
+   * @param {Object|null} tenant - Authenticated tenant (null = admin key or auth disabled, sees all)
+   * @returns {Promise<Array>} Templates
+   */
+  async listTemplates(tenant) {
+    let stored;
+    if (useDatabase) {
+      try {
+        stored = await databaseService.listNoteTemplates({ tenantId: tenant?.id });
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    stored = stored || Array.from(templates.values())
+      .filter(template => this.canUseTemplate(tenant, template))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    return [...BUILT_IN_TEMPLATES, ...stored];
+  }
+
+  /**
+   * Update a stored template
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - { name, description, prompt, outputSchema }
+   * @returns {Promise<Object|null>} Updated template or null
+   */
+  async updateTemplate(templateId, updates) {
+    if (useDatabase) {
+      try {
+        return await databaseService.updateNoteTemplate(templateId, updates);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const template = templates.get(templateId);
+    if (!template) return null;
+
+    const updated = { ...template, ...updates, updatedAt: new Date().toISOString() };
+    templates.set(templateId, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a stored template. Meetings that selected it get the default template from then on.
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async deleteTemplate(templateId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.deleteNoteTemplate(templateId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return templates.delete(templateId);
+  }
+
+  /**
+   * Get the template to generate a meeting's note with: the one it selected, or
+   * NOTE_DEFAULT_TEMPLATE, or the built-in general template if neither exists (any more)
+   * @param {string|null} templateId - Template selected for the meeting
+   * @returns {Promise<Object>} Template
+   */
+  async resolveTemplate(templateId) {
+    for (const id of [templateId, config.notes.defaultTemplate]) {
+      if (!id) continue;
+
+      const template = await this.getTemplate(id);
+      if (template) return template;
+      console.warn(`⚠️  Note template ${id} not found, using the default`);
+    }
+    return getBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+  }
+
+  /**
+   * Check whether a tenant may use a template: built-ins and templates created with the
+   * admin key are shared, others belong to the tenant that created them
+   * @param {Object|null} tenant - Authenticated tenant (null = admin key or auth disabled)
+   * @param {Object} template - Template
+   * @returns {boolean} True if the tenant can see and select the template
+   */
+  canUseTemplate(tenant, template) {
+    return !tenant || template.builtIn || !template.tenantId || template.tenantId === tenant.id;
+  }
+
+  /**
+   * Check whether a tenant may change or delete a template (built-ins are read-only)
+   * @param {Object|null} tenant - Authenticated tenant (null = admin key or auth disabled)
+   * @param {Object} template - Template
+   * @returns {boolean} True if the tenant owns the template
+   */
+  canEditTemplate(tenant, template) {
+    return !template.builtIn && (!tenant || template.tenantId === tenant.id);
+  }
+}
+
+export default new NoteTemplateService();
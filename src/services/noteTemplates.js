@@ -0,0 +1,353 @@
+/**
+ * Note templates: the prompt and output schema a note is generated with.
+ *
+ * A template's output schema is a small JSON Schema: an object whose properties are
+ * strings, lists of strings, or lists of flat objects with string fields. Every template
+ * has a `summary` string. Notes keep the template's fields as they are, next to the
+ * fields every note has (participants, duration, ...).
+ */
+
+export const DEFAULT_TEMPLATE_ID = 'general';
+
+// Fields every note gets from the generator; templates can't use these names
+export const NOTE_METADATA_FIELDS = [
+  'participants', 'duration', 'wordCount', 'generatedAt', 'transcriptType', 'generatedBy', 'model',
+  'template', 'chunks', 'summaryUrl', 'actionItemsUrl',
+];
+
+export const MAX_TEMPLATE_FIELDS = 20;
+export const MAX_TEMPLATE_ITEM_FIELDS = 10;
+export const MAX_TEMPLATE_PROMPT_LENGTH = 4000;
+export const MAX_TEMPLATE_DESCRIPTION_LENGTH = 500;
+
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+/**
+ * Shorthand for a string property
+ * @param {string} description - What the LLM should put there
+ * @returns {Object} JSON Schema
+ */
+function text(description) {
+  return { type: 'string', description };
+}
+
+/**
+ * Shorthand for a list of strings
+ * @param {string} description - What each entry is
+ * @returns {Object} JSON Schema
+ */
+function list(description) {
+  return { type: 'array', items: { type: 'string', description } };
+}
+
+/**
+ * Shorthand for a list of objects; the first field identifies an entry when chunk notes are merged
+ * @param {Object} fields - Field name -> description
+ * @returns {Object} JSON Schema
+ */
+function records(fields) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(fields).map(([name, description]) => [name, text(description)])),
+    },
+  };
+}
+
+const ACTION_ITEMS = records({
+  item: 'What needs to be done',
+  assignee: 'Who is responsible (if mentioned, otherwise \'Unassigned\')',
+  dueDate: 'Due date or timeline if mentioned, otherwise null',
+});
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'general',
+    name: 'General meeting',
+    description: 'Summary, key points, topics, decisions, action items, open questions and next steps',
+    prompt: `Analyze the following meeting transcript and generate comprehensive, structured meeting notes.
+
+Guidelines:
+- Extract ALL action items, even if they're implicit (e.g., "I'll send that" or "Let's follow up")
+- Identify decisions clearly, even if not explicitly stated as "we decided"
+- Group related discussions into topics
+- Include questions that were raised but not answered
+- Be specific and actionable in action items
+- Keep summaries concise but informative`,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        summary: text('A concise 2-3 sentence executive summary of the entire meeting'),
+        keyPoints: list('Important point'),
+        topics: records({
+          topic: 'Topic name',
+          summary: 'Brief summary of what was discussed about this topic',
+        }),
+        decisions: records({
+          decision: 'What was decided',
+          speaker: 'Who made/announced the decision (if mentioned)',
+          context: 'Brief context around the decision',
+        }),
+        actionItems: ACTION_ITEMS,
+        questions: list('Question that was raised'),
+        nextSteps: list('Next step'),
+      },
+    },
+  },
+  {
+    id: 'sales',
+    name: 'Sales call',
+    description: 'Customer needs, objections and how they were handled, competitors, buying process and next steps',
+    prompt: `Analyze the following sales call transcript from the seller's point of view and generate notes for the account team.
+
+Guidelines:
+- Capture the customer's pains and goals in their own terms
+- List every objection or concern, how it was answered, and whether it was resolved
+- Note competitors, budget, timeline and who is involved in the buying decision
+- Next steps should say who does what by when; include commitments made by the customer`,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        summary: text('A concise 2-3 sentence summary of the call and where the deal stands'),
+        painPoints: list('Problem or goal the customer described'),
+        objections: records({
+          objection: 'Objection or concern the customer raised',
+          response: 'How it was answered, if it was',
+          status: 'resolved, open or unclear',
+        }),
+        competitors: list('Competitor or alternative mentioned, with context'),
+        buyingProcess: text('Budget, timeline, decision makers and approval steps mentioned, or null'),
+        actionItems: ACTION_ITEMS,
+        nextSteps: list('Agreed next step'),
+      },
+    },
+  },
+  {
+    id: 'standup',
+    name: 'Standup',
+    description: 'What each person did and plans to do, blockers per person and follow-ups',
+    prompt: `Analyze the following standup meeting transcript and generate notes organized by person.
+
+Guidelines:
+- One update per person who spoke; keep each to a short phrase or two
+- A blocker is anything someone is waiting on or stuck with; say who can unblock it if mentioned
+- Discussions that were taken offline are follow-ups, not blockers`,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        summary: text('One or two sentences on the team\'s overall progress and risks'),
+        updates: records({
+          person: 'Who gave the update',
+          done: 'What they finished since the last standup',
+          planned: 'What they are working on next',
+        }),
+        blockers: records({
+          person: 'Who is blocked',
+          blocker: 'What is blocking them',
+          needsHelpFrom: 'Who can unblock it (if mentioned)',
+        }),
+        followUps: list('Discussion taken offline or follow-up agreed'),
+      },
+    },
+  },
+  {
+    id: 'interview',
+    name: 'Interview',
+    description: 'Questions and answers, strengths, concerns and a hiring recommendation',
+    prompt: `Analyze the following job interview transcript and generate notes for the hiring team.
+
+Guidelines:
+- Identify the candidate and the interviewers from the conversation
+- Summarize each substantive question and the candidate's answer, with an assessment
+- Strengths and concerns must be backed by something the candidate said or did
+- Keep the notes factual; do not comment on personal characteristics unrelated to the job`,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        summary: text('A concise 2-3 sentence summary of the interview'),
+        questions: records({
+          question: 'Question asked',
+          answer: 'Summary of the candidate\'s answer',
+          assessment: 'How well the answer addressed the question',
+        }),
+        strengths: list('Strength shown in the interview, with evidence'),
+        concerns: list('Concern or gap, with evidence'),
+        candidateQuestions: list('Question the candidate asked'),
+        recommendation: text('Hire, no hire or undecided, with a one-sentence reason, or null if the transcript does not support one'),
+        nextSteps: list('Next step in the process'),
+      },
+    },
+  },
+  {
+    id: 'one_on_one',
+    name: '1:1',
+    description: 'Topics discussed, feedback in both directions, concerns and agreed follow-ups',
+    prompt: `Analyze the following 1:1 meeting transcript between a manager and a report and generate private notes for both of them.
+
+Guidelines:
+- Capture feedback in both directions and who gave it
+- Note wellbeing, workload or career topics with care and without judgment
+- Action items should be concrete and owned by one of the two people`,
+    outputSchema: {
+      type: 'object',
+      properties: {
+        summary: text('A concise 2-3 sentence summary of the conversation'),
+        topics: records({
+          topic: 'Topic discussed',
+          summary: 'What was said about it',
+        }),
+        feedback: records({
+          feedback: 'Feedback given',
+          from: 'Who gave it',
+        }),
+        concerns: list('Concern, risk or wellbeing topic raised'),
+        actionItems: ACTION_ITEMS,
+      },
+    },
+  },
+].map(template => ({ ...template, builtIn: true, tenantId: null }));
+
+/**
+ * Get a built-in template
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template or null
+ */
+export function getBuiltInTemplate(templateId) {
+  return BUILT_IN_TEMPLATES.find(template => template.id === templateId) || null;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Any value
+ * @returns {boolean} True for {} objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a field's name and description
+ * @param {string} path - Field path for messages
+ * @param {string} name - Field name
+ * @param {Object} field - Field schema
+ * @returns {string|null} Error or null
+ */
+function validateField(path, name, field) {
+  if (!FIELD_NAME_PATTERN.test(name)) {
+    return `${path} must start with a letter and only contain letters, digits and _ (at most 40)`;
+  }
+  if (!isPlainObject(field)) {
+    return `${path} must be a schema object`;
+  }
+  if (field.description !== undefined
+    && (typeof field.description !== 'string' || field.description.length > MAX_TEMPLATE_DESCRIPTION_LENGTH)) {
+    return `${path}.description must be a string of at most ${MAX_TEMPLATE_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a template's output schema
+ * @param {Object} schema - JSON Schema from the request
+ * @returns {string|null} Error, or null if the schema can be used
+ */
+export function validateOutputSchema(schema) {
+  if (!isPlainObject(schema) || schema.type !== 'object' || !isPlainObject(schema.properties)) {
+    return 'outputSchema must be a JSON Schema with type "object" and properties';
+  }
+
+  const fields = Object.entries(schema.properties);
+  if (fields.length > MAX_TEMPLATE_FIELDS) {
+    return `outputSchema can have at most ${MAX_TEMPLATE_FIELDS} properties`;
+  }
+  if (schema.properties.summary?.type !== 'string') {
+    return 'outputSchema must have a summary property of type "string"';
+  }
+
+  for (const [name, field] of fields) {
+    const path = `outputSchema.properties.${name}`;
+    const error = validateField(path, name, field);
+    if (error) return error;
+
+    if (NOTE_METADATA_FIELDS.includes(name)) {
+      return `${path} is reserved (every note has it)`;
+    }
+    if (field.type === 'string') continue;
+    if (field.type !== 'array' || !isPlainObject(field.items)) {
+      return `${path} must be of type "string" or "array" with items`;
+    }
+
+    const { items } = field;
+    if (items.type === 'string') {
+      const itemError = validateField(`${path}.items`, 'items', items);
+      if (itemError) return itemError;
+      continue;
+    }
+    if (items.type !== 'object' || !isPlainObject(items.properties)) {
+      return `${path}.items must be of type "string" or "object" with properties`;
+    }
+
+    const itemFields = Object.entries(items.properties);
+    if (itemFields.length === 0 || itemFields.length > MAX_TEMPLATE_ITEM_FIELDS) {
+      return `${path}.items must have 1 to ${MAX_TEMPLATE_ITEM_FIELDS} properties`;
+    }
+    for (const [itemName, itemField] of itemFields) {
+      const itemPath = `${path}.items.properties.${itemName}`;
+      const itemError = validateField(itemPath, itemName, itemField);
+      if (itemError) return itemError;
+      if (itemField.type !== 'string') {
+        return `${itemPath} must be of type "string" (list entries are flat)`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the example JSON shown to the LLM from an output schema
+ * @param {Object} schema - Output schema
+ * @param {Object} [descriptions] - Field name -> description overriding the schema's
+ * @returns {string} Pretty-printed JSON
+ */
+export function renderOutputExample(schema, descriptions = {}) {
+  const example = {};
+
+  for (const [name, field] of Object.entries(schema.properties)) {
+    const description = descriptions[name] || field.description || name;
+
+    if (field.type === 'string') {
+      example[name] = description;
+    } else if (field.items.type === 'string') {
+      example[name] = [field.items.description || description];
+    } else {
+      example[name] = [Object.fromEntries(Object.entries(field.items.properties)
+        .map(([itemName, itemField]) => [itemName, itemField.description || itemName]))];
+    }
+  }
+
+  return JSON.stringify(example, null, 2);
+}
+
+/**
+ * Keep the fields of an LLM answer that the output schema defines, with empty values for
+ * missing or mistyped ones
+ * @param {Object} answer - Parsed LLM answer
+ * @param {Object} schema - Output schema
+ * @returns {Object} Note fields in schema order
+ */
+export function shapeNoteFields(answer, schema) {
+  const fields = {};
+
+  for (const [name, field] of Object.entries(schema.properties)) {
+    const value = answer?.[name];
+    if (field.type === 'string') {
+      fields[name] = typeof value === 'string' && value.trim() ? value : null;
+    } else {
+      fields[name] = Array.isArray(value) ? value : [];
+    }
+  }
+
+  return fields;
+}
@@ -0,0 +1,25 @@
+import { config } from '../config.js';
+
+// Meeting IDs look like meeting_1700000000000_abc123xyz
+const MEETING_ID_PATTERN = /\[(meeting_[A-Za-z0-9_]+)\]\s*$/;
+
+/**
+ * Build the notetaker name used when deploying a bot for a meeting.
+ * The meeting ID is embedded so webhooks can be matched back to the meeting
+ * without guessing, e.g. "Meeting Notetaker [meeting_1700000000000_abc123]".
+ * @param {string} meetingId - Our meeting ID
+ * @returns {string} Notetaker name
+ */
+export function buildNotetakerName(meetingId) {
+  return `${config.nylas.notetakerName} [${meetingId}]`;
+}
+
+/**
+ * Extract our meeting ID from a notetaker object in a webhook payload
+ * @param {Object} notetakerData - Notetaker object from Nylas
+ * @returns {string|null} Meeting ID, or null if the notetaker was not deployed by us
+ */
+export function getCorrelatedMeetingId(notetakerData) {
+  const match = notetakerData?.name?.match(MEETING_ID_PATTERN);
+  return match ? match[1] : null;
+}
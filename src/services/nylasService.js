@@ -1,5 +1,42 @@
 import axios from 'axios';
 import { config } from '../config.js';
+import { buildNotetakerName } from './notetakerCorrelation.js';
+import { toUnixSeconds } from './meetingSchedule.js';
+import { upstreamError, parseRetryAfter, NotFoundError, ValidationError, UpstreamUnavailableError } from '../errors.js';
+
+/**
+ * Turn a failed Nylas API call into a typed error: an unknown grant or notetaker
+ * becomes NotFoundError, a request Nylas rejects (e.g. an unsupported meeting link)
+ * ValidationError, and timeouts or 5xx UpstreamUnavailableError
+ * @param {string} action - What we were doing, e.g. "deploy notetaker"
+ * @param {Error} error - Axios error
+ * @returns {AppError} Typed error
+ */
+function toNylasError(action, error) {
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const message = data?.error?.message || data?.message;
+
+  if (status === 404) {
+    return new NotFoundError(`Could not ${action}: ${message || 'grant or notetaker not found at Nylas'}`, {
+      details: { service: 'nylas' },
+      cause: error,
+    });
+  }
+  if (status === 400 || status === 422) {
+    return new ValidationError(`Could not ${action}: Nylas rejected the request${message ? `: ${message}` : ''}`, {
+      details: { service: 'nylas' },
+      cause: error,
+    });
+  }
+
+  return upstreamError('nylas', action, {
+    status,
+    message: message || (error.response ? undefined : error.message),
+    retryAfter: parseRetryAfter(error.response?.headers?.['retry-after']),
+    cause: error,
+  });
+}
 
 class NylasService {
   constructor() {
@@ -18,24 +55,29 @@ class NylasService {
   /**
    * Deploy a notetaker bot to a meeting
    * @param {string} grantId - The Nylas grant ID (user's connected account)
-   * @param {string} meetingUrl - The Google Meet URL
+   * @param {string} meetingUrl - The meeting URL (Google Meet, Zoom or Microsoft Teams)
    * @param {Object} options - Additional options for the notetaker
+   * @param {string} [options.meetingId] - Our meeting ID, embedded in the notetaker name for webhook correlation
+   * @param {Date|string} [options.joinTime] - When the bot should join (omit to join immediately)
    * @returns {Promise<Object>} Notetaker deployment response
    */
   async deployNotetaker(grantId, meetingUrl, options = {}) {
+    const { meetingId, joinTime, ...notetakerOptions } = options;
     console.log(grantId, meetingUrl, options);
     try {
       const response = await this.client.post(
         `/v3/grants/${grantId}/notetakers`,
         {
           meeting_link: meetingUrl,
-          ...options,
+          ...(meetingId ? { name: buildNotetakerName(meetingId) } : {}),
+          ...(joinTime ? { join_time: toUnixSeconds(joinTime) } : {}),
+          ...notetakerOptions,
         }
       );
       return response.data;
     } catch (error) {
       console.error('Error deploying notetaker:', error.response?.data || error.message);
-      throw new Error(`Failed to deploy notetaker: ${error.response?.data?.message || error.message}`);
+      throw toNylasError('deploy notetaker', error);
     }
   }
 
@@ -52,17 +94,71 @@ class NylasService {
       );
       return response.data;
     } catch (error) {
-      // Handle timeout and gateway errors gracefully
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        console.warn('⚠️  Timeout getting notetaker status (API may be slow)');
-        throw new Error('Request timeout - Nylas API is taking longer than expected');
-      }
-      if (error.response?.status === 504 || error.response?.status === 502) {
-        console.warn('⚠️  Gateway timeout/error getting notetaker status');
-        throw new Error('Gateway timeout - Nylas API is temporarily unavailable');
+      const nylasError = toNylasError('get notetaker status', error);
+      // Timeouts and gateway errors are common here and only logged as warnings
+      if (nylasError instanceof UpstreamUnavailableError) {
+        console.warn('⚠️  Nylas API unavailable getting notetaker status:', nylasError.message);
+      } else {
+        console.error('Error getting notetaker status:', error.response?.data || error.message);
       }
-      console.error('Error getting notetaker status:', error.response?.data || error.message);
-      throw new Error(`Failed to get notetaker status: ${error.response?.data?.message || error.message}`);
+      throw nylasError;
+    }
+  }
+
+  /**
+   * Change the join time of a scheduled notetaker
+   * @param {string} grantId - The Nylas grant ID
+   * @param {string} notetakerId - The notetaker ID
+   * @param {Date|string} joinTime - New join time
+   * @returns {Promise<Object>} Updated notetaker
+   */
+  async rescheduleNotetaker(grantId, notetakerId, joinTime) {
+    try {
+      const response = await this.client.patch(
+        `/v3/grants/${grantId}/notetakers/${notetakerId}`,
+        { join_time: toUnixSeconds(joinTime) }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error rescheduling notetaker:', error.response?.data || error.message);
+      throw toNylasError('reschedule notetaker', error);
+    }
+  }
+
+  /**
+   * Cancel a notetaker that has not joined its meeting yet
+   * @param {string} grantId - The Nylas grant ID
+   * @param {string} notetakerId - The notetaker ID
+   * @returns {Promise<Object>} Cancellation response
+   */
+  async cancelNotetaker(grantId, notetakerId) {
+    try {
+      const response = await this.client.delete(
+        `/v3/grants/${grantId}/notetakers/${notetakerId}/cancel`
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling notetaker:', error.response?.data || error.message);
+      throw toNylasError('cancel notetaker', error);
+    }
+  }
+
+  /**
+   * Remove a notetaker from the meeting it is attending.
+   * Nylas still processes whatever was recorded and sends the usual media webhooks.
+   * @param {string} grantId - The Nylas grant ID
+   * @param {string} notetakerId - The notetaker ID
+   * @returns {Promise<Object>} Leave response
+   */
+  async leaveMeeting(grantId, notetakerId) {
+    try {
+      const response = await this.client.post(
+        `/v3/grants/${grantId}/notetakers/${notetakerId}/leave`
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error removing notetaker from meeting:', error.response?.data || error.message);
+      throw toNylasError('remove notetaker from meeting', error);
     }
   }
 
@@ -80,7 +176,7 @@ class NylasService {
       return response.data;
     } catch (error) {
       console.error('Error getting transcript:', error.response?.data || error.message);
-      throw new Error(`Failed to get transcript: ${error.response?.data?.message || error.message}`);
+      throw toNylasError('get transcript', error);
     }
   }
 
@@ -98,7 +194,7 @@ class NylasService {
       return response.data;
     } catch (error) {
       console.error('Error getting recording:', error.response?.data || error.message);
-      throw new Error(`Failed to get recording: ${error.response?.data?.message || error.message}`);
+      throw toNylasError('get recording', error);
     }
   }
 }
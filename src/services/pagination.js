@@ -0,0 +1,35 @@
+/**
+ * Opaque cursors for keyset pagination.
+ *
+ * A cursor holds the sort value and ID of the last row on a page, plus the sort it was
+ * issued for, so the next page can start strictly after that row even when several rows
+ * share the same timestamp.
+ */
+
+/**
+ * Encode the position after a row
+ * @param {Object} position - { sort, order, value, id }
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {{sort: string, order: string, value: string, id: string}|null} Position, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || typeof o !== 'string' || typeof v !== 'string' || typeof id !== 'string') {
+      return null;
+    }
+    return { sort: s, order: o, value: v, id };
+  } catch {
+    return null;
+  }
+}
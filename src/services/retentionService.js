@@ -0,0 +1,219 @@
+import databaseService from './databaseService.js';
+import meetingService from './meetingService.js';
+import s3Service from './s3Service.js';
+import { deleteUploads } from './uploadStorage.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory purge log (for development/testing without database)
+const purgeLog = [];
+
+export const RETENTION_ARTIFACTS = ['recording', 'transcript', 'note'];
+
+// Meetings handled per artifact type in one sweep
+const SWEEP_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionService {
+  /**
+   * Current retention policy
+   * @returns {Object} Days to keep each artifact (null = forever) and the soft-delete grace period
+   */
+  getPolicy() {
+    const { recordingDays, transcriptDays, noteDays, deletedGraceDays, sweepIntervalMs } = config.retention;
+    return {
+      recordingDays: recordingDays > 0 ? recordingDays : null,
+      transcriptDays: transcriptDays > 0 ? transcriptDays : null,
+      noteDays: noteDays > 0 ? noteDays : null,
+      deletedGraceDays: Math.max(deletedGraceDays, 0),
+      sweepIntervalMs,
+    };
+  }
+
+  /**
+   * Start the periodic retention sweep
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('❌ Retention sweep failed:', error));
+    }, config.retention.sweepIntervalMs);
+    this.timer.unref();
+    console.log(`🧹 Retention sweeper started (every ${config.retention.sweepIntervalMs}ms)`);
+  }
+
+  /**
+   * Stop the periodic retention sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge expired artifacts and soft-deleted meetings past their grace period
+   * @returns {Promise<Object>} Number of purges per artifact type and of meetings deleted
+   */
+  async sweep() {
+    if (this.sweeping) {
+      return { skipped: true };
+    }
+
+    this.sweeping = true;
+    const policy = this.getPolicy();
+    const summary = { recording: 0, transcript: 0, note: 0, meeting: 0, errors: 0 };
+
+    try {
+      for (const artifact of RETENTION_ARTIFACTS) {
+        const days = policy[`${artifact}Days`];
+        if (!days) continue;
+
+        const before = new Date(Date.now() - days * DAY_MS).toISOString();
+        const expired = await meetingService.findExpiredArtifacts(artifact, before, SWEEP_BATCH_SIZE);
+
+        for (const meeting of expired) {
+          try {
+            if (await this.purgeArtifact(meeting, artifact)) {
+              summary[artifact] += 1;
+            }
+          } catch (error) {
+            summary.errors += 1;
+            console.error(`❌ Could not purge ${artifact} of meeting ${meeting.id}:`, error.message);
+          }
+        }
+      }
+
+      const deletedBefore = new Date(Date.now() - policy.deletedGraceDays * DAY_MS).toISOString();
+      const deleted = await meetingService.findDeletedBefore(deletedBefore, SWEEP_BATCH_SIZE);
+
+      for (const meeting of deleted) {
+        try {
+          await this.purgeMeeting(meeting);
+          summary.meeting += 1;
+        } catch (error) {
+          summary.errors += 1;
+          console.error(`❌ Could not purge meeting ${meeting.id}:`, error.message);
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+
+    if (summary.recording + summary.transcript + summary.note + summary.meeting + summary.errors > 0) {
+      console.log('🧹 Retention sweep:', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Remove one expired artifact from a meeting and log it
+   * @param {Object} meeting - Meeting
+   * @param {string} artifact - recording, transcript or note
+   * @returns {Promise<Object|null>} Purge record, or null if there was nothing to remove
+   */
+  async purgeArtifact(meeting, artifact) {
+    let objects = [];
+    const updates = {
+      purgedArtifacts: { ...meeting.purgedArtifacts, [artifact]: new Date().toISOString() },
+    };
+
+    if (artifact === 'recording') {
+      objects = await this.deleteMedia(meeting.id);
+      updates.recording = null;
+    } else {
+      updates[artifact] = null;
+    }
+
+    await meetingService.updateMeeting(meeting.id, updates);
+
+    // Old bot meetings without any stored media are only marked as checked
+    const hadData = artifact !== 'recording' || meeting.recording || objects.length > 0;
+    if (!hadData) {
+      return null;
+    }
+
+    return this.recordPurge({ meetingId: meeting.id, artifact, reason: 'retention', objects });
+  }
+
+  /**
+   * Permanently delete a soft-deleted meeting and all of its media, and log it
+   * @param {Object} meeting - Meeting
+   * @returns {Promise<Object>} Purge record
+   */
+  async purgeMeeting(meeting) {
+    const objects = await this.deleteMedia(meeting.id);
+    await meetingService.deleteMeeting(meeting.id);
+    return this.recordPurge({ meetingId: meeting.id, artifact: 'meeting', reason: 'deleted', objects });
+  }
+
+  /**
+   * Delete a meeting's recordings and uploads from S3 (and local uploads)
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array<string>>} Deleted object keys
+   */
+  async deleteMedia(meetingId) {
+    const recordings = await s3Service.deletePrefix(`recordings/${meetingId}/`);
+    const uploads = await deleteUploads(meetingId);
+    return [...recordings, ...uploads];
+  }
+
+  /**
+   * Add an entry to the purge log
+   * @param {Object} entry - { meetingId, artifact, reason, objects }
+   * @returns {Promise<Object>} Purge record
+   */
+  async recordPurge(entry) {
+    const record = {
+      id: `purge_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      meetingId: entry.meetingId,
+      artifact: entry.artifact,
+      reason: entry.reason,
+      objects: entry.objects || [],
+      purgedAt: new Date().toISOString(),
+    };
+
+    console.log(`🗑️  Purged ${record.artifact} of meeting ${record.meetingId} (${record.reason})`);
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createPurgeRecord(record);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    purgeLog.push(record);
+    return record;
+  }
+
+  /**
+   * List purge records, newest first
+   * @param {Object} options - Filters
+   * @param {string} [options.meetingId] - Only purges of this meeting
+   * @param {number} [options.limit] - Maximum number of records (default 100)
+   * @returns {Promise<Array>} Purge records
+   */
+  async listPurges(options = {}) {
+    const limit = options.limit || 100;
+
+    if (useDatabase) {
+      try {
+        return await databaseService.listPurgeRecords({ ...options, limit });
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return purgeLog
+      .filter(record => !options.meetingId || record.meetingId === options.meetingId)
+      .sort((a, b) => new Date(b.purgedAt) - new Date(a.purgedAt))
+      .slice(0, limit);
+  }
+}
+
+export default new RetentionService();
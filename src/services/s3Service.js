@@ -1,7 +1,41 @@
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import axios from 'axios';
 import { config } from '../config.js';
+import { upstreamError, AppError, NotFoundError, UpstreamRejectedError } from '../errors.js';
+
+/**
+ * Turn a failed S3 call into a typed error: a missing object becomes NotFoundError,
+ * timeouts and 5xx (including throttling) UpstreamUnavailableError, and refusals such
+ * as AccessDenied UpstreamRejectedError
+ * @param {string} action - What we were doing, e.g. "upload recording"
+ * @param {Error} error - AWS SDK error
+ * @returns {AppError} Typed error
+ */
+function toS3Error(action, error) {
+    if (error instanceof AppError) return error;
+
+    const status = error.$metadata?.httpStatusCode;
+
+    if (status === 404 || error.name === 'NoSuchKey') {
+        return new NotFoundError(`Could not ${action}: object not found in S3`, { details: { service: 's3' }, cause: error });
+    }
+
+    return upstreamError('s3', action, { status, message: error.message, cause: error });
+}
+
+/**
+ * Turn a failed download of a source file (a Nylas media URL) into a typed error
+ * @param {Error} error - Axios error
+ * @returns {AppError} Typed error
+ */
+function toDownloadError(error) {
+    return upstreamError('nylas', 'download recording', {
+        status: error.response?.status,
+        message: error.response ? undefined : error.message,
+        cause: error,
+    });
+}
 
 class S3Service {
     constructor() {
@@ -35,16 +69,41 @@ class S3Service {
         }
 
         try {
-            console.log(`📤 Uploading to S3: ${key}`);
+            return await this.copyFromUrl(fileUrl, key, contentType);
+        } catch (error) {
+            // Return original URL as fallback
+            return fileUrl;
+        }
+    }
+
+    /**
+     * Copy a file from a URL to S3, throwing on failure so callers can retry
+     * @param {string} fileUrl - URL of the file to download and upload
+     * @param {string} key - S3 object key (path)
+     * @param {string} contentType - MIME type of the file
+     * @returns {Promise<string>} S3 URL of the uploaded file
+     */
+    async copyFromUrl(fileUrl, key, contentType = 'audio/mpeg') {
+        if (!this.enabled) {
+            throw new Error('S3 not enabled');
+        }
 
-            // Download the file from the URL
+        console.log(`📤 Uploading to S3: ${key}`);
+
+        // Download the file from the URL
+        let fileBuffer;
+        try {
             const response = await axios.get(fileUrl, {
                 responseType: 'arraybuffer',
                 timeout: 30000, // 30 second timeout
             });
+            fileBuffer = Buffer.from(response.data);
+        } catch (error) {
+            console.error('❌ Error downloading file for S3:', error.message);
+            throw toDownloadError(error);
+        }
 
-            const fileBuffer = Buffer.from(response.data);
-
+        try {
             // Upload to S3
             const command = new PutObjectCommand({
                 Bucket: this.bucketName,
@@ -62,8 +121,7 @@ class S3Service {
             return s3Url;
         } catch (error) {
             console.error('❌ Error uploading to S3:', error.message);
-            // Return original URL as fallback
-            return fileUrl;
+            throw toS3Error('upload recording', error);
         }
     }
 
@@ -98,8 +156,90 @@ class S3Service {
             return s3Url;
         } catch (error) {
             console.error('❌ Error uploading buffer to S3:', error.message);
-            throw error;
+            throw toS3Error('upload file', error);
+        }
+    }
+
+    /**
+     * Download an object from S3
+     * @param {string} key - S3 object key
+     * @returns {Promise<Buffer>} File content
+     */
+    async getBuffer(key) {
+        if (!this.enabled) {
+            throw new Error('S3 not enabled');
+        }
+
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucketName,
+                Key: key,
+            }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            console.error('❌ Error downloading from S3:', error.message);
+            throw toS3Error('download file', error);
+        }
+    }
+
+    /**
+     * Delete every object under a prefix
+     * @param {string} prefix - Key prefix, e.g. recordings/meeting_123/
+     * @returns {Promise<Array<string>>} Keys that were deleted
+     */
+    async deletePrefix(prefix) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const deleted = [];
+        let continuationToken;
+
+        try {
+            do {
+                const listing = await this.client.send(new ListObjectsV2Command({
+                    Bucket: this.bucketName,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken,
+                }));
+
+                const keys = (listing.Contents || []).map(object => object.Key);
+                if (keys.length > 0) {
+                    const result = await this.client.send(new DeleteObjectsCommand({
+                        Bucket: this.bucketName,
+                        Delete: { Objects: keys.map(Key => ({ Key })), Quiet: true },
+                    }));
+                    if (result.Errors?.length) {
+                        throw new UpstreamRejectedError('s3', `Could not delete ${result.Errors.length} object(s) under ${prefix}: ${result.Errors[0].Message}`);
+                    }
+                    deleted.push(...keys);
+                }
+
+                continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+            } while (continuationToken);
+
+            if (deleted.length > 0) {
+                console.log(`🗑️  Deleted ${deleted.length} object(s) from S3 under ${prefix}`);
+            }
+            return deleted;
+        } catch (error) {
+            console.error('❌ Error deleting from S3:', error.message);
+            throw toS3Error('delete files', error);
+        }
+    }
+
+    /**
+     * Get the object key of a URL returned by copyFromUrl/uploadBuffer
+     * @param {string} url - S3 URL
+     * @returns {string|null} Object key, or null if the URL is not in our bucket
+     */
+    keyFromUrl(url) {
+        if (!this.enabled || !url) {
+            return null;
         }
+
+        const prefix = `https://${this.bucketName}.s3.${config.s3.region}.amazonaws.com/`;
+        return url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length)) : null;
     }
 
     /**
@@ -0,0 +1,214 @@
+/**
+ * Validator for the JSON Schema subset used by the OpenAPI document: type (including
+ * type arrays for nullable values), enum, const, required, properties,
+ * additionalProperties, items, anyOf, allOf, string length / pattern / format, number
+ * ranges, array and object sizes, and local $refs. A schema node can set
+ * x-error-message to replace the message of its own checks.
+ */
+
+// date-time as in RFC 3339 (seconds and fraction optional)
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  return actual === type;
+}
+
+/**
+ * Describe a list of types for error messages
+ * @param {Array<string>} types - Schema types
+ * @returns {string} e.g. "a string or null"
+ */
+function describeTypes(types) {
+  const names = types.map(type => {
+    if (type === 'null') return 'null';
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+  });
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Append a property name or array index to a field path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or index
+ * @returns {string} e.g. tags[2] or metadata.source
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a local $ref (#/components/schemas/Name)
+ * @param {Object} schema - Schema that may be a $ref
+ * @param {Object} root - Document the ref points into
+ * @returns {Object} Referenced schema
+ */
+function resolve(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const target = resolved.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node?.[key], root);
+    if (!target) {
+      throw new Error(`Unresolvable schema reference ${resolved.$ref}`);
+    }
+    resolved = target;
+  }
+  return resolved;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} [options] - { root: document for $refs, path: field path of the value }
+ * @returns {Array<{field: string, message: string}>} Validation errors (empty if valid)
+ */
+export function validateSchema(schema, value, options = {}) {
+  const root = options.root || schema;
+  const path = options.path || '';
+  const node = resolve(schema, root);
+  const errors = [];
+  const fail = message => errors.push({ field: path, message: node['x-error-message'] || message });
+
+  if (!node || value === undefined) return errors;
+
+  if (node.allOf) {
+    for (const part of node.allOf) {
+      errors.push(...validateSchema(part, value, { root, path }));
+    }
+  }
+
+  if (node.anyOf) {
+    const branches = node.anyOf.map(branch => validateSchema(branch, value, { root, path }));
+    if (branches.some(branchErrors => branchErrors.length === 0)) return errors;
+
+    // Report the errors of the branch the value's type matches, if there is exactly one
+    const matching = node.anyOf
+      .map((branch, index) => ({ branch: resolve(branch, root), errors: branches[index] }))
+      .filter(({ branch }) => !branch.type || [].concat(branch.type).some(type => hasType(value, type)));
+    if (matching.length === 1 && !node['x-error-message']) return matching[0].errors;
+
+    const types = node.anyOf.flatMap(branch => [].concat(resolve(branch, root).type || []));
+    fail(types.length ? `must be ${describeTypes([...new Set(types)])}` : 'does not match any of the allowed shapes');
+    return errors;
+  }
+
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => hasType(value, type))) {
+      fail(`must be ${describeTypes(types)}`);
+      return errors;
+    }
+  }
+
+  if (node.const !== undefined && value !== node.const) {
+    fail(`must be ${JSON.stringify(node.const)}`);
+    return errors;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    fail(`must be one of: ${node.enum.filter(option => option !== null).join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      fail(node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters`);
+    }
+    if (node.maxLength !== undefined && value.length > node.maxLength) {
+      fail(`must be at most ${node.maxLength} characters`);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      fail(`must match ${node.pattern}`);
+    }
+    if (node.format === 'date-time' && (!DATE_TIME_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+      fail('must be an ISO 8601 date-time, e.g. 2024-01-01T12:00:00Z');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) fail(`must be at least ${node.minimum}`);
+    if (node.maximum !== undefined && value > node.maximum) fail(`must be at most ${node.maximum}`);
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) fail(`must be greater than ${node.exclusiveMinimum}`);
+    if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) fail(`must be less than ${node.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) fail(`must have at least ${node.minItems} items`);
+    if (node.maxItems !== undefined && value.length > node.maxItems) fail(`must have at most ${node.maxItems} items`);
+    if (node.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(node.items, item, { root, path: childPath(path, index) }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    if (node.minProperties !== undefined && keys.length < node.minProperties) {
+      fail(`must have at least ${node.minProperties} field${node.minProperties === 1 ? '' : 's'}`);
+    }
+
+    for (const name of node.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: childPath(path, name), message: 'is required' });
+      }
+    }
+
+    const properties = node.properties || {};
+    for (const key of keys) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], value[key], { root, path: childPath(path, key) }));
+      } else if (node.additionalProperties === false) {
+        errors.push({ field: childPath(path, key), message: 'is not a known field' });
+      } else if (typeof node.additionalProperties === 'object') {
+        errors.push(...validateSchema(node.additionalProperties, value[key], { root, path: childPath(path, key) }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query string or path value to the type its schema expects, so "20"
+ * validates as an integer. Values that do not convert are returned unchanged and
+ * fail validation with a type error.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw value from the URL
+ * @param {Object} [root] - Document for $refs
+ * @returns {*} Converted value
+ */
+export function coerceParameter(schema, value, root) {
+  const node = resolve(schema, root || schema);
+  if (typeof value !== 'string' || !node) return value;
+
+  const types = [].concat(node.type || []);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
@@ -0,0 +1,172 @@
+import { NOTE_METADATA_FIELDS } from './noteTemplates.js';
+
+/**
+ * HTML pages for share links. Everything taken from the meeting is escaped;
+ * pages are self-contained (inline CSS, no scripts).
+ */
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328;
+    max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+  h1 { font-size: 1.6em; margin-bottom: 4px; }
+  h2 { font-size: 1.15em; margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .meta, .footer, .muted { color: #656d76; font-size: 0.9em; }
+  .segment { margin: 6px 0; }
+  .time { color: #656d76; font-variant-numeric: tabular-nums; margin-right: 6px; }
+  .footer { margin-top: 48px; border-top: 1px solid #d0d7de; padding-top: 8px; }
+  audio, video { width: 100%; }
+`;
+
+// Note fields shown in the page header or not at all, rather than as sections
+const HIDDEN_NOTE_FIELDS = [...NOTE_METADATA_FIELDS, 'summary'];
+// Section titles that differ from the field name
+const SECTION_TITLES = { questions: 'Open questions' };
+// List entry fields that are the entry itself, details shown as they are, and labeled details
+const MAIN_ENTRY_FIELDS = ['item', 'decision', 'topic', 'text'];
+const UNLABELED_ENTRY_FIELDS = ['summary', 'context'];
+const ENTRY_LABELS = { assignee: 'Owner', speaker: 'By', dueDate: 'Due' };
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Any value
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format milliseconds as MM:SS
+ * @param {number} ms - Milliseconds
+ * @returns {string} Formatted time
+ */
+function formatTime(ms) {
+  const seconds = Math.floor((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Wrap a page body in the shared layout
+ * @param {string} title - Page title (plain text)
+ * @param {string} body - Page body (HTML)
+ * @returns {string} HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Turn a note field name into a heading or label, e.g. painPoints -> Pain points
+ * @param {string} name - Field name
+ * @returns {string} Title
+ */
+function humanize(name) {
+  const words = name.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Render one note list entry; LLM notes use objects for topics, decisions, action items
+ * and the lists of other templates. The first field is the entry; the others are details.
+ * @param {string|Object} entry - List entry
+ * @returns {string} HTML
+ */
+function renderEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return escapeHtml(entry);
+  }
+
+  const fields = Object.keys(entry).filter(key => entry[key] !== null && entry[key] !== undefined && entry[key] !== '');
+  const mainKey = MAIN_ENTRY_FIELDS.find(key => fields.includes(key)) || fields[0];
+  const others = fields.filter(key => key !== mainKey);
+  const details = [
+    ...others.filter(key => UNLABELED_ENTRY_FIELDS.includes(key)).map(key => entry[key]),
+    ...others.filter(key => !UNLABELED_ENTRY_FIELDS.includes(key))
+      .map(key => `${ENTRY_LABELS[key] || humanize(key)}: ${entry[key]}`),
+  ];
+
+  return `<strong>${escapeHtml(mainKey ? entry[mainKey] : '')}</strong>${details.length ? ` <span class="muted">— ${escapeHtml(details.join(' · '))}</span>` : ''}`;
+}
+
+/**
+ * Render a titled list section (nothing if the list is empty)
+ * @param {string} title - Section title
+ * @param {Array} entries - Entries
+ * @returns {string} HTML
+ */
+function renderList(title, entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return '';
+  return `<h2>${escapeHtml(title)}</h2>\n<ul>\n${entries.map(entry => `<li>${renderEntry(entry)}</li>`).join('\n')}\n</ul>`;
+}
+
+/**
+ * Render the read-only page for a share link
+ * @param {Object} options - Page content
+ * @param {Object} options.meeting - Meeting (title, createdAt, platform, note, transcript)
+ * @param {Object} options.share - Share (expiresAt, includeTranscript)
+ * @param {string|null} [options.recordingUrl] - Recording URL to embed
+ * @returns {string} HTML document
+ */
+export function renderSharePage({ meeting, share, recordingUrl }) {
+  const { note } = meeting;
+  const title = meeting.title || 'Meeting notes';
+  const participants = note.participants?.length ? ` · ${note.participants.length} participants` : '';
+  const duration = note.duration ? ` · ${Math.round(note.duration / 60)} min` : '';
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="meta">${escapeHtml(new Date(meeting.createdAt).toUTCString())}${escapeHtml(duration)}${escapeHtml(participants)}</p>`,
+    `<h2>Summary</h2>\n<p>${escapeHtml(note.summary)}</p>`,
+    // The note template's fields, in the order it defines them
+    ...Object.entries(note)
+      .filter(([name]) => !HIDDEN_NOTE_FIELDS.includes(name))
+      .map(([name, value]) => {
+        const sectionTitle = SECTION_TITLES[name] || humanize(name);
+        if (Array.isArray(value)) return renderList(sectionTitle, value);
+        return typeof value === 'string' && value ? `<h2>${escapeHtml(sectionTitle)}</h2>\n<p>${escapeHtml(value)}</p>` : '';
+      }),
+    renderList('Participants', note.participants),
+  ];
+
+  if (recordingUrl) {
+    sections.push(`<h2>Recording</h2>\n<audio controls preload="none" src="${escapeHtml(recordingUrl)}"></audio>`
+      + `\n<p class="muted"><a href="${escapeHtml(recordingUrl)}">Download</a> (link valid for a limited time)</p>`);
+  }
+
+  const segments = share.includeTranscript ? meeting.transcript?.transcript || [] : [];
+  if (segments.length > 0) {
+    sections.push(`<h2>Transcript</h2>\n${segments.map(segment => `<p class="segment"><span class="time">${formatTime(segment.start)}</span>`
+      + `<strong>${escapeHtml(segment.speaker || 'Unknown Speaker')}:</strong> ${escapeHtml(segment.text)}</p>`).join('\n')}`);
+  }
+
+  sections.push(`<p class="footer">Shared read-only. This link expires ${escapeHtml(new Date(share.expiresAt).toUTCString())}.</p>`);
+
+  return layout(title, sections.filter(Boolean).join('\n'));
+}
+
+/**
+ * Render the page shown for links that are invalid, expired or revoked
+ * @param {string} title - Short message
+ * @param {string} message - Explanation
+ * @returns {string} HTML document
+ */
+export function renderShareErrorPage(title, message) {
+  return layout(title, `<h1>${escapeHtml(title)}</h1>\n<p class="muted">${escapeHtml(message)}</p>`);
+}
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import databaseService from './databaseService.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const shares = new Map();
+const accessLog = [];
+
+// Without SHARE_LINK_SECRET links are signed with a per-process key (they break on restart)
+const signingSecret = config.shares.secret || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a share ID and expiry
+ * @param {string} shareId - Share ID
+ * @param {number} expires - Expiry as Unix seconds
+ * @returns {string} base64url HMAC-SHA256
+ */
+function sign(shareId, expires) {
+  return crypto.createHmac('sha256', signingSecret).update(`${shareId}.${expires}`).digest('base64url');
+}
+
+/**
+ * Read-only share links for a meeting's note. A link's token carries the share ID and
+ * expiry, signed with SHARE_LINK_SECRET, so forged or altered links are rejected
+ * before the database is touched. Revocation and options live on the share record.
+ */
+class ShareService {
+  /**
+   * Create a share link
+   * @param {string} meetingId - Meeting to share
+   * @param {Object} options - Link options
+   * @param {string} options.expiresAt - ISO expiry time
+   * @param {boolean} [options.includeTranscript] - Show the transcript (default true)
+   * @param {boolean} [options.includeRecording] - Show the recording (default false)
+   * @param {string} [options.recipient] - Who the link is for (shown in the access log)
+   * @param {string} [options.tenantId] - Tenant that created the link
+   * @returns {Promise<Object>} Created share
+   */
+  async createShare(meetingId, options) {
+    const share = {
+      id: `share_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      meetingId,
+      tenantId: options.tenantId || null,
+      recipient: options.recipient || null,
+      includeTranscript: options.includeTranscript !== false,
+      includeRecording: options.includeRecording === true,
+      expiresAt: options.expiresAt,
+      revokedAt: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createShare(share);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    shares.set(share.id, share);
+    return share;
+  }
+
+  /**
+   * Get share by ID
+   * @param {string} shareId - Share ID
+   * @returns {Promise<Object|null>} Share or null
+   */
+  async getShare(shareId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getShare(shareId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return shares.get(shareId) || null;
+  }
+
+  /**
+   * List a meeting's share links
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} Shares, newest first
+   */
+  async listShares(meetingId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.listShares(meetingId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(shares.values())
+      .filter(share => share.meetingId === meetingId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Revoke a share link (links that are already revoked keep their original time)
+   * @param {Object} share - Share
+   * @returns {Promise<Object>} Revoked share
+   */
+  async revokeShare(share) {
+    if (share.revokedAt) return share;
+
+    const revokedAt = new Date().toISOString();
+    if (useDatabase) {
+      try {
+        return await databaseService.updateShare(share.id, { revokedAt });
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const revoked = { ...share, revokedAt };
+    shares.set(share.id, revoked);
+    return revoked;
+  }
+
+  /**
+   * Build the token for a share link
+   * @param {Object} share - Share
+   * @returns {string} Token (<shareId>.<expires>.<signature>)
+   */
+  createToken(share) {
+    const expires = Math.floor(new Date(share.expiresAt).getTime() / 1000);
+    return `${share.id}.${expires}.${sign(share.id, expires)}`;
+  }
+
+  /**
+   * Build the public URL of a share link
+   * @param {Object} share - Share
+   * @param {string} baseUrl - Server URL (PUBLIC_BASE_URL or the request's host)
+   * @returns {string} Share URL
+   */
+  buildUrl(share, baseUrl) {
+    return `${baseUrl.replace(/\/$/, '')}/shares/${this.createToken(share)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {string} token - Token from the URL
+   * @returns {{shareId?: string, expired?: boolean, error?: string}} Share ID, or why the token is not valid
+   */
+  verifyToken(token) {
+    const [shareId, expiresPart, signature, extra] = String(token).split('.');
+    const expires = Number(expiresPart);
+
+    if (!shareId || !signature || extra !== undefined || !Number.isInteger(expires)) {
+      return { error: 'malformed' };
+    }
+
+    const expected = Buffer.from(sign(shareId, expires));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { error: 'bad_signature' };
+    }
+
+    return { shareId, expired: expires * 1000 <= Date.now() };
+  }
+
+  /**
+   * Get the status of a share
+   * @param {Object} share - Share
+   * @returns {string} active, expired or revoked
+   */
+  getStatus(share) {
+    if (share.revokedAt) return 'revoked';
+    if (new Date(share.expiresAt).getTime() <= Date.now()) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Record that a share link was opened
+   * @param {Object} share - Share
+   * @param {Object} entry - { outcome, ip, userAgent }
+   * @returns {Promise<Object>} Access record
+   */
+  async recordAccess(share, entry) {
+    const record = {
+      id: `access_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      shareId: share.id,
+      meetingId: share.meetingId,
+      outcome: entry.outcome,
+      ip: entry.ip || null,
+      userAgent: entry.userAgent || null,
+      accessedAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createShareAccess(record);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    accessLog.push(record);
+    return record;
+  }
+
+  /**
+   * List the access log of a share link
+   * @param {string} shareId - Share ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Access records, newest first
+   */
+  async listAccess(shareId, options = {}) {
+    const limit = options.limit || 100;
+
+    if (useDatabase) {
+      try {
+        return await databaseService.listShareAccess(shareId, limit);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return accessLog
+      .filter(record => record.shareId === shareId)
+      .sort((a, b) => new Date(b.accessedAt) - new Date(a.accessedAt))
+      .slice(0, limit);
+  }
+}
+
+export default new ShareService();
@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import databaseService from './databaseService.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const tenants = new Map();
+const apiKeys = new Map();
+
+// Keys look like mnt_<43 base64url chars>; the prefix makes leaked keys easy to spot
+const API_KEY_PREFIX = 'mnt_';
+// Characters of the key kept in clear text so users can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = 12;
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup. Keys are 256-bit random values, so a plain
+ * SHA-256 is enough (no salt or slow hash needed, and lookups stay indexable).
+ * @param {string} key - Plain-text API key
+ * @returns {string} Hex digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Tenants own Nylas grants and authenticate with API keys. Keys are only stored
+ * hashed; the plain-text key is returned once, when it is created.
+ */
+class TenantService {
+  /**
+   * Create a tenant
+   * @param {Object} data - { name, grantIds, quotas }
+   * @returns {Promise<Object>} Created tenant
+   */
+  async createTenant(data) {
+    const tenant = {
+      id: `tenant_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: data.name,
+      grantIds: data.grantIds || [],
+      quotas: data.quotas || {},
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createTenant(tenant);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    tenants.set(tenant.id, tenant);
+    return tenant;
+  }
+
+  /**
+   * Get tenant by ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object|null>} Tenant or null
+   */
+  async getTenant(tenantId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getTenant(tenantId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return tenants.get(tenantId) || null;
+  }
+
+  /**
+   * List tenants
+   * @returns {Promise<Array>} Tenants, oldest first
+   */
+  async listTenants() {
+    if (useDatabase) {
+      try {
+        return await databaseService.listTenants();
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(tenants.values())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Update a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} updates - { name, grantIds, quotas }
+   * @returns {Promise<Object|null>} Updated tenant or null
+   */
+  async updateTenant(tenantId, updates) {
+    if (useDatabase) {
+      try {
+        return await databaseService.updateTenant(tenantId, updates);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const tenant = tenants.get(tenantId);
+    if (!tenant) return null;
+
+    const updated = { ...tenant, ...updates, updatedAt: new Date().toISOString() };
+    tenants.set(tenantId, updated);
+    return updated;
+  }
+
+  /**
+   * Find a grant that already belongs to another tenant (a grant has one owner)
+   * @param {Array<string>} grantIds - Grant IDs to check
+   * @param {string} [tenantId] - Tenant the grants are being assigned to
+   * @returns {Promise<{grantId: string, tenantId: string}|null>} First conflict, or null
+   */
+  async findGrantConflict(grantIds, tenantId) {
+    if (grantIds.length === 0) return null;
+
+    let owners;
+    if (useDatabase) {
+      try {
+        owners = await databaseService.findTenantsByGrantIds(grantIds);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    if (!owners) {
+      owners = Array.from(tenants.values()).filter(t => t.grantIds.some(id => grantIds.includes(id)));
+    }
+
+    const other = owners.find(t => t.id !== tenantId);
+    if (!other) return null;
+    return { grantId: grantIds.find(id => other.grantIds.includes(id)), tenantId: other.id };
+  }
+
+  /**
+   * Create an API key for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name }
+   * @returns {Promise<{apiKey: Object, key: string}>} Stored key record and the plain-text key (shown once)
+   */
+  async createApiKey(tenantId, data = {}) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      tenantId,
+      name: data.name || null,
+      keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashApiKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+
+    let apiKey = record;
+    if (useDatabase) {
+      try {
+        apiKey = await databaseService.createApiKey(record);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+        apiKeys.set(record.id, record);
+      }
+    } else {
+      apiKeys.set(record.id, record);
+    }
+
+    console.log(`🔑 API key ${apiKey.keyPrefix}… created for tenant ${tenantId}`);
+    return { apiKey: toPublicApiKey(apiKey), key };
+  }
+
+  /**
+   * List a tenant's API keys (without hashes)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Array>} API keys, newest first
+   */
+  async listApiKeys(tenantId) {
+    let rows;
+    if (useDatabase) {
+      try {
+        rows = await databaseService.listApiKeys(tenantId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    if (!rows) {
+      rows = Array.from(apiKeys.values())
+        .filter(k => k.tenantId === tenantId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    return rows.map(toPublicApiKey);
+  }
+
+  /**
+   * Revoke an API key. Revoked keys are kept so they show up in the key list.
+   * @param {string} tenantId - Tenant the key must belong to
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object|null>} Revoked key, or null if the tenant has no such key
+   */
+  async revokeApiKey(tenantId, keyId) {
+    const revokedAt = new Date().toISOString();
+
+    if (useDatabase) {
+      try {
+        const revoked = await databaseService.revokeApiKey(tenantId, keyId, revokedAt);
+        return revoked ? toPublicApiKey(revoked) : null;
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const apiKey = apiKeys.get(keyId);
+    if (!apiKey || apiKey.tenantId !== tenantId) return null;
+
+    const revoked = { ...apiKey, revokedAt: apiKey.revokedAt || revokedAt };
+    apiKeys.set(keyId, revoked);
+    return toPublicApiKey(revoked);
+  }
+
+  /**
+   * Look up the tenant for a plain-text API key
+   * @param {string} key - API key from the request
+   * @returns {Promise<{tenant: Object, apiKey: Object}|null>} Tenant and key, or null if the key is unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key.startsWith(API_KEY_PREFIX)) return null;
+
+    const keyHash = hashApiKey(key);
+    let apiKey;
+    if (useDatabase) {
+      try {
+        apiKey = await databaseService.findApiKeyByHash(keyHash);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    if (apiKey === undefined) {
+      apiKey = Array.from(apiKeys.values()).find(k => k.keyHash === keyHash) || null;
+    }
+
+    if (!apiKey || apiKey.revokedAt) return null;
+
+    const tenant = await this.getTenant(apiKey.tenantId);
+    if (!tenant) return null;
+
+    this.touchApiKey(apiKey);
+    return { tenant, apiKey: toPublicApiKey(apiKey) };
+  }
+
+  /**
+   * Record when a key was last used (best effort, throttled)
+   * @param {Object} apiKey - API key record
+   */
+  touchApiKey(apiKey) {
+    const now = Date.now();
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    const lastUsedAt = new Date(now).toISOString();
+    if (apiKeys.has(apiKey.id)) {
+      apiKeys.set(apiKey.id, { ...apiKeys.get(apiKey.id), lastUsedAt });
+      return;
+    }
+
+    if (useDatabase) {
+      databaseService.updateApiKeyLastUsed(apiKey.id, lastUsedAt)
+        .catch(error => console.error('Error updating API key last use:', error.message));
+    }
+  }
+
+  /**
+   * Check whether a tenant may use a grant
+   * @param {Object|null} tenant - Authenticated tenant (null = admin key or auth disabled)
+   * @param {string} grantId - Nylas Grant ID
+   * @returns {boolean} True if the grant belongs to the tenant
+   */
+  ownsGrant(tenant, grantId) {
+    return !tenant || tenant.grantIds.includes(grantId);
+  }
+
+  /**
+   * Check whether a tenant may see a meeting: meetings with a grant belong to the
+   * grant's tenant; imports and uploads without a grant belong to the tenant that created them
+   * @param {Object|null} tenant - Authenticated tenant (null = admin key or auth disabled)
+   * @param {Object} meeting - Meeting
+   * @returns {boolean} True if the meeting is visible to the tenant
+   */
+  canAccessMeeting(tenant, meeting) {
+    if (!tenant) return true;
+    if (meeting.grantId) return tenant.grantIds.includes(meeting.grantId);
+    return meeting.tenantId === tenant.id;
+  }
+}
+
+/**
+ * Hide the key hash from API responses
+ * @param {Object} apiKey - API key record
+ * @returns {Object} API key without its hash
+ */
+function toPublicApiKey(apiKey) {
+  const { keyHash, ...rest } = apiKey;
+  return rest;
+}
+
+export default new TenantService();
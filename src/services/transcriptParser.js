@@ -0,0 +1,250 @@
+import { ValidationError } from '../errors.js';
+
+/**
+ * Transcript file parsing for imported meetings.
+ *
+ * Converts WebVTT, SRT, plain "Speaker: text" and Nylas-style JSON transcripts into the
+ * Nylas transcript shape that generateNote expects:
+ *   { object: 'transcript', type: 'speaker_labelled', transcript: [{ speaker, start, end, text }] }
+ * with start/end in milliseconds (null when the source has no timestamps).
+ */
+
+export const TRANSCRIPT_FORMATS = ['vtt', 'srt', 'text', 'json'];
+
+const UNKNOWN_SPEAKER = 'Unknown Speaker';
+const CUE_TIMING = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const SPEAKER_PREFIX = /^([^:\n]{1,60}?):\s+(.+)$/s;
+const TEXT_TIMESTAMP = /^\[?((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?\s*(?:-\s*)?/;
+
+/**
+ * Error thrown when a transcript cannot be parsed
+ */
+export class TranscriptParseError extends ValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptParseError';
+  }
+}
+
+/**
+ * Guess the format of a transcript
+ * @param {string|Object|Array} content - Transcript content
+ * @returns {string} vtt, srt, json or text
+ */
+export function detectTranscriptFormat(content) {
+  if (typeof content !== 'string') return 'json';
+
+  const trimmed = content.replace(/^﻿/, '').trimStart();
+  if (trimmed.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\r?\n\s*(?:\d+:)?\d{1,2}:\d{2},\d{1,3}\s*-->/.test(trimmed)) return 'srt';
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not JSON after all; treat as text
+    }
+  }
+  return 'text';
+}
+
+/**
+ * Parse a transcript into Nylas transcript format
+ * @param {string|Object|Array} content - Transcript file content (or parsed JSON)
+ * @param {string} [format] - vtt, srt, text or json (detected when omitted)
+ * @returns {{format: string, transcript: Object}} Detected format and normalized transcript
+ * @throws {TranscriptParseError} If the content is empty or malformed
+ */
+export function parseTranscript(content, format) {
+  if (content === undefined || content === null || (typeof content === 'string' && !content.trim())) {
+    throw new TranscriptParseError('Transcript is empty');
+  }
+
+  const resolvedFormat = format || detectTranscriptFormat(content);
+  if (!TRANSCRIPT_FORMATS.includes(resolvedFormat)) {
+    throw new TranscriptParseError(`Unknown transcript format "${format}". Use one of: ${TRANSCRIPT_FORMATS.join(', ')}`);
+  }
+
+  let segments;
+  switch (resolvedFormat) {
+    case 'vtt':
+      segments = parseCues(content, 'vtt');
+      break;
+    case 'srt':
+      segments = parseCues(content, 'srt');
+      break;
+    case 'json':
+      segments = parseJson(content);
+      break;
+    default:
+      segments = parseText(content);
+  }
+
+  if (segments.length === 0) {
+    throw new TranscriptParseError(`No transcript segments found in ${resolvedFormat} input`);
+  }
+
+  return {
+    format: resolvedFormat,
+    transcript: {
+      object: 'transcript',
+      type: 'speaker_labelled',
+      transcript: segments,
+    },
+  };
+}
+
+/**
+ * Convert a cue timestamp (01:02:03.456, 02:03,456) to milliseconds
+ * @param {string} value - Timestamp
+ * @returns {number} Milliseconds
+ */
+function timestampToMs(value) {
+  const [clock, fraction = '0'] = value.split(/[.,]/);
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds * 1000 + Number(fraction.padEnd(3, '0').slice(0, 3));
+}
+
+/**
+ * Split "Speaker: text" into its parts
+ * @param {string} text - Line or cue text
+ * @returns {{speaker: string|null, text: string}} Speaker (if any) and text
+ */
+function splitSpeaker(text) {
+  const match = text.match(SPEAKER_PREFIX);
+  // Avoid treating "Note: ..." style sentences with long prefixes or URLs as speakers
+  if (match && !/https?$/i.test(match[1]) && match[1].split(/\s+/).length <= 5) {
+    return { speaker: match[1].trim(), text: match[2].trim() };
+  }
+  return { speaker: null, text: text.trim() };
+}
+
+/**
+ * Parse WebVTT or SRT cues
+ * @param {string} content - File content
+ * @param {string} format - vtt or srt
+ * @returns {Array<Object>} Segments
+ */
+function parseCues(content, format) {
+  const blocks = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const segments = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line.trim()));
+    if (timingIndex === -1) {
+      // Header, NOTE, STYLE or REGION block (VTT) or a stray index (SRT)
+      continue;
+    }
+
+    const [, start, end] = lines[timingIndex].trim().match(CUE_TIMING);
+    let text = lines.slice(timingIndex + 1).join(' ').trim();
+    if (!text) continue;
+
+    let speaker = null;
+    if (format === 'vtt') {
+      const voice = text.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+      if (voice) speaker = voice[1].trim();
+      text = text.replace(/<[^>]+>/g, '').trim();
+    }
+
+    if (!speaker) {
+      ({ speaker, text } = splitSpeaker(text));
+    }
+
+    segments.push({
+      speaker: speaker || UNKNOWN_SPEAKER,
+      start: timestampToMs(start),
+      end: timestampToMs(end),
+      text,
+    });
+  }
+
+  if (segments.length === 0 && content.trim()) {
+    throw new TranscriptParseError(`No ${format.toUpperCase()} cues found. Each cue needs a "00:00:01${format === 'srt' ? ',' : '.'}000 --> 00:00:04${format === 'srt' ? ',' : '.'}000" timing line`);
+  }
+
+  return segments;
+}
+
+/**
+ * Parse plain "Speaker: text" lines, optionally prefixed with [hh:mm:ss] timestamps.
+ * Lines without a speaker continue the previous segment.
+ * @param {string} content - File content
+ * @returns {Array<Object>} Segments
+ */
+function parseText(content) {
+  const segments = [];
+
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    let line = rawLine.trim();
+    if (!line) continue;
+
+    let start = null;
+    const timestamp = line.match(TEXT_TIMESTAMP);
+    if (timestamp && timestamp[0].trim()) {
+      start = timestampToMs(timestamp[1]);
+      line = line.slice(timestamp[0].length).trim();
+    }
+
+    const { speaker, text } = splitSpeaker(line);
+    const previous = segments[segments.length - 1];
+
+    if (!speaker && previous && start === null) {
+      previous.text = `${previous.text} ${text}`;
+      continue;
+    }
+
+    if (previous && previous.end === null && start !== null) {
+      previous.end = start;
+    }
+
+    segments.push({ speaker: speaker || UNKNOWN_SPEAKER, start, end: null, text });
+  }
+
+  return segments.filter(segment => segment.text);
+}
+
+/**
+ * Parse a Nylas-style JSON transcript ({ transcript: [...] }) or a bare array of segments.
+ * Accepts start/end in milliseconds, or start_time/end_time in seconds.
+ * @param {string|Object|Array} content - JSON string or parsed value
+ * @returns {Array<Object>} Segments
+ */
+function parseJson(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new TranscriptParseError(`Transcript is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const rawSegments = Array.isArray(data) ? data : data?.transcript;
+  if (!Array.isArray(rawSegments)) {
+    throw new TranscriptParseError('JSON transcript must be an array of segments or an object with a "transcript" array');
+  }
+
+  return rawSegments
+    .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+    .map(segment => ({
+      speaker: segment.speaker || UNKNOWN_SPEAKER,
+      start: toMs(segment.start, segment.start_time),
+      end: toMs(segment.end, segment.end_time),
+      text: segment.text.trim(),
+    }));
+}
+
+/**
+ * Pick a timestamp in milliseconds from either field
+ * @param {number} ms - Value already in milliseconds
+ * @param {number} seconds - Value in seconds
+ * @returns {number|null} Milliseconds
+ */
+function toMs(ms, seconds) {
+  if (typeof ms === 'number') return ms;
+  if (typeof seconds === 'number') return Math.round(seconds * 1000);
+  return null;
+}
@@ -0,0 +1,50 @@
+import openaiProvider from './openaiProvider.js';
+import mockProvider from './mockProvider.js';
+import { parseTranscript } from '../transcriptParser.js';
+import { config } from '../../config.js';
+
+/**
+ * Transcription providers turn an audio/video file into speaker-tagged segments.
+ * A provider is an object with a `name` and
+ *   transcribe(buffer, { filename, contentType, language }) => [{ speaker, start, end, text }]
+ * where start/end are in milliseconds. Register new providers here.
+ */
+const providers = {
+  [openaiProvider.name]: openaiProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+export const TRANSCRIPTION_PROVIDERS = Object.keys(providers);
+
+/**
+ * Get a transcription provider
+ * @param {string} [name] - Provider name (defaults to TRANSCRIPTION_PROVIDER)
+ * @returns {Object} Provider
+ */
+export function getTranscriptionProvider(name = config.transcription.provider) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown transcription provider "${name}". Use one of: ${TRANSCRIPTION_PROVIDERS.join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Transcribe a recording into the Nylas transcript format that generateNote expects
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - { filename, contentType, language }
+ * @param {string} [providerName] - Provider to use (defaults to TRANSCRIPTION_PROVIDER)
+ * @returns {Promise<Object>} Transcript ({ object, type, transcript: [...] })
+ */
+export async function transcribeRecording(buffer, options, providerName) {
+  const provider = getTranscriptionProvider(providerName);
+  const segments = await provider.transcribe(buffer, options);
+
+  if (segments.length === 0) {
+    throw new Error(`No speech found in ${options.filename}`);
+  }
+
+  // Same normalization as imported JSON transcripts
+  const { transcript } = parseTranscript(segments, 'json');
+  return { ...transcript, provider: provider.name };
+}
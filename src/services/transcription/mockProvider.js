@@ -0,0 +1,33 @@
+/**
+ * Offline transcription provider for development and tests.
+ * Returns a short, deterministic two-speaker transcript instead of calling an API.
+ */
+const LINES = [
+  'Thanks everyone for joining. This transcript was produced by the mock transcription provider.',
+  'Set TRANSCRIPTION_PROVIDER to openai to transcribe the real audio.',
+  'Action item: replace this placeholder once a provider is configured.',
+];
+
+const mockProvider = {
+  name: 'mock',
+
+  /**
+   * Produce a placeholder transcript
+   * @param {Buffer} buffer - File content
+   * @param {Object} options - File details
+   * @param {string} options.filename - File name
+   * @returns {Promise<Array<{speaker: string, start: number, end: number, text: string}>>} Segments (ms)
+   */
+  async transcribe(buffer, options) {
+    console.log(`🎙️  Mock-transcribing ${options.filename} (${buffer.length} bytes)`);
+
+    return LINES.map((text, index) => ({
+      speaker: `Speaker ${(index % 2) + 1}`,
+      start: index * 5000,
+      end: (index + 1) * 5000,
+      text,
+    }));
+  },
+};
+
+export default mockProvider;
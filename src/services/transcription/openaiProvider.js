@@ -0,0 +1,63 @@
+import OpenAI, { toFile } from 'openai';
+import { config } from '../../config.js';
+
+let openaiClient = null;
+
+/**
+ * Create the OpenAI client on first use so the server starts without a key
+ * @returns {OpenAI} OpenAI client
+ */
+function getClient() {
+  if (!config.openai.apiKey) {
+    throw new Error('OPENAI_API_KEY is required for the openai transcription provider');
+  }
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: config.openai.apiKey });
+  }
+  return openaiClient;
+}
+
+/**
+ * Transcription through the OpenAI audio API.
+ * gpt-4o-transcribe-diarize returns speaker labels; whisper-1 only returns timed
+ * segments, which are all attributed to one speaker.
+ */
+const openaiProvider = {
+  name: 'openai',
+
+  /**
+   * Transcribe an audio or video file
+   * @param {Buffer} buffer - File content
+   * @param {Object} options - File details
+   * @param {string} options.filename - File name (its extension tells OpenAI the format)
+   * @param {string} [options.contentType] - MIME type
+   * @param {string} [options.language] - ISO-639-1 language hint, e.g. en
+   * @returns {Promise<Array<{speaker: string, start: number, end: number, text: string}>>} Segments (ms)
+   */
+  async transcribe(buffer, options) {
+    const client = getClient();
+    const model = config.transcription.model;
+    const diarize = model.includes('diarize');
+    const file = await toFile(buffer, options.filename, { type: options.contentType });
+
+    console.log(`🎙️  Transcribing ${options.filename} with ${model}`);
+
+    const response = await client.audio.transcriptions.create({
+      file,
+      model,
+      ...(options.language ? { language: options.language } : {}),
+      ...(diarize
+        ? { response_format: 'diarized_json', chunking_strategy: 'auto' }
+        : { response_format: 'verbose_json', timestamp_granularities: ['segment'] }),
+    });
+
+    return (response.segments || []).map(segment => ({
+      speaker: diarize ? `Speaker ${segment.speaker}` : 'Speaker 1',
+      start: Math.round(segment.start * 1000),
+      end: Math.round(segment.end * 1000),
+      text: segment.text.trim(),
+    }));
+  },
+};
+
+export default openaiProvider;
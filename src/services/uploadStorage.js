@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+import s3Service from './s3Service.js';
+import { config } from '../config.js';
+
+/**
+ * Storage for uploaded recordings. Files go to S3 when it is configured, otherwise to
+ * a local directory (UPLOAD_DIR) so uploads still work in development.
+ */
+
+/**
+ * Store an uploaded file
+ * @param {string} meetingId - Meeting the file belongs to
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - File details
+ * @param {string} options.filename - Sanitized file name
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<{storage: string, key: string, url: string|null}>} Where the file was stored
+ */
+export async function saveUpload(meetingId, buffer, { filename, contentType }) {
+  const key = `uploads/${meetingId}/${filename}`;
+
+  if (s3Service.enabled) {
+    const url = await s3Service.uploadBuffer(buffer, key, contentType);
+    return { storage: 's3', key, url };
+  }
+
+  const filePath = path.join(config.transcription.localDir, key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  console.log(`💾 Saved upload locally: ${filePath}`);
+  return { storage: 'local', key, url: null };
+}
+
+/**
+ * Read a stored upload back
+ * @param {Object} location - { storage, key } as returned by saveUpload
+ * @returns {Promise<Buffer>} File content
+ */
+export async function readUpload({ storage, key }) {
+  if (storage === 's3') {
+    return s3Service.getBuffer(key);
+  }
+  return fs.readFile(path.join(config.transcription.localDir, key));
+}
+
+/**
+ * Delete every stored upload for a meeting
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<Array<string>>} Keys that were deleted
+ */
+export async function deleteUploads(meetingId) {
+  const prefix = `uploads/${meetingId}/`;
+
+  if (s3Service.enabled) {
+    return s3Service.deletePrefix(prefix);
+  }
+
+  const dir = path.join(config.transcription.localDir, prefix);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+  return files.map(file => `${prefix}${file}`);
+}
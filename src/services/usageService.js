@@ -0,0 +1,149 @@
+import databaseService from './databaseService.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const usageEvents = [];
+
+/**
+ * Billable operations with a monthly quota
+ */
+export const USAGE_METRICS = {
+  BOT_DEPLOYMENTS: 'bot_deployments',
+  NOTE_GENERATIONS: 'note_generations',
+};
+
+// Quota field on config.quotas and tenant.quotas for each metric
+const QUOTA_FIELDS = {
+  [USAGE_METRICS.BOT_DEPLOYMENTS]: 'botDeployments',
+  [USAGE_METRICS.NOTE_GENERATIONS]: 'noteGenerations',
+};
+
+/**
+ * Get the current quota period (the calendar month, in UTC)
+ * @param {Date} [now] - Current time
+ * @returns {{start: string, end: string}} ISO start (inclusive) and end (exclusive)
+ */
+function getCurrentPeriod(now = new Date()) {
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+    end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+  };
+}
+
+/**
+ * Counts bot deployments and LLM note generations per tenant and enforces monthly
+ * quotas. Each use is stored as an event, so counting is a range query and the events
+ * double as an audit trail. Usage without a tenant (admin key, or auth disabled) is
+ * counted in its own bucket with the default quotas.
+ */
+class UsageService {
+  /**
+   * Get a tenant's monthly quota for a metric
+   * @param {Object|null} tenant - Tenant (null = no tenant)
+   * @param {string} metric - USAGE_METRICS value
+   * @returns {number|null} Quota, or null if unlimited
+   */
+  getQuota(tenant, metric) {
+    const field = QUOTA_FIELDS[metric];
+    const quota = tenant?.quotas?.[field] ?? config.quotas[field];
+    return quota > 0 ? quota : null;
+  }
+
+  /**
+   * Count a tenant's uses of a metric since a point in time
+   * @param {string|null} tenantId - Tenant ID (null = no tenant)
+   * @param {string} metric - USAGE_METRICS value
+   * @param {string} since - ISO time
+   * @returns {Promise<number>} Number of uses
+   */
+  async countUsage(tenantId, metric, since) {
+    if (useDatabase) {
+      try {
+        return await databaseService.countUsageEvents(tenantId || null, metric, since);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return usageEvents.filter(event => event.tenantId === (tenantId || null)
+      && event.metric === metric
+      && event.createdAt >= since).length;
+  }
+
+  /**
+   * Check whether a tenant has quota left for one more use this month. Checked before
+   * the work starts and recorded after it succeeds, so concurrent requests can overshoot
+   * a quota slightly; the costly rate limit keeps that small.
+   * @param {Object|null} tenant - Tenant (null = no tenant)
+   * @param {string} metric - USAGE_METRICS value
+   * @returns {Promise<{allowed: boolean, metric: string, used: number, limit: number|null, resetsAt: string}>} Quota status
+   */
+  async checkQuota(tenant, metric) {
+    const period = getCurrentPeriod();
+    const limit = this.getQuota(tenant, metric);
+    const used = await this.countUsage(tenant?.id, metric, period.start);
+
+    return {
+      allowed: limit === null || used < limit,
+      metric,
+      used,
+      limit,
+      resetsAt: period.end,
+    };
+  }
+
+  /**
+   * Record one use of a metric
+   * @param {string|null} tenantId - Tenant ID (null = no tenant)
+   * @param {string} metric - USAGE_METRICS value
+   * @param {Object} [details] - { meetingId }
+   * @returns {Promise<Object>} Usage event
+   */
+  async recordUsage(tenantId, metric, details = {}) {
+    const event = {
+      id: `usage_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      tenantId: tenantId || null,
+      metric,
+      meetingId: details.meetingId || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createUsageEvent(event);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    usageEvents.push(event);
+    return event;
+  }
+
+  /**
+   * Get a tenant's usage for the current month against its quotas
+   * @param {Object|null} tenant - Tenant (null = no tenant)
+   * @returns {Promise<Object>} { period, usage: { botDeployments, noteGenerations } }
+   */
+  async getUsage(tenant) {
+    const period = getCurrentPeriod();
+    const usage = {};
+
+    for (const metric of Object.values(USAGE_METRICS)) {
+      const limit = this.getQuota(tenant, metric);
+      const used = await this.countUsage(tenant?.id, metric, period.start);
+      usage[QUOTA_FIELDS[metric]] = {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+      };
+    }
+
+    return { period, usage };
+  }
+}
+
+export default new UsageService();
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import databaseService from './databaseService.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const events = new Map();
+
+/**
+ * Derive the processing status of a stored event
+ * @param {Object} event - Webhook event
+ * @returns {string} pending, processed or failed
+ */
+function getEventStatus(event) {
+  if (event.error) return 'failed';
+  if (event.processedAt) return 'processed';
+  return 'pending';
+}
+
+class WebhookEventService {
+  /**
+   * Persist an incoming webhook event before it is acknowledged.
+   * Unlike meeting writes, this does not fall back to memory when the database
+   * is configured but failing: the caller should reject the webhook so Nylas retries.
+   * A redelivery of an event that is stored but was never processed successfully (the
+   * process stopped after acknowledging it, or a handler failed) is not a duplicate: it
+   * returns the stored event so it is processed again.
+   * @param {Object} payload - Parsed webhook payload
+   * @param {Buffer} rawBody - Raw request body (used to derive an ID if Nylas sent none)
+   * @returns {Promise<{event: Object, duplicate: boolean, redelivered: boolean}>} Stored event, whether it
+   *   was already processed, and whether it had been recorded before
+   */
+  async recordEvent(payload, rawBody) {
+    const eventId = payload.id ||
+      `evt_${crypto.createHash('sha256').update(rawBody || JSON.stringify(payload)).digest('hex').slice(0, 32)}`;
+
+    const event = {
+      id: eventId,
+      type: payload.type || 'unknown',
+      payload,
+      receivedAt: new Date().toISOString(),
+      processedAt: null,
+      error: null,
+      attempts: 0,
+    };
+
+    if (useDatabase) {
+      const created = await databaseService.createWebhookEvent(event);
+      if (created) {
+        return { event: created, duplicate: false, redelivered: false };
+      }
+      const existing = await databaseService.getWebhookEvent(eventId);
+      return { event: existing || event, duplicate: Boolean(existing?.processedAt), redelivered: true };
+    }
+
+    if (events.has(eventId)) {
+      const existing = events.get(eventId);
+      return { event: existing, duplicate: Boolean(existing.processedAt), redelivered: true };
+    }
+
+    events.set(eventId, event);
+    return { event, duplicate: false, redelivered: false };
+  }
+
+  /**
+   * Get webhook event by ID
+   * @param {string} eventId - Nylas event ID
+   * @returns {Promise<Object|null>} Webhook event or null
+   */
+  async getEvent(eventId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getWebhookEvent(eventId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+        return events.get(eventId) || null;
+      }
+    }
+    return events.get(eventId) || null;
+  }
+
+  /**
+   * List webhook events, oldest first
+   * @param {Object} options - Filters
+   * @param {string} [options.status] - pending, processed or failed
+   * @param {string} [options.from] - ISO timestamp, inclusive lower bound on receivedAt
+   * @param {string} [options.to] - ISO timestamp, inclusive upper bound on receivedAt
+   * @param {number} [options.limit] - Maximum number of events
+   * @returns {Promise<Array>} Array of webhook events
+   */
+  async listEvents(options = {}) {
+    if (useDatabase) {
+      try {
+        return await databaseService.listWebhookEvents(options);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const from = options.from ? new Date(options.from).getTime() : null;
+    const to = options.to ? new Date(options.to).getTime() : null;
+
+    const filtered = Array.from(events.values())
+      .filter(event => !options.status || getEventStatus(event) === options.status)
+      .filter(event => from === null || new Date(event.receivedAt).getTime() >= from)
+      .filter(event => to === null || new Date(event.receivedAt).getTime() <= to)
+      .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+    return options.limit ? filtered.slice(0, options.limit) : filtered;
+  }
+
+  /**
+   * Record a processing attempt result
+   * @param {Object} event - Webhook event
+   * @param {Error|null} error - Error thrown while processing, or null on success
+   * @returns {Promise<Object|null>} Updated webhook event
+   */
+  async recordAttempt(event, error = null) {
+    const updates = {
+      attempts: (event.attempts || 0) + 1,
+      error: error ? error.message || String(error) : null,
+      ...(error ? {} : { processedAt: new Date().toISOString() }),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.updateWebhookEvent(event.id, updates);
+      } catch (dbError) {
+        console.error('Database error, falling back to in-memory:', dbError);
+      }
+    }
+
+    const stored = events.get(event.id) || event;
+    const updated = { ...stored, ...updates };
+    events.set(event.id, updated);
+    return updated;
+  }
+
+  /**
+   * Get the processing status of an event
+   * @param {Object} event - Webhook event
+   * @returns {string} pending, processed or failed
+   */
+  getStatus(event) {
+    return getEventStatus(event);
+  }
+}
+
+export default new WebhookEventService();
@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import databaseService from './databaseService.js';
+import jobService, { JOB_TYPES } from './jobService.js';
+import meetingService from './meetingService.js';
+import meetingEventService from './meetingEventService.js';
+import { config } from '../config.js';
+
+// Check if database is configured, fallback to in-memory if not
+const useDatabase = process.env.SUPABASE_URL && (process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+// Fallback in-memory storage (for development/testing without database)
+const subscriptions = new Map();
+const deliveries = new Map();
+
+export const WEBHOOK_EVENT_TYPES = [
+  'meeting.scheduled',
+  'meeting.joining',
+  'meeting.recording',
+  'meeting.processing',
+  'meeting.completed',
+  'meeting.failed',
+  'meeting.cancelled',
+  'note.generated',
+  'note.regenerated',
+];
+
+// Keep delivery logs small; receivers' error pages can be large
+const MAX_RESPONSE_BODY = 1000;
+
+/**
+ * Outbound webhooks: subscriptions, signed deliveries and the delivery log.
+ * Deliveries are sent by the `deliver-webhook` background job, so failed
+ * deliveries are retried with the job queue's backoff.
+ */
+class WebhookSubscriptionService {
+  /**
+   * Create a subscription
+   * @param {Object} data - { url, eventTypes, description?, secret? }
+   * @returns {Promise<Object>} Created subscription (including its secret)
+   */
+  async createSubscription(data) {
+    const subscription = {
+      id: `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url: data.url,
+      eventTypes: data.eventTypes,
+      secret: data.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      description: data.description || null,
+      active: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createWebhookSubscription(subscription);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  /**
+   * Get subscription by ID
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} Subscription or null
+   */
+  async getSubscription(subscriptionId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getWebhookSubscription(subscriptionId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return subscriptions.get(subscriptionId) || null;
+  }
+
+  /**
+   * List subscriptions
+   * @param {Object} options - Filters
+   * @param {string} [options.eventType] - Only active subscriptions for this event type
+   * @returns {Promise<Array>} Subscriptions, oldest first
+   */
+  async listSubscriptions(options = {}) {
+    if (useDatabase) {
+      try {
+        return await databaseService.listWebhookSubscriptions(options);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    return Array.from(subscriptions.values())
+      .filter(sub => !options.eventType || (sub.active && sub.eventTypes.includes(options.eventType)))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Update a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} updates - { url, eventTypes, description, active }
+   * @returns {Promise<Object|null>} Updated subscription or null
+   */
+  async updateSubscription(subscriptionId, updates) {
+    if (useDatabase) {
+      try {
+        return await databaseService.updateWebhookSubscription(subscriptionId, updates);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const subscription = subscriptions.get(subscriptionId);
+    if (!subscription) return null;
+
+    const updated = { ...subscription, ...updates, updatedAt: new Date().toISOString() };
+    subscriptions.set(subscriptionId, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async deleteSubscription(subscriptionId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.deleteWebhookSubscription(subscriptionId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    for (const delivery of deliveries.values()) {
+      if (delivery.subscriptionId === subscriptionId) deliveries.delete(delivery.id);
+    }
+    return subscriptions.delete(subscriptionId);
+  }
+
+  /**
+   * Get delivery by ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery or null
+   */
+  async getDelivery(deliveryId) {
+    if (useDatabase) {
+      try {
+        return await databaseService.getWebhookDelivery(deliveryId);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+    return deliveries.get(deliveryId) || null;
+  }
+
+  /**
+   * List deliveries for a subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Filters (status, limit)
+   * @returns {Promise<Array>} Deliveries, newest first
+   */
+  async listDeliveries(subscriptionId, options = {}) {
+    if (useDatabase) {
+      try {
+        return await databaseService.listWebhookDeliveries(subscriptionId, options);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const filtered = Array.from(deliveries.values())
+      .filter(delivery => delivery.subscriptionId === subscriptionId)
+      .filter(delivery => !options.status || delivery.status === options.status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return options.limit ? filtered.slice(0, options.limit) : filtered;
+  }
+
+  /**
+   * Update a delivery
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated delivery or null
+   */
+  async updateDelivery(deliveryId, updates) {
+    if (useDatabase) {
+      try {
+        return await databaseService.updateWebhookDelivery(deliveryId, updates);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    const delivery = deliveries.get(deliveryId);
+    if (!delivery) return null;
+
+    const updated = { ...delivery, ...updates, updatedAt: new Date().toISOString() };
+    deliveries.set(deliveryId, updated);
+    return updated;
+  }
+
+  /**
+   * Record a delivery of an event to a subscription
+   * @param {Object} subscription - Subscription
+   * @param {Object} event - { id, type, createdAt, data }
+   * @returns {Promise<Object>} Created delivery
+   */
+  async createDelivery(subscription, event) {
+    const delivery = {
+      id: `dlv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      responseBody: null,
+      lastError: null,
+      deliveredAt: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (useDatabase) {
+      try {
+        return await databaseService.createWebhookDelivery(delivery);
+      } catch (error) {
+        console.error('Database error, falling back to in-memory:', error);
+      }
+    }
+
+    deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  /**
+   * Queue an event for every active subscription that wants it
+   * @param {string} type - Event type, e.g. meeting.completed
+   * @param {Object} data - Event data
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async dispatch(type, data) {
+    const matching = await this.listSubscriptions({ eventType: type });
+    if (matching.length === 0) return [];
+
+    const event = {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    const created = [];
+    for (const subscription of matching) {
+      const delivery = await this.createDelivery(subscription, event);
+      await jobService.enqueue(JOB_TYPES.DELIVER_WEBHOOK, { deliveryId: delivery.id }, {
+        maxAttempts: config.outboundWebhooks.maxAttempts,
+      });
+      created.push(delivery);
+    }
+
+    console.log(`📤 Queued ${type} for ${created.length} subscription(s)`);
+    return created;
+  }
+
+  /**
+   * Sign a payload for a subscription
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - JSON body
+   * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a delivery to its subscription once and record the outcome
+   * @param {Object} delivery - Delivery
+   * @param {Object} subscription - Subscription
+   * @returns {Promise<Object>} Updated delivery
+   * @throws {Error} If the receiver did not answer with a 2xx status
+   */
+  async send(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = (delivery.attempts || 0) + 1;
+
+    let response;
+    try {
+      response = await axios.post(subscription.url, body, {
+        timeout: config.outboundWebhooks.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'meeting-note-taker-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`,
+        },
+        // Redirects could forward the signed payload somewhere else
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      // Network error or timeout
+      await this.updateDelivery(delivery.id, { attempts, responseStatus: null, lastError: error.message });
+      throw new Error(`Delivery to ${subscription.url} failed: ${error.message}`);
+    }
+
+    const responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+    const succeeded = response.status >= 200 && response.status < 300;
+
+    const updated = await this.updateDelivery(delivery.id, {
+      status: succeeded ? 'succeeded' : delivery.status,
+      attempts,
+      responseStatus: response.status,
+      responseBody: responseBody.slice(0, MAX_RESPONSE_BODY),
+      lastError: succeeded ? null : `HTTP ${response.status}`,
+      deliveredAt: succeeded ? new Date().toISOString() : null,
+    });
+
+    if (!succeeded) {
+      throw new Error(`Delivery to ${subscription.url} failed: HTTP ${response.status}`);
+    }
+
+    console.log(`   ✅ Delivered ${delivery.eventType} to ${subscription.url}`);
+    return updated;
+  }
+
+  /**
+   * Forward meeting status and note events from the live event bus to subscribers
+   */
+  listen() {
+    meetingEventService.subscribe({}, (event) => {
+      const type = toWebhookEventType(event);
+      if (!type) return;
+
+      this.dispatchMeetingEvent(type, event).catch((error) => {
+        console.error(`❌ Error dispatching outbound ${type} webhook:`, error);
+      });
+    });
+  }
+
+  /**
+   * Build the webhook payload for a meeting event and dispatch it
+   * @param {string} type - Outbound event type
+   * @param {Object} event - Event from meetingEventService
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async dispatchMeetingEvent(type, event) {
+    const meeting = await meetingService.getMeeting(event.meetingId);
+    if (!meeting) return [];
+
+    return this.dispatch(type, {
+      meeting: {
+        id: meeting.id,
+        title: meeting.title,
+        tags: meeting.tags,
+        metadata: meeting.metadata,
+        meetingUrl: meeting.meetingUrl,
+        platform: meeting.platform,
+        grantId: meeting.grantId,
+        status: meeting.status,
+        failureReason: meeting.failureReason,
+        joinTime: meeting.joinTime,
+        createdAt: meeting.createdAt,
+        updatedAt: meeting.updatedAt,
+      },
+      ...(event.type === 'status' ? { previousStatus: event.data.previousStatus } : {}),
+      ...(event.type === 'note' ? { note: meeting.note } : {}),
+    });
+  }
+}
+
+/**
+ * Map a live meeting event to an outbound webhook event type
+ * @param {Object} event - Event from meetingEventService
+ * @returns {string|null} Outbound event type, or null if it is not sent
+ */
+function toWebhookEventType(event) {
+  if (event.type === 'status') {
+    const type = `meeting.${event.data.status}`;
+    return WEBHOOK_EVENT_TYPES.includes(type) ? type : null;
+  }
+  if (event.type === 'note') {
+    return event.data.regenerated ? 'note.regenerated' : 'note.generated';
+  }
+  return null;
+}
+
+export default new WebhookSubscriptionService();
@@ -0,0 +1,94 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { authenticateApiKey, requireAdmin } from '../src/middleware/authenticate.js';
+import tenantService from '../src/services/tenantService.js';
+
+const { auth, server } = config;
+const original = { auth: { ...auth }, env: server.env };
+
+afterEach(() => {
+  Object.assign(auth, original.auth);
+  server.env = original.env;
+});
+
+/**
+ * Run a middleware on a request with the given headers
+ * @param {Function} middleware - authenticateApiKey or requireAdmin
+ * @param {Object} headers - Lowercase header names
+ * @param {Object} [options] - { path, query }
+ * @returns {Promise<{req: Object, passed: boolean, status: number|undefined}>} Request and outcome
+ */
+async function run(middleware, headers, { path = '/api/meetings', query = {} } = {}) {
+  const result = { passed: false, status: undefined };
+  const req = { path, query, get: name => headers[name.toLowerCase()] };
+  const res = {
+    set() { return this; },
+    status(code) { result.status = code; return this; },
+    json() { return this; },
+  };
+  await middleware(req, res, () => { result.passed = true; });
+  return { req, ...result };
+}
+
+test('a tenant key authenticates as its tenant', async () => {
+  Object.assign(auth, { disabled: false, adminKey: 'admin-secret' });
+  const tenant = await tenantService.createTenant({ name: 'Acme', grantIds: ['grant_acme'] });
+  const { key } = await tenantService.createApiKey(tenant.id);
+
+  const { req, passed } = await run(authenticateApiKey, { authorization: `Bearer ${key}` });
+
+  assert.ok(passed);
+  assert.equal(req.tenant.id, tenant.id);
+  assert.ok(!req.isAdmin);
+});
+
+test('unknown and revoked keys are rejected', async () => {
+  Object.assign(auth, { disabled: false, adminKey: 'admin-secret' });
+  const tenant = await tenantService.createTenant({ name: 'Globex' });
+  const { apiKey, key } = await tenantService.createApiKey(tenant.id);
+  await tenantService.revokeApiKey(tenant.id, apiKey.id);
+
+  assert.equal((await run(authenticateApiKey, { 'x-api-key': key })).status, 401);
+  assert.equal((await run(authenticateApiKey, { 'x-api-key': 'nope' })).status, 401);
+  assert.equal((await run(authenticateApiKey, {})).status, 401);
+});
+
+test('only event streams take the key from the query string', async () => {
+  Object.assign(auth, { disabled: false, adminKey: 'admin-secret' });
+
+  assert.equal((await run(authenticateApiKey, {}, { query: { apiKey: 'admin-secret' } })).status, 401);
+  assert.ok((await run(authenticateApiKey, {}, { path: '/api/meetings/m1/events', query: { apiKey: 'admin-secret' } })).passed);
+});
+
+test('the admin key sees everything and is the only key for admin routes', async () => {
+  Object.assign(auth, { disabled: false, adminKey: 'admin-secret' });
+  const tenant = await tenantService.createTenant({ name: 'Initech' });
+  const { key } = await tenantService.createApiKey(tenant.id);
+
+  const admin = await run(authenticateApiKey, { authorization: 'Bearer admin-secret' });
+  assert.ok(admin.passed);
+  assert.equal(admin.req.tenant, null);
+  assert.ok(admin.req.isAdmin);
+
+  assert.ok((await run(requireAdmin, { authorization: 'Bearer admin-secret' })).passed);
+  assert.equal((await run(requireAdmin, { authorization: `Bearer ${key}` })).status, 401);
+  assert.equal((await run(requireAdmin, { authorization: 'Bearer admin-secre' })).status, 401);
+});
+
+test('admin routes are closed when no admin key is configured', async () => {
+  Object.assign(auth, { disabled: false, adminKey: undefined });
+
+  assert.equal((await run(requireAdmin, { authorization: 'Bearer anything' })).status, 401);
+});
+
+test('API_AUTH_DISABLED only works outside production', async () => {
+  Object.assign(auth, { disabled: true, adminKey: 'admin-secret' });
+
+  server.env = 'development';
+  assert.ok((await run(authenticateApiKey, {})).passed);
+
+  server.env = 'production';
+  assert.equal((await run(authenticateApiKey, {})).status, 401);
+  assert.equal((await run(requireAdmin, {})).status, 401);
+});
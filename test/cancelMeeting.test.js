@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cancelMeeting } from '../src/controllers/meetingController.js';
+import { ConflictError } from '../src/errors.js';
+import meetingService from '../src/services/meetingService.js';
+
+/**
+ * Call the cancel handler and return what it passed to next()
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise<{error: Error|undefined, body: Object|undefined}>} Result
+ */
+async function cancel(meetingId) {
+  let body;
+  let error;
+  const res = { json: value => { body = value; } };
+  await cancelMeeting({ params: { meetingId } }, res, value => { error = value; });
+  return { error, body };
+}
+
+test('cancels a meeting whose bot has not started joining', async () => {
+  const meeting = await meetingService.createMeeting(null, null, { source: 'import' });
+
+  const { error, body } = await cancel(meeting.id);
+
+  assert.equal(error, undefined);
+  assert.equal(body.meeting.status, 'cancelled');
+});
+
+test('refuses to cancel a bot that is already joining', async () => {
+  const meeting = await meetingService.createMeeting(null, null, { source: 'import' });
+  await meetingService.transitionStatus(meeting.id, 'joining');
+
+  const { error } = await cancel(meeting.id);
+
+  assert.ok(error instanceof ConflictError);
+  assert.match(error.message, /\/leave/);
+  assert.equal((await meetingService.getMeeting(meeting.id)).status, 'joining');
+});
@@ -0,0 +1,31 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { listConfiguredLlmProviders, resolveLlmProvider } from '../src/services/llm/index.js';
+
+const { llm } = config;
+const original = { ...llm };
+
+afterEach(() => {
+  Object.assign(llm, original);
+});
+
+test('the fake provider is off unless LLM_PROVIDER or LLM_FAKE_ENABLED selects it', () => {
+  Object.assign(llm, { provider: 'openai', fakeEnabled: false });
+
+  assert.ok(!listConfiguredLlmProviders().includes('fake'));
+  assert.notEqual(resolveLlmProvider('fake')?.name, 'fake');
+});
+
+test('LLM_PROVIDER=fake makes the fake provider the default', () => {
+  Object.assign(llm, { provider: 'fake', fakeEnabled: false });
+
+  assert.equal(resolveLlmProvider(null).name, 'fake');
+});
+
+test('LLM_FAKE_ENABLED lets requests select the fake provider', () => {
+  Object.assign(llm, { provider: 'openai', fakeEnabled: true });
+
+  assert.ok(listConfiguredLlmProviders().includes('fake'));
+  assert.equal(resolveLlmProvider('fake').name, 'fake');
+});
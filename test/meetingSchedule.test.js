@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimezone, parseJoinTime, toUnixSeconds } from '../src/services/meetingSchedule.js';
+
+const iso = (joinTime, timezone) => parseJoinTime(joinTime, timezone)?.toISOString() ?? null;
+
+test('reads Unix seconds and ISO strings with an offset as they are', () => {
+  assert.equal(iso(1704099600), '2024-01-01T09:00:00.000Z');
+  assert.equal(iso('1704099600'), '2024-01-01T09:00:00.000Z');
+  assert.equal(iso('2024-01-01T10:00:00+01:00', 'America/New_York'), '2024-01-01T09:00:00.000Z');
+  assert.equal(toUnixSeconds('2024-01-01T09:00:00.999Z'), 1704099600);
+});
+
+test('reads wall-clock times in the given timezone, or UTC without one', () => {
+  assert.equal(iso('2024-01-01T09:00'), '2024-01-01T09:00:00.000Z');
+  assert.equal(iso('2024-07-01 09:00', 'Europe/Berlin'), '2024-07-01T07:00:00.000Z');
+  assert.equal(iso('2024-01-01T09:00', 'Europe/Berlin'), '2024-01-01T08:00:00.000Z');
+});
+
+test('uses the offset in effect on the day, across DST changes', () => {
+  // New York moves to EDT on 2024-03-10
+  assert.equal(iso('2024-03-09T09:00', 'America/New_York'), '2024-03-09T14:00:00.000Z');
+  assert.equal(iso('2024-03-10T09:00', 'America/New_York'), '2024-03-10T13:00:00.000Z');
+
+  // Berlin moves to CEST at 02:00 on 2024-03-31 and back at 03:00 on 2024-10-27
+  assert.equal(iso('2024-03-31T01:30', 'Europe/Berlin'), '2024-03-31T00:30:00.000Z');
+  assert.equal(iso('2024-03-31T03:30', 'Europe/Berlin'), '2024-03-31T01:30:00.000Z');
+  assert.equal(iso('2024-10-27T03:30', 'Europe/Berlin'), '2024-10-27T02:30:00.000Z');
+});
+
+test('moves a time skipped by DST forward and picks one of a repeated hour', () => {
+  assert.equal(iso('2024-03-31T02:30', 'Europe/Berlin'), '2024-03-31T01:30:00.000Z');
+  assert.ok(['2024-10-27T00:30:00.000Z', '2024-10-27T01:30:00.000Z'].includes(iso('2024-10-27T02:30', 'Europe/Berlin')));
+});
+
+test('rejects what it cannot parse', () => {
+  for (const joinTime of [undefined, '', 'tomorrow', '2024-01-01T25:00Z', NaN]) {
+    assert.equal(parseJoinTime(joinTime), null, String(joinTime));
+  }
+});
+
+test('only accepts IANA timezones', () => {
+  assert.ok(isValidTimezone('Europe/Berlin'));
+  assert.ok(!isValidTimezone('Mars/Olympus'));
+  assert.ok(!isValidTimezone(''));
+  assert.ok(!isValidTimezone(undefined));
+});
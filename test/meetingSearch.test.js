@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findHits, meetingMatches, parseSearchQuery } from '../src/services/meetingSearch.js';
+import meetingService from '../src/services/meetingService.js';
+
+const meeting = {
+  transcript: {
+    type: 'test',
+    transcript: [
+      { speaker: 'Ann', start: 0, end: 4000, text: 'We should revisit pricing for Q3' },
+      { speaker: 'Bob', start: 4000, end: 8000, text: 'Agreed, Monday works' },
+    ],
+  },
+  note: {
+    summary: 'Pricing review',
+    keyPoints: ['Prices go up in July'],
+    decisions: [{ decision: 'Keep the Basic plan', context: 'Churn risk in enterprise' }],
+    actionItems: [{ item: 'Draft the price sheet', assignee: 'Carol' }],
+    topics: [{ topic: 'Hiring' }],
+  },
+};
+
+test('finds words by stem and reports where each hit is', () => {
+  const hits = findHits(meeting, parseSearchQuery('price'));
+
+  assert.deepEqual(hits.map(hit => hit.field), ['transcript', 'summary', 'keyPoints', 'actionItems']);
+  assert.equal(hits[0].speaker, 'Ann');
+  assert.equal(hits[0].start, 0);
+  assert.match(hits[0].snippet, /<mark>pricing<\/mark>/);
+});
+
+test('excluded words rule a meeting out', () => {
+  assert.ok(meetingMatches(meeting, parseSearchQuery('pricing Monday')));
+  assert.ok(!meetingMatches(meeting, parseSearchQuery('pricing -monday')));
+});
+
+test('only searches the fields that can be highlighted', () => {
+  // Speakers, decision context and other template fields are not searched
+  for (const query of ['Carol', 'churn', 'hiring']) {
+    assert.ok(!meetingMatches(meeting, parseSearchQuery(query)), query);
+    assert.deepEqual(findHits(meeting, parseSearchQuery(query)), [], query);
+  }
+});
+
+test('leaves out matches with nothing to highlight', async () => {
+  const created = await meetingService.createMeeting(null, null, { source: 'import' });
+  await meetingService.setTranscript(created.id, {
+    type: 'test',
+    transcript: [
+      { speaker: 'Ann', start: 0, end: 4000, text: 'Ship it on Monday' },
+      { speaker: 'Bob', start: 4000, end: 8000, text: 'Zebra crossing is closed' },
+    ],
+  });
+
+  // The phrase only appears across two segments
+  const results = await meetingService.searchMeetings('"monday zebra"');
+  assert.ok(!results.some(result => result.meeting.id === created.id));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canTransition, isTerminal, MEETING_STATUSES } from '../src/services/meetingStateMachine.js';
+import meetingService from '../src/services/meetingService.js';
+
+test('allows the lifecycle in order', () => {
+  const path = ['pending', 'scheduled', 'joining', 'recording', 'processing', 'completed'];
+  for (let i = 1; i < path.length; i++) {
+    assert.ok(canTransition(path[i - 1], path[i]), `${path[i - 1]} -> ${path[i]}`);
+  }
+});
+
+test('rejects moving backwards', () => {
+  assert.ok(!canTransition('recording', 'joining'));
+  assert.ok(!canTransition('processing', 'recording'));
+  assert.ok(!canTransition('joining', 'scheduled'));
+});
+
+test('only cancels before the bot is in the meeting', () => {
+  assert.ok(canTransition('scheduled', 'cancelled'));
+  assert.ok(canTransition('joining', 'cancelled'));
+  assert.ok(!canTransition('recording', 'cancelled'));
+});
+
+test('terminal statuses go nowhere, but repeating the current status is allowed', () => {
+  for (const status of ['completed', 'failed', 'cancelled']) {
+    assert.ok(isTerminal(status));
+    for (const to of MEETING_STATUSES.filter(other => other !== status)) {
+      assert.ok(!canTransition(status, to), `${status} -> ${to}`);
+    }
+    assert.ok(canTransition(status, status));
+  }
+});
+
+test('rejects unknown statuses', () => {
+  assert.ok(!canTransition('pending', 'connecting'));
+});
+
+test('a transition that loses a race is ignored instead of overwriting the other', async () => {
+  const meeting = await meetingService.createMeeting(null, null, { source: 'import' });
+  await meetingService.transitionStatus(meeting.id, 'processing');
+
+  // Both are legal from processing, but failed must not overwrite completed
+  const results = await Promise.all([
+    meetingService.transitionStatus(meeting.id, 'completed'),
+    meetingService.transitionStatus(meeting.id, 'failed', { reason: 'late' }),
+  ]);
+
+  assert.deepEqual(results.map(result => result.applied), [true, false]);
+  assert.equal((await meetingService.getMeeting(meeting.id)).status, 'completed');
+
+  const timeline = await meetingService.getTimeline(meeting.id);
+  assert.ok(timeline.some(entry => entry.type === 'ignored_transition' && entry.status === 'failed'));
+});
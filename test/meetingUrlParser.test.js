@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMeetingUrl, InvalidMeetingUrlError } from '../src/services/meetingUrlParser.js';
+
+test('normalizes Google Meet links', () => {
+  for (const input of ['meet.google.com/abc-defg-hij', 'https://meet.google.com/ABCDEFGHIJ?authuser=0', ' https://www.meet.google.com/abc-defg-hij ']) {
+    assert.deepEqual(parseMeetingUrl(input), {
+      platform: 'google_meet',
+      url: 'https://meet.google.com/abc-defg-hij',
+      meetingCode: 'abc-defg-hij',
+      passcode: null,
+    }, input);
+  }
+});
+
+test('normalizes Zoom join links and keeps vanity hosts and passcodes', () => {
+  assert.equal(parseMeetingUrl('https://zoom.us/wc/join/1234567890').url, 'https://zoom.us/j/1234567890');
+  assert.deepEqual(parseMeetingUrl('https://acme.zoom.us/j/98765432101?pwd=a%2Bb&from=addon'), {
+    platform: 'zoom',
+    url: 'https://acme.zoom.us/j/98765432101?pwd=a%2Bb',
+    meetingCode: '98765432101',
+    passcode: 'a+b',
+  });
+  assert.equal(parseMeetingUrl('zoom.us/my/Jane.Doe').url, 'https://zoom.us/my/jane.doe');
+});
+
+test('normalizes Teams links', () => {
+  const thread = '19:meeting_abc123@thread.v2';
+  const parsed = parseMeetingUrl(`https://teams.microsoft.com/l/meetup-join/${encodeURIComponent(thread)}/0?context=%7B%7D`);
+
+  assert.equal(parsed.platform, 'teams');
+  assert.equal(parsed.meetingCode, thread);
+  assert.equal(parsed.url, `https://teams.microsoft.com/l/meetup-join/${encodeURIComponent(thread)}/0?context=%7B%7D`);
+  assert.equal(parseMeetingUrl('https://teams.live.com/meet/1234567890123?p=secret').passcode, 'secret');
+});
+
+test('rejects links that cannot be joined', () => {
+  for (const input of [
+    '',
+    'ftp://meet.google.com/abc-defg-hij',
+    'https://meet.google.com/',
+    'https://meet.google.com/not-a-code',
+    'https://zoom.us/s/1234567890',
+    'https://zoom.us/j/123',
+    'https://teams.microsoft.com/l/chat/0/0',
+    'https://example.com/meeting',
+  ]) {
+    assert.throws(() => parseMeetingUrl(input), InvalidMeetingUrlError, input);
+  }
+});
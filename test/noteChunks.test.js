@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkTranscript, mergeChunkNotes } from '../src/services/noteChunks.js';
+import { getBuiltInTemplate } from '../src/services/noteTemplates.js';
+
+const schema = getBuiltInTemplate('general').outputSchema;
+
+test('merges an entry repeated by the next chunk', () => {
+  const merged = mergeChunkNotes([
+    { actionItems: [{ item: 'Send pricing deck to Acme by Friday', assignee: 'Ann', dueDate: null }] },
+    { actionItems: [{ item: 'Send the pricing deck to Acme by Friday', assignee: 'Ann', dueDate: 'Friday' }] },
+  ], schema);
+
+  assert.equal(merged.actionItems.length, 1);
+  assert.equal(merged.actionItems[0].dueDate, 'Friday');
+});
+
+test('keeps action items for different customers apart', () => {
+  const merged = mergeChunkNotes([
+    { actionItems: [{ item: 'Send pricing deck to Acme by Friday', assignee: 'Ann' }] },
+    { actionItems: [{ item: 'Send pricing deck to Globex by Friday', assignee: 'Ann' }] },
+  ], schema);
+
+  assert.deepEqual(merged.actionItems.map(item => item.item), [
+    'Send pricing deck to Acme by Friday',
+    'Send pricing deck to Globex by Friday',
+  ]);
+});
+
+test('keeps decisions about different plans apart', () => {
+  const merged = mergeChunkNotes([
+    { decisions: [{ decision: 'Raise price of Basic plan by 10%' }] },
+    { decisions: [{ decision: 'Raise price of Pro plan by 10%' }] },
+  ], schema);
+
+  assert.equal(merged.decisions.length, 2);
+});
+
+test('keeps entries with different numbers apart', () => {
+  const merged = mergeChunkNotes([
+    { keyPoints: ['Step 1 of the migration is done'] },
+    { keyPoints: ['Step 2 of the migration is done'] },
+  ], schema);
+
+  assert.deepEqual(merged.keyPoints, ['Step 1 of the migration is done', 'Step 2 of the migration is done']);
+});
+
+test('never merges entries of the same chunk', () => {
+  const merged = mergeChunkNotes([
+    { keyPoints: ['Follow up with the design team', 'Follow up with the design team next week'] },
+  ], schema);
+
+  assert.equal(merged.keyPoints.length, 2);
+});
+
+test('only merges with the previous chunk', () => {
+  const merged = mergeChunkNotes([
+    { keyPoints: ['Hiring plan needs another review'] },
+    { keyPoints: ['Budget is approved'] },
+    { keyPoints: ['Hiring plan needs another review'] },
+  ], schema);
+
+  assert.equal(merged.keyPoints.length, 3);
+});
+
+test('rejects chunk settings that would never advance', () => {
+  const segments = [{ speaker: 'Ann', start: 0, end: 5000, text: 'Hello' }];
+
+  assert.throws(() => chunkTranscript(segments, { chunkMs: 0, overlapMs: 0, maxChars: 500 }), RangeError);
+  assert.throws(() => chunkTranscript(segments, { chunkMs: 60000, overlapMs: 0, maxChars: 0 }), RangeError);
+});
+
+test('merges an action item repeated for the same person in any later chunk', () => {
+  const merged = mergeChunkNotes([
+    { actionItems: [{ item: 'Book the venue for the offsite', assignee: 'Ann' }], keyPoints: ['Offsite is in June'] },
+    { actionItems: [{ item: 'Draft the agenda', assignee: 'Bob' }] },
+    { actionItems: [] },
+    {
+      actionItems: [
+        { item: 'Book the venue for the offsite', assignee: 'Ann', dueDate: 'Friday' },
+        { item: 'Book the venue for the offsite', assignee: 'Bob' },
+      ],
+      keyPoints: ['Offsite is in June'],
+    },
+  ], schema);
+
+  assert.deepEqual(merged.actionItems.map(item => [item.item, item.assignee, item.dueDate ?? null]), [
+    ['Book the venue for the offsite', 'Ann', 'Friday'],
+    ['Draft the agenda', 'Bob', null],
+    ['Book the venue for the offsite', 'Bob', null],
+  ]);
+  // Other lists still only merge with the previous chunk
+  assert.equal(merged.keyPoints.length, 2);
+});
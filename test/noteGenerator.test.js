@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Notes are written by the offline fake provider; transcripts over 500 characters are
+// summarized in one-minute chunks that repeat the last 30 seconds of the previous one
+process.env.LLM_PROVIDER = 'fake';
+process.env.NOTE_MAX_TRANSCRIPT_CHARS = '500';
+process.env.NOTE_CHUNK_MINUTES = '1';
+process.env.NOTE_CHUNK_OVERLAP_SECONDS = '30';
+
+const { generateNote, isLlmNote } = await import('../src/services/noteGenerator.js');
+const { getBuiltInTemplate } = await import('../src/services/noteTemplates.js');
+
+/**
+ * Build a transcript with a line every 30 seconds
+ * @param {Array<string>} lines - Text of each line
+ * @returns {Object} Transcript
+ */
+function transcriptOf(lines) {
+  return {
+    type: 'test',
+    transcript: lines.map((text, index) => ({
+      speaker: index % 2 === 0 ? 'Ann' : 'Bob',
+      start: index * 30000,
+      end: index * 30000 + 25000,
+      text,
+    })),
+  };
+}
+
+const shortTranscript = transcriptOf(['We agreed to ship the beta on Monday', 'Ann will write the release notes']);
+
+test('uses the default template when none is selected', async () => {
+  const note = await generateNote(shortTranscript);
+
+  assert.equal(note.generatedBy, 'fake');
+  assert.equal(note.template, 'general');
+  assert.deepEqual(note.keyPoints, ['We agreed to ship the beta on Monday', 'Ann will write the release notes']);
+  assert.equal(note.chunks, undefined);
+});
+
+test('writes the fields of the selected template', async () => {
+  const template = getBuiltInTemplate('standup');
+  const note = await generateNote(shortTranscript, { template });
+
+  assert.equal(note.template, 'standup');
+  for (const field of Object.keys(template.outputSchema.properties)) {
+    assert.ok(field in note, `note has ${field}`);
+  }
+  assert.ok(!('keyPoints' in note));
+});
+
+test('records the template on basic notes', async () => {
+  const note = await generateNote(shortTranscript, { useLlm: false, template: getBuiltInTemplate('sales') });
+
+  assert.equal(note.generatedBy, 'basic');
+  assert.equal(note.template, 'sales');
+});
+
+test('fake notes do not count as LLM notes', async () => {
+  const note = await generateNote(shortTranscript);
+
+  assert.equal(isLlmNote(note), false);
+});
+
+test('merges the chunks of a long transcript without collapsing similar lines', async () => {
+  const lines = Array.from({ length: 18 }, (_, index) => `Rollout status for region ${index + 1} is on track`);
+  const note = await generateNote(transcriptOf(lines));
+
+  // Each line is reported by its own chunk and, through the overlap, by the next one
+  assert.equal(note.chunks, 9);
+  assert.deepEqual(note.keyPoints, lines);
+  assert.equal(note.actionItems.length, lines.length);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor } from '../src/services/pagination.js';
+import meetingService from '../src/services/meetingService.js';
+
+test('a cursor decodes to the position it was encoded from', () => {
+  const position = { sort: 'createdAt', order: 'desc', value: '2024-01-01T09:00:00.000Z', id: 'meeting_1' };
+
+  assert.deepEqual(decodeCursor(encodeCursor(position)), position);
+});
+
+test('malformed cursors decode to null', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  for (const cursor of [undefined, '', 'not a cursor', encode(['x']), encode({ s: 'createdAt', o: 'desc', v: 1, id: 'm' })]) {
+    assert.equal(decodeCursor(cursor), null, String(cursor));
+  }
+});
+
+test('paging visits every meeting once, including ones created in the same millisecond', async () => {
+  const grantId = `grant_pagination_${Date.now()}`;
+  const created = [];
+  for (let i = 0; i < 5; i++) {
+    created.push((await meetingService.createMeeting(null, grantId, { source: 'import' })).id);
+  }
+
+  for (const order of ['desc', 'asc']) {
+    const seen = [];
+    let after;
+    do {
+      const page = await meetingService.listMeetings({ grantId, order, after, limit: 2 });
+      seen.push(...page.meetings.map(meeting => meeting.id));
+      after = decodeCursor(page.nextCursor) || undefined;
+      if (after) assert.equal(after.order, order);
+    } while (after);
+
+    assert.deepEqual([...seen].sort(), [...created].sort(), order);
+  }
+});
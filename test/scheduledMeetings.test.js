@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import meetingService from '../src/services/meetingService.js';
+
+test('soft-deleted meetings are not listed as scheduled', async () => {
+  const kept = await meetingService.createMeeting(null, null, { source: 'import' });
+  const deleted = await meetingService.createMeeting(null, null, { source: 'import' });
+  for (const meeting of [kept, deleted]) {
+    await meetingService.transitionStatus(meeting.id, 'scheduled');
+  }
+
+  await meetingService.softDeleteMeeting(deleted.id);
+
+  const ids = (await meetingService.getScheduledMeetings()).map(meeting => meeting.id);
+  assert.ok(ids.includes(kept.id));
+  assert.ok(!ids.includes(deleted.id));
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import shareService from '../src/services/shareService.js';
+
+const inAnHour = () => new Date(Date.now() + 3600 * 1000).toISOString();
+
+test('a link token verifies to its share', async () => {
+  const share = await shareService.createShare('meeting_1', { expiresAt: inAnHour() });
+  const token = shareService.createToken(share);
+
+  assert.deepEqual(shareService.verifyToken(token), { shareId: share.id, expired: false });
+  assert.equal(shareService.buildUrl(share, 'https://notes.example.com/'), `https://notes.example.com/shares/${token}`);
+});
+
+test('an expired token still identifies the share but is marked expired', async () => {
+  const share = await shareService.createShare('meeting_1', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  assert.deepEqual(shareService.verifyToken(shareService.createToken(share)), { shareId: share.id, expired: true });
+  assert.equal(shareService.getStatus(share), 'expired');
+});
+
+test('altered tokens are rejected', async () => {
+  const share = await shareService.createShare('meeting_1', { expiresAt: inAnHour() });
+  const [shareId, expires, signature] = shareService.createToken(share).split('.');
+
+  // A later expiry or another share ID needs a new signature
+  assert.deepEqual(shareService.verifyToken(`${shareId}.${Number(expires) + 3600}.${signature}`), { error: 'bad_signature' });
+  assert.deepEqual(shareService.verifyToken(`share_other.${expires}.${signature}`), { error: 'bad_signature' });
+  assert.deepEqual(shareService.verifyToken(`${shareId}.${expires}.${signature.slice(1)}`), { error: 'bad_signature' });
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of ['', 'share_1', 'share_1.soon.sig', 'share_1.123', 'share_1.123.sig.extra']) {
+    assert.deepEqual(shareService.verifyToken(token), { error: 'malformed' }, token);
+  }
+});
+
+test('revoking a link keeps its first revocation time', async () => {
+  const share = await shareService.createShare('meeting_1', { expiresAt: inAnHour() });
+  const revoked = await shareService.revokeShare(share);
+
+  assert.equal(shareService.getStatus(revoked), 'revoked');
+  assert.equal((await shareService.revokeShare(revoked)).revokedAt, revoked.revokedAt);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTranscriptFormat, parseTranscript, TranscriptParseError } from '../src/services/transcriptParser.js';
+
+test('parses WebVTT cues with voice tags', () => {
+  const vtt = 'WEBVTT\n\nNOTE exported\n\n1\n00:00:01.000 --> 00:00:04.500\n<v Ann Lee>Welcome, everyone\n\n00:01:02.250 --> 01:00:03.000\nBob: Thanks\n';
+  const { format, transcript } = parseTranscript(vtt);
+
+  assert.equal(format, 'vtt');
+  assert.deepEqual(transcript.transcript, [
+    { speaker: 'Ann Lee', start: 1000, end: 4500, text: 'Welcome, everyone' },
+    { speaker: 'Bob', start: 62250, end: 3603000, text: 'Thanks' },
+  ]);
+});
+
+test('parses SRT cues', () => {
+  const srt = '1\r\n00:00:01,000 --> 00:00:02,000\r\nAnn: Hello\r\nthere\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nNo speaker here\r\n';
+  const { format, transcript } = parseTranscript(srt);
+
+  assert.equal(format, 'srt');
+  assert.deepEqual(transcript.transcript.map(segment => [segment.speaker, segment.text]), [
+    ['Ann', 'Hello there'],
+    ['Unknown Speaker', 'No speaker here'],
+  ]);
+});
+
+test('parses text lines, joining continuations and ending each segment at the next timestamp', () => {
+  const text = '[00:05] Ann: Let us start\nwith the budget\n[01:10] Bob: See https://example.com\n';
+  const { format, transcript } = parseTranscript(text);
+
+  assert.equal(format, 'text');
+  assert.deepEqual(transcript.transcript, [
+    { speaker: 'Ann', start: 5000, end: 70000, text: 'Let us start with the budget' },
+    { speaker: 'Bob', start: 70000, end: null, text: 'See https://example.com' },
+  ]);
+});
+
+test('parses JSON segments in milliseconds or seconds', () => {
+  const json = JSON.stringify({ transcript: [
+    { speaker: 'Ann', start: 0, end: 1500, text: ' Hi ' },
+    { start_time: 1.5, end_time: 3, text: 'Hello' },
+    { speaker: 'Bob', text: '' },
+  ] });
+
+  assert.equal(detectTranscriptFormat(json), 'json');
+  assert.deepEqual(parseTranscript(json).transcript.transcript, [
+    { speaker: 'Ann', start: 0, end: 1500, text: 'Hi' },
+    { speaker: 'Unknown Speaker', start: 1500, end: 3000, text: 'Hello' },
+  ]);
+});
+
+test('rejects empty and malformed transcripts', () => {
+  assert.throws(() => parseTranscript('  '), TranscriptParseError);
+  assert.throws(() => parseTranscript('WEBVTT\n\nno cues'), /No VTT cues found/);
+  assert.throws(() => parseTranscript('{"segments": []}', 'json'), TranscriptParseError);
+  assert.throws(() => parseTranscript('Ann: hi', 'docx'), /Unknown transcript format/);
+  assert.throws(() => parseTranscript([]), /No transcript segments found/);
+});
@@ -0,0 +1,65 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { config } from '../src/config.js';
+import { verifyNylasSignature } from '../src/middleware/verifyNylasSignature.js';
+
+const { webhook } = config;
+const original = { ...webhook };
+const body = Buffer.from('{"type":"notetaker.meeting_state"}');
+
+afterEach(() => {
+  Object.assign(webhook, original);
+});
+
+/**
+ * Sign a body the way Nylas does
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex signature
+ */
+function sign(secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Run the middleware on a webhook request
+ * @param {string} [signature] - X-Nylas-Signature header
+ * @returns {{passed: boolean, status: number|undefined}} Whether next() was called, or the rejection status
+ */
+function verify(signature) {
+  const result = { passed: false, status: undefined };
+  const req = { rawBody: body, get: name => (name === 'x-nylas-signature' ? signature : undefined) };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json() { return this; },
+  };
+  verifyNylasSignature(req, res, () => { result.passed = true; });
+  return result;
+}
+
+test('accepts a body signed with the secret', () => {
+  Object.assign(webhook, { secret: 'current', previousSecret: undefined, skipVerification: false });
+
+  assert.deepEqual(verify(sign('current')), { passed: true, status: undefined });
+  assert.equal(verify(sign('current').toUpperCase()).passed, true);
+});
+
+test('accepts the previous secret while it is being rotated', () => {
+  Object.assign(webhook, { secret: 'current', previousSecret: 'old', skipVerification: false });
+
+  assert.equal(verify(sign('old')).passed, true);
+});
+
+test('rejects missing, malformed and wrong signatures', () => {
+  Object.assign(webhook, { secret: 'current', previousSecret: undefined, skipVerification: false });
+
+  for (const signature of [undefined, 'not-hex', sign('current').slice(2), sign('other')]) {
+    assert.deepEqual(verify(signature), { passed: false, status: 401 }, String(signature));
+  }
+});
+
+test('rejects every webhook when no secret is configured', () => {
+  Object.assign(webhook, { secret: undefined, previousSecret: undefined, skipVerification: false });
+
+  assert.equal(verify(sign('')).status, 401);
+});
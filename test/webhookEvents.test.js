@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import webhookEventService from '../src/services/webhookEventService.js';
+import { replayPendingWebhookEvents } from '../src/routes/webhookRoutes.js';
+
+/**
+ * Build a webhook payload for a notetaker nobody knows about (its handler has nothing to do)
+ * @param {string} id - Event ID
+ * @returns {Object} Payload
+ */
+function payloadOf(id) {
+  return { id, type: 'notetaker.updated', data: { object: { id: `nt_${id}`, grant_id: 'grant_test' } } };
+}
+
+test('a redelivered event that was never processed is processed again', async () => {
+  const first = await webhookEventService.recordEvent(payloadOf('evt_pending'));
+  const again = await webhookEventService.recordEvent(payloadOf('evt_pending'));
+
+  assert.equal(first.duplicate, false);
+  assert.equal(again.duplicate, false);
+  assert.equal(again.redelivered, true);
+});
+
+test('a redelivered event that failed is processed again', async () => {
+  const { event } = await webhookEventService.recordEvent(payloadOf('evt_failed'));
+  await webhookEventService.recordAttempt(event, new Error('handler failed'));
+
+  const again = await webhookEventService.recordEvent(payloadOf('evt_failed'));
+  assert.equal(again.duplicate, false);
+});
+
+test('a redelivered event that was processed is a duplicate', async () => {
+  const { event } = await webhookEventService.recordEvent(payloadOf('evt_done'));
+  await webhookEventService.recordAttempt(event);
+
+  const again = await webhookEventService.recordEvent(payloadOf('evt_done'));
+  assert.equal(again.duplicate, true);
+});
+
+test('pending events are replayed', async () => {
+  await webhookEventService.recordEvent(payloadOf('evt_left_over'));
+
+  const replayed = await replayPendingWebhookEvents();
+
+  assert.ok(replayed >= 1);
+  const event = await webhookEventService.getEvent('evt_left_over');
+  assert.equal(webhookEventService.getStatus(event), 'processed');
+  assert.equal(event.attempts, 1);
+});